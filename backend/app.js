@@ -0,0 +1,112 @@
+import express from "express";
+import cors from "cors";
+import { randomBytes } from "node:crypto";
+import {
+  DB_FILE,
+  SESSION_SECRET,
+  SESSION_TTL_HOURS,
+  COOKIE_SECURE,
+  CORS_ORIGINS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_TIMEOUT_MS
+} from "./config.js";
+import { createJsonStore } from "./db/jsonStore.js";
+import { createContributionRepository } from "./db/contributionRepository.js";
+import { createUserRepository } from "./db/userRepository.js";
+import { createAccountRepository } from "./db/accountRepository.js";
+import { createScenarioRepository } from "./db/scenarioRepository.js";
+import { createPlanRepository } from "./db/planRepository.js";
+import { createPayrollFeedRepository } from "./db/payrollFeedRepository.js";
+import { createWebhookRepository } from "./db/webhookRepository.js";
+import { createWebhookDispatcher } from "./webhooks.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { loadSession, requireCsrf, requireSession } from "./routes/session.js";
+import { createContributionRouter } from "./routes/contribution.js";
+import { createUsersRouter } from "./routes/users.js";
+import { createProjectionRouter } from "./routes/projection.js";
+import { createPaychecksRouter } from "./routes/paychecks.js";
+import { createScenariosRouter } from "./routes/scenarios.js";
+import { createAdminPlanRouter, createPlanRouter, loadPlan } from "./routes/plan.js";
+import { createPayrollRouter } from "./routes/payroll.js";
+import { createWebhooksRouter } from "./routes/webhooks.js";
+import { invalidJsonHandler } from "./validation.js";
+
+// ---- App ----
+//
+// The Express app with its storage, without listening (index.js does that),
+// so tests can run it on a port of their own. `dbFile` defaults to DB_FILE
+// and `webhookRetryBaseMs` to WEBHOOK_RETRY_BASE_MS (tests wait milliseconds,
+// not minutes, between retries).
+export function createApp({ dbFile = DB_FILE, webhookRetryBaseMs = WEBHOOK_RETRY_BASE_MS } = {}) {
+  const app = express();
+
+  // Only the configured frontends may call the API from a browser, with cookies
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true, exposedHeaders: ["ETag", "Content-Disposition"] }));
+  app.use(express.json());
+
+  // ---- Storage ----
+  const store = createJsonStore(dbFile);
+  const contributions = createContributionRepository(store);
+  const users = createUserRepository(store);
+  const accounts = createAccountRepository(store);
+  const scenarios = createScenarioRepository(store);
+  const plans = createPlanRepository(store);
+  const payrollFeeds = createPayrollFeedRepository(store);
+  const webhooks = createWebhookRepository(store);
+
+  // ---- Webhooks ----
+  const webhookDispatcher = createWebhookDispatcher({
+    webhooks,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    retryBaseMs: webhookRetryBaseMs,
+    timeoutMs: WEBHOOK_TIMEOUT_MS
+  });
+  webhookDispatcher.resume();
+
+  // ---- Sessions ----
+  if (!SESSION_SECRET) {
+    console.warn("SESSION_SECRET is not set; using a random key (sessions end on restart)");
+  }
+  const sessionOptions = {
+    secret: SESSION_SECRET ?? randomBytes(32).toString("hex"),
+    ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000,
+    secure: COOKIE_SECURE
+  };
+  app.use(loadSession(sessionOptions));
+
+  // ---- Routes ----
+  app.use("/api/auth", createAuthRouter({ accounts, sessionOptions }));
+
+  // Everything else needs a signed-in user (and the CSRF token for cookie
+  // sessions), and sees the plan configuration in effect as `req.plan`
+  app.use("/api", requireSession, requireCsrf, loadPlan(plans));
+
+  const contributionRouter = createContributionRouter({
+    contributions,
+    users,
+    webhookDispatcher
+  });
+  const paychecksRouter = createPaychecksRouter({ contributions });
+  const scenariosRouter = createScenariosRouter({ contributions, scenarios });
+
+  // Per-user routes; /api/contribution, /api/paychecks and /api/scenarios serve
+  // the signed-in participant
+  app.use("/api/users/:userId/contribution", contributionRouter);
+  app.use("/api/contribution", contributionRouter);
+  app.use("/api/users/:userId/paychecks", paychecksRouter);
+  app.use("/api/paychecks", paychecksRouter);
+  app.use("/api/users/:userId/scenarios", scenariosRouter);
+  app.use("/api/scenarios", scenariosRouter);
+  app.use("/api/users", createUsersRouter({ users, contributions, accounts }));
+  app.use("/api/projection", createProjectionRouter());
+  app.use("/api/plan", createPlanRouter());
+  app.use("/api/admin/plan", createAdminPlanRouter({ plans }));
+  app.use("/api/payroll", createPayrollRouter({ users, contributions, payrollFeeds }));
+  app.use("/api/webhooks", createWebhooksRouter({ webhooks, webhookDispatcher }));
+
+  // Bodies express.json() could not parse
+  app.use(invalidJsonHandler);
+
+  return { app, store };
+}
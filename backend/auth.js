@@ -0,0 +1,76 @@
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from "node:crypto";
+
+// ---- Passwords ----
+//
+// Stored as "scrypt$<salt>$<hash>" (hex), never in plain text.
+
+const KEY_LENGTH = 64;
+
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(password, salt, expected.length);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// ---- Session tokens ----
+//
+// A session is a signed, expiring token: base64url(JSON payload) + "." +
+// HMAC-SHA256 signature. The payload carries who is signed in and the CSRF
+// token for that session, so the server keeps no session table; signing out
+// just drops the cookie.
+//
+// Payload: { username, userId, role, csrfToken, exp } (exp in ms since epoch)
+
+function sign(data, secret) {
+  return createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+export function createSessionToken(account, { secret, ttlMs, now = Date.now() }) {
+  const payload = {
+    username: account.username,
+    userId: account.userId,
+    role: account.role,
+    csrfToken: randomBytes(24).toString("base64url"),
+    exp: now + ttlMs
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return { token: `${data}.${sign(data, secret)}`, session: payload };
+}
+
+// Returns the session payload, or null for a missing, forged or expired token
+export function readSessionToken(token, { secret, now = Date.now() }) {
+  if (typeof token !== "string") return null;
+  const [data, signature] = token.split(".");
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  return session.exp > now ? session : null;
+}
+
+// Constant-time string comparison for CSRF tokens
+export function tokensMatch(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
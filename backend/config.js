@@ -0,0 +1,78 @@
+import { fileURLToPath } from "node:url";
+
+export const PORT = process.env.PORT || 4000;
+
+// Where the JSON database lives. Use ":memory:" for a throwaway store.
+export const DB_FILE =
+  process.env.DB_FILE || fileURLToPath(new URL("./data/db.json", import.meta.url));
+
+// ---- Sessions and CORS ----
+
+// Key for signing session tokens. Set it in any shared environment; without it
+// a random key is generated at startup and every restart signs everyone out.
+export const SESSION_SECRET = process.env.SESSION_SECRET || null;
+export const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 8;
+// Send the session cookie over HTTPS only (turn on behind TLS)
+export const COOKIE_SECURE = process.env.COOKIE_SECURE === "true";
+
+// Browser origins allowed to call the API, comma-separated
+export const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Password given to the seeded demo accounts (local development only)
+export const SEED_PASSWORD = process.env.SEED_PASSWORD || "retire-early";
+
+// Plan year used for annual deferral limits; defaults to the calendar year
+export const PLAN_YEAR = Number(process.env.PLAN_YEAR) || new Date().getFullYear();
+
+// ---- Payroll ----
+
+// Layout used for GET /api/payroll/feed when no provider is given (see
+// PAYROLL_PROVIDERS in backend/payroll.js)
+export const PAYROLL_PROVIDER = process.env.PAYROLL_PROVIDER || "standard";
+
+// ---- Webhooks ----
+
+// Attempts per delivery (the first try plus retries). Retries back off
+// exponentially: the first waits WEBHOOK_RETRY_BASE_MS, each later one twice
+// as long as the one before.
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+export const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+// How long a receiver has to answer before the attempt counts as failed
+export const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// ---- Plan configuration defaults ----
+//
+// Starting values for the plan configuration (backend/plan.js). Once an
+// administrator saves the plan through /api/admin/plan, the stored values
+// are used instead.
+
+// Assumptions for projections
+export const ASSUMPTIONS = {
+  ANNUAL_RETURN: 0.05, // 5% annual growth
+  RETIREMENT_AGE: 65,
+  SALARY_GROWTH: 0.03, // 3% annual raise
+  INFLATION: 0.025,    // 2.5% inflation, for today's-dollar figures
+  RETURN_VOLATILITY: 0.12, // std. deviation of annual returns (Monte Carlo mode)
+  SIMULATION_TRIALS: 1000,
+  WITHDRAWAL_RATE: 0.04 // share of the balance drawn each year in retirement (income goals)
+};
+
+// Sanity bounds on an election (the combined total), to keep values realistic.
+// A non-zero election must be at least the minimum.
+export const ELECTION_BOUNDS = { minPercent: 0, maxPercent: 50, minDollar: 0, maxDollar: 5000 };
+
+// Rate offered by the page's "Reset to recommended" button
+export const RECOMMENDED_PERCENT = 10;
+
+// Employer match formula (see shared/match.js):
+// 100% of the first 3% of salary + 50% of the next 2%, no annual cap
+export const EMPLOYER_MATCH = {
+  tiers: [
+    { upToPercent: 3, rate: 1 },
+    { upToPercent: 5, rate: 0.5 }
+  ],
+  annualCap: null
+};
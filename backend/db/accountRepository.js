@@ -0,0 +1,52 @@
+// ---- Account repository ----
+//
+// Login accounts: { username, userId, role, passwordHash, preferences, createdAt }.
+// `role` is "participant" (may only act on their own userId) or "admin".
+// `preferences` holds per-account settings: { language } (null = default).
+// Nothing returned from here includes the password hash.
+
+function withoutHash({ passwordHash: _passwordHash, ...account }) {
+  return account;
+}
+
+export function createAccountRepository(store) {
+  return {
+    findByUsername(username) {
+      return store.read((db) => {
+        const account = db.accounts[username];
+        return account ? withoutHash(account) : null;
+      });
+    },
+
+    // Only for checking a login attempt
+    findCredentials(username) {
+      return store.read((db) => {
+        const account = db.accounts[username];
+        return account ? { ...account } : null;
+      });
+    },
+
+    create(account) {
+      return store.transaction((db) => {
+        const created = {
+          preferences: { language: null },
+          ...account,
+          createdAt: new Date().toISOString()
+        };
+        db.accounts[account.username] = created;
+        return withoutHash(created);
+      });
+    },
+
+    // Merges `changes` into the account's preferences. Returns the updated
+    // preferences, or null for an unknown account.
+    updatePreferences(username, changes) {
+      return store.transaction((db) => {
+        const account = db.accounts[username];
+        if (!account) return null;
+        account.preferences = { ...account.preferences, ...changes };
+        return { ...account.preferences };
+      });
+    }
+  };
+}
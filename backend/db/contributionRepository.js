@@ -0,0 +1,86 @@
+import { randomUUID } from "node:crypto";
+
+// ---- Contribution repository ----
+//
+// The only module that knows how contribution state is laid out in the
+// store. Routes talk to this interface, so swapping the JSON adapter for a
+// real database only means re-implementing these methods.
+
+export function createContributionRepository(store) {
+  return {
+    findByUserId(userId) {
+      return store.read((db) => {
+        const record = db.contributions[userId];
+        return record ? structuredClone(record) : null;
+      });
+    },
+
+    // `change` (optional) is appended to the change log in the same
+    // transaction, so the log can never disagree with the saved state.
+    // `appliedPendingIds` marks scheduled elections that this save carries
+    // out, `cancelledPendingIds` ones it calls off. Every save bumps the
+    // record's `version` (see the If-Match check in routes/contribution.js).
+    save(state, change = null, { appliedPendingIds = [], cancelledPendingIds = [] } = {}) {
+      return store.transaction((db) => {
+        const version = (db.contributions[state.userId]?.version ?? 0) + 1;
+        state = { ...state, version };
+        db.contributions[state.userId] = structuredClone(state);
+        for (const pending of db.pendingElections) {
+          if (appliedPendingIds.includes(pending.id)) {
+            pending.status = "applied";
+            pending.appliedAt = new Date().toISOString();
+          } else if (cancelledPendingIds.includes(pending.id)) {
+            pending.status = "cancelled";
+            pending.cancelledAt = new Date().toISOString();
+          }
+        }
+        if (change) {
+          db.contributionHistory.push({
+            id: randomUUID(),
+            userId: state.userId,
+            changedAt: new Date().toISOString(),
+            ...change
+          });
+        }
+        return structuredClone(state);
+      });
+    },
+
+    // Scheduled elections still waiting for their effective date, soonest first
+    listPending(userId) {
+      return store.read((db) =>
+        db.pendingElections
+          .filter((pending) => pending.userId === userId && pending.status === "pending")
+          .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate))
+          .map((pending) => structuredClone(pending))
+      );
+    },
+
+    addPending(pending) {
+      return store.transaction((db) => {
+        const created = {
+          ...structuredClone(pending),
+          id: randomUUID(),
+          status: "pending",
+          createdAt: new Date().toISOString()
+        };
+        db.pendingElections.push(created);
+        return structuredClone(created);
+      });
+    },
+
+    // Newest first. The log is append-only: there is deliberately no
+    // update or delete.
+    listHistory(userId, { limit, offset }) {
+      return store.read((db) => {
+        const entries = db.contributionHistory
+          .filter((entry) => entry.userId === userId)
+          .reverse();
+        return {
+          total: entries.length,
+          entries: entries.slice(offset, offset + limit).map((entry) => structuredClone(entry))
+        };
+      });
+    }
+  };
+}
@@ -0,0 +1,61 @@
+import fs from "node:fs";
+import path from "node:path";
+import { runMigrations } from "./migrations.js";
+import { seedDatabase } from "./seed.js";
+
+// ---- JSON-file storage adapter ----
+//
+// Keeps the whole database as one JSON document on disk. Every write goes
+// through `transaction`, which works on a copy and only swaps it in (and
+// flushes it to disk) once the callback returns without throwing.
+//
+// Pass ":memory:" as the file path to get a throwaway store that never
+// touches the filesystem.
+
+export const MEMORY = ":memory:";
+
+function readFile(filePath) {
+  if (filePath === MEMORY || !fs.existsSync(filePath)) {
+    return {};
+  }
+  const raw = fs.readFileSync(filePath, "utf8");
+  return raw.trim() ? JSON.parse(raw) : {};
+}
+
+function writeFile(filePath, data) {
+  if (filePath === MEMORY) return;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write to a temp file first so a crash mid-write never leaves a torn file
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+export function createJsonStore(filePath, { seed = true } = {}) {
+  let data = readFile(filePath);
+
+  const startVersion = data.schemaVersion ?? 0;
+  runMigrations(data);
+  const seeded = seed && seedDatabase(data);
+  if (seeded || data.schemaVersion !== startVersion) {
+    writeFile(filePath, data);
+  }
+
+  return {
+    filePath,
+
+    // Read-only view; callers must not mutate what they get back
+    read(fn) {
+      return fn(data);
+    },
+
+    transaction(fn) {
+      const draft = structuredClone(data);
+      const result = fn(draft);
+      writeFile(filePath, draft);
+      data = draft;
+      return result;
+    }
+  };
+}
@@ -0,0 +1,143 @@
+// ---- Schema migrations ----
+//
+// Append-only list. Each migration receives the raw database object and
+// mutates it in place; `schemaVersion` records the last one applied.
+// Never edit a migration that has shipped - add a new one instead.
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create-contributions",
+    up(db) {
+      db.contributions = db.contributions ?? {};
+    }
+  },
+  {
+    version: 2,
+    name: "create-users",
+    up(db) {
+      db.users = db.users ?? {};
+      // Back-fill a user for every participant saved before accounts existed
+      for (const userId of Object.keys(db.contributions)) {
+        db.users[userId] = db.users[userId] ?? {
+          userId,
+          name: userId,
+          profile: "default",
+          createdAt: new Date().toISOString()
+        };
+      }
+    }
+  },
+  {
+    version: 3,
+    name: "split-contribution-sources",
+    up(db) {
+      // Everything saved before Roth support was a traditional (pre-tax) deferral
+      for (const state of Object.values(db.contributions)) {
+        state.sources = state.sources ?? {
+          traditional: state.contributionValue,
+          roth: 0
+        };
+      }
+    }
+  },
+  {
+    version: 4,
+    name: "create-contribution-history",
+    up(db) {
+      db.contributionHistory = db.contributionHistory ?? [];
+    }
+  },
+  {
+    version: 5,
+    name: "create-pending-elections",
+    up(db) {
+      db.pendingElections = db.pendingElections ?? [];
+      for (const state of Object.values(db.contributions)) {
+        state.autoEscalation = state.autoEscalation ?? null;
+      }
+    }
+  },
+  {
+    version: 6,
+    name: "add-filing-status",
+    up(db) {
+      for (const state of Object.values(db.contributions)) {
+        state.filingStatus = state.filingStatus ?? "single";
+      }
+    }
+  },
+  {
+    version: 7,
+    name: "create-accounts",
+    up(db) {
+      // Login credentials, keyed by username
+      db.accounts = db.accounts ?? {};
+    }
+  },
+  {
+    version: 8,
+    name: "add-contribution-version",
+    up(db) {
+      // Bumped on every save, for optimistic concurrency
+      for (const state of Object.values(db.contributions)) {
+        state.version = state.version ?? 1;
+      }
+    }
+  },
+  {
+    version: 9,
+    name: "create-scenarios",
+    up(db) {
+      // Saved what-if scenarios, kept apart from the real contribution records
+      db.scenarios = db.scenarios ?? [];
+    }
+  },
+  {
+    version: 10,
+    name: "create-plan-config",
+    up(db) {
+      // Admin-edited plan configuration; null means the defaults in config.js
+      db.plan = db.plan ?? null;
+    }
+  },
+  {
+    version: 11,
+    name: "create-payroll-feeds",
+    up(db) {
+      // Log of generated payroll feeds, the baseline for delta feeds
+      db.payrollFeeds = db.payrollFeeds ?? [];
+    }
+  },
+  {
+    version: 12,
+    name: "create-webhooks",
+    up(db) {
+      // Webhook subscriptions and the log of their deliveries
+      db.webhooks = db.webhooks ?? [];
+      db.webhookDeliveries = db.webhookDeliveries ?? [];
+    }
+  },
+  {
+    version: 13,
+    name: "add-account-preferences",
+    up(db) {
+      // Per-account settings such as the page language; null means the default
+      for (const account of Object.values(db.accounts ?? {})) {
+        account.preferences = account.preferences ?? { language: null };
+      }
+    }
+  }
+];
+
+export function runMigrations(db) {
+  const current = db.schemaVersion ?? 0;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    migration.up(db);
+    db.schemaVersion = migration.version;
+  }
+
+  return db;
+}
@@ -0,0 +1,45 @@
+import { randomUUID } from "node:crypto";
+
+// ---- Payroll feed repository ----
+//
+// Log of generated payroll feeds (db.payrollFeeds):
+// { id, provider, payDate, mode, generatedAt, generatedBy, recordCount,
+//   totalDeferral, entries }, where `entries` records what each included
+// participant was sent (see sentEntry() in payroll.js). Delta feeds compare
+// against it.
+
+function summarize({ entries, ...feed }) {
+  return structuredClone(feed);
+}
+
+export function createPayrollFeedRepository(store) {
+  return {
+    // Newest first, without the entries
+    list({ limit }) {
+      return store.read((db) =>
+        db.payrollFeeds.slice(-limit).reverse().map(summarize)
+      );
+    },
+
+    // { userId: entry } with each participant's most recent entry for the
+    // provider, however long ago it was sent
+    lastSent(provider) {
+      return store.read((db) => {
+        const sent = {};
+        for (const feed of db.payrollFeeds) {
+          if (feed.provider !== provider) continue;
+          for (const entry of feed.entries) sent[entry.userId] = structuredClone(entry);
+        }
+        return sent;
+      });
+    },
+
+    record(feed) {
+      return store.transaction((db) => {
+        const created = { id: randomUUID(), ...structuredClone(feed) };
+        db.payrollFeeds.push(created);
+        return summarize(created);
+      });
+    }
+  };
+}
@@ -0,0 +1,30 @@
+import { DEFAULT_PLAN } from "../plan.js";
+
+// ---- Plan repository ----
+//
+// The single plan configuration document (db.plan). `get` always returns a
+// complete plan: the saved one, or DEFAULT_PLAN until an admin saves one.
+// Saved plans also carry { updatedAt, updatedBy }.
+
+export function createPlanRepository(store) {
+  return {
+    get() {
+      return store.read((db) => structuredClone(db.plan ?? DEFAULT_PLAN));
+    },
+
+    save(plan, { updatedBy }) {
+      return store.transaction((db) => {
+        db.plan = { ...structuredClone(plan), updatedAt: new Date().toISOString(), updatedBy };
+        return structuredClone(db.plan);
+      });
+    },
+
+    // Back to the defaults in config.js
+    reset() {
+      return store.transaction((db) => {
+        db.plan = null;
+        return structuredClone(DEFAULT_PLAN);
+      });
+    }
+  };
+}
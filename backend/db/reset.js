@@ -0,0 +1,11 @@
+// Wipes the local database file and re-creates it from migrations + seed data.
+// Usage: npm run db:reset
+
+import fs from "node:fs";
+import { DB_FILE } from "../config.js";
+import { createJsonStore } from "./jsonStore.js";
+
+fs.rmSync(DB_FILE, { force: true });
+createJsonStore(DB_FILE);
+
+console.log(`Database reset at ${DB_FILE}`);
@@ -0,0 +1,66 @@
+import { randomUUID } from "node:crypto";
+
+// ---- Scenario repository ----
+//
+// Named what-if scenarios: { id, userId, name, inputs, createdAt, updatedAt },
+// where `inputs` holds the snapshot fields, the election and the
+// auto-escalation rule to project. Scenarios live in their own collection
+// and nothing here reads or writes db.contributions, so exploring a what-if
+// can never change a participant's real record.
+
+export function createScenarioRepository(store) {
+  return {
+    // Oldest first, so a participant's list keeps its order as it grows
+    listByUserId(userId) {
+      return store.read((db) =>
+        db.scenarios
+          .filter((scenario) => scenario.userId === userId)
+          .map((scenario) => structuredClone(scenario))
+      );
+    },
+
+    findById(userId, scenarioId) {
+      return store.read((db) => {
+        const scenario = db.scenarios.find((s) => s.id === scenarioId && s.userId === userId);
+        return scenario ? structuredClone(scenario) : null;
+      });
+    },
+
+    create(scenario) {
+      return store.transaction((db) => {
+        const now = new Date().toISOString();
+        const created = {
+          ...structuredClone(scenario),
+          id: randomUUID(),
+          createdAt: now,
+          updatedAt: now
+        };
+        db.scenarios.push(created);
+        return structuredClone(created);
+      });
+    },
+
+    // `changes` may carry a new name and/or inputs. Returns null if there is
+    // no such scenario.
+    update(userId, scenarioId, { name, inputs }) {
+      return store.transaction((db) => {
+        const scenario = db.scenarios.find((s) => s.id === scenarioId && s.userId === userId);
+        if (!scenario) return null;
+        if (name !== undefined) scenario.name = name;
+        if (inputs !== undefined) scenario.inputs = structuredClone(inputs);
+        scenario.updatedAt = new Date().toISOString();
+        return structuredClone(scenario);
+      });
+    },
+
+    // Returns the removed scenario, or null if there was nothing to remove
+    remove(userId, scenarioId) {
+      return store.transaction((db) => {
+        const index = db.scenarios.findIndex((s) => s.id === scenarioId && s.userId === userId);
+        if (index === -1) return null;
+        const [removed] = db.scenarios.splice(index, 1);
+        return removed;
+      });
+    }
+  };
+}
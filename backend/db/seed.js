@@ -0,0 +1,107 @@
+// ---- Seed data ----
+//
+// Mock participants used by the demo and by QA. A seed user is only inserted
+// when no user with that id exists, so saved changes are never overwritten
+// on restart.
+//
+// Every seed participant can sign in with their userId as the username and
+// SEED_PASSWORD; the "admin" account can open any participant.
+
+import { hashPassword } from "../auth.js";
+import { SEED_PASSWORD } from "../config.js";
+
+export const DEFAULT_USER_ID = "mock-user-123";
+
+export const SEED_USERS = [
+  {
+    user: { userId: DEFAULT_USER_ID, name: "Demo participant", profile: "default" },
+    contribution: {
+      age: 30,
+      salary: 120000,            // annual salary
+      payPeriodsPerYear: 24,     // semi-monthly
+      ytdContribution: 8500,     // mock YTD contributions
+      contributionType: "percent", // "percent" | "dollar"
+      contributionValue: 10,       // 10% by default (traditional + roth)
+      sources: { traditional: 10, roth: 0 },
+      currentBalance: 15000,       // existing 401k balance
+      filingStatus: "single"       // "single" | "married" | "headOfHousehold"
+    }
+  },
+  {
+    user: { userId: "young-saver", name: "Young saver", profile: "young-saver" },
+    contribution: {
+      age: 24,
+      salary: 58000,
+      payPeriodsPerYear: 26,     // biweekly
+      ytdContribution: 1900,
+      contributionType: "percent",
+      contributionValue: 4,
+      sources: { traditional: 0, roth: 4 },
+      currentBalance: 3200,
+      filingStatus: "single"
+    }
+  },
+  {
+    user: { userId: "near-retiree", name: "Near-retiree", profile: "near-retiree" },
+    contribution: {
+      age: 58,
+      salary: 145000,
+      payPeriodsPerYear: 24,
+      ytdContribution: 19500,
+      contributionType: "percent",
+      contributionValue: 15,
+      sources: { traditional: 10, roth: 5 },
+      currentBalance: 640000,
+      filingStatus: "married"
+    }
+  },
+  {
+    user: { userId: "part-time", name: "Part-time employee", profile: "part-time" },
+    contribution: {
+      age: 41,
+      salary: 31000,
+      payPeriodsPerYear: 52,     // weekly
+      ytdContribution: 1200,
+      contributionType: "dollar",
+      contributionValue: 40,
+      sources: { traditional: 40, roth: 0 },
+      currentBalance: 12500,
+      filingStatus: "headOfHousehold"
+    }
+  }
+];
+
+export const SEED_ADMIN = { username: "admin", userId: null, role: "admin" };
+
+function seedAccount(db, account) {
+  if (db.accounts[account.username]) return false;
+  db.accounts[account.username] = {
+    ...account,
+    passwordHash: hashPassword(SEED_PASSWORD),
+    preferences: { language: null },
+    createdAt: new Date().toISOString()
+  };
+  return true;
+}
+
+// Returns true if anything was inserted
+export function seedDatabase(db) {
+  let inserted = seedAccount(db, SEED_ADMIN);
+
+  for (const { user, contribution } of SEED_USERS) {
+    const account = { username: user.userId, userId: user.userId, role: "participant" };
+    inserted = seedAccount(db, account) || inserted;
+    if (db.users[user.userId]) continue;
+
+    db.users[user.userId] = { ...user, createdAt: new Date().toISOString() };
+    db.contributions[user.userId] = {
+      userId: user.userId,
+      ...contribution,
+      autoEscalation: null,
+      version: 1
+    };
+    inserted = true;
+  }
+
+  return inserted;
+}
@@ -0,0 +1,28 @@
+// ---- User repository ----
+
+export function createUserRepository(store) {
+  return {
+    list() {
+      return store.read((db) =>
+        Object.values(db.users).map((user) => ({ ...user }))
+      );
+    },
+
+    findById(userId) {
+      return store.read((db) => {
+        const user = db.users[userId];
+        return user ? { ...user } : null;
+      });
+    },
+
+    // Creates the user together with their initial contribution state
+    create(user, contribution) {
+      return store.transaction((db) => {
+        const created = { ...user, createdAt: new Date().toISOString() };
+        db.users[user.userId] = created;
+        db.contributions[user.userId] = { ...contribution, userId: user.userId, version: 1 };
+        return { ...created };
+      });
+    }
+  };
+}
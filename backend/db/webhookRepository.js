@@ -0,0 +1,144 @@
+import { randomUUID } from "node:crypto";
+
+// ---- Webhook repository ----
+//
+// Subscriptions (db.webhooks):
+//   { id, url, events, description, active, secret, createdBy, createdAt, updatedAt }
+// and their delivery log (db.webhookDeliveries):
+//   { id, webhookId, event, status, attempts, nextAttemptAt, createdAt, completedAt }
+// where `event` is the JSON sent, `status` is "pending" | "retrying" |
+// "succeeded" | "failed" and each attempt is
+// { at, statusCode, error, durationMs }.
+
+// Finished deliveries kept per webhook; older ones are dropped
+const MAX_DELIVERIES_PER_WEBHOOK = 200;
+
+const FINISHED = ["succeeded", "failed"];
+
+export function createWebhookRepository(store) {
+  return {
+    list() {
+      return store.read((db) => db.webhooks.map((webhook) => structuredClone(webhook)));
+    },
+
+    findById(webhookId) {
+      return store.read((db) => {
+        const webhook = db.webhooks.find((w) => w.id === webhookId);
+        return webhook ? structuredClone(webhook) : null;
+      });
+    },
+
+    // Active subscriptions to an event type
+    listSubscribed(eventType) {
+      return store.read((db) =>
+        db.webhooks
+          .filter((webhook) => webhook.active && webhook.events.includes(eventType))
+          .map((webhook) => structuredClone(webhook))
+      );
+    },
+
+    create(webhook) {
+      return store.transaction((db) => {
+        const now = new Date().toISOString();
+        const created = {
+          id: randomUUID(),
+          ...structuredClone(webhook),
+          createdAt: now,
+          updatedAt: now
+        };
+        db.webhooks.push(created);
+        return structuredClone(created);
+      });
+    },
+
+    // Fields left undefined in `changes` keep their values. Returns null if
+    // there is no such webhook.
+    update(webhookId, changes) {
+      return store.transaction((db) => {
+        const webhook = db.webhooks.find((w) => w.id === webhookId);
+        if (!webhook) return null;
+        for (const [field, value] of Object.entries(changes)) {
+          if (value !== undefined) webhook[field] = structuredClone(value);
+        }
+        webhook.updatedAt = new Date().toISOString();
+        return structuredClone(webhook);
+      });
+    },
+
+    // Removes the webhook and its delivery log. Returns the removed webhook,
+    // or null if there was nothing to remove.
+    remove(webhookId) {
+      return store.transaction((db) => {
+        const index = db.webhooks.findIndex((w) => w.id === webhookId);
+        if (index === -1) return null;
+        const [removed] = db.webhooks.splice(index, 1);
+        db.webhookDeliveries = db.webhookDeliveries.filter((d) => d.webhookId !== webhookId);
+        return removed;
+      });
+    },
+
+    // ---- Deliveries ----
+
+    findDelivery(deliveryId) {
+      return store.read((db) => {
+        const delivery = db.webhookDeliveries.find((d) => d.id === deliveryId);
+        return delivery ? structuredClone(delivery) : null;
+      });
+    },
+
+    addDelivery(delivery) {
+      return store.transaction((db) => {
+        const created = {
+          id: randomUUID(),
+          ...structuredClone(delivery),
+          status: "pending",
+          attempts: [],
+          nextAttemptAt: null,
+          createdAt: new Date().toISOString(),
+          completedAt: null
+        };
+        db.webhookDeliveries.push(created);
+
+        const finished = db.webhookDeliveries.filter(
+          (d) => d.webhookId === delivery.webhookId && FINISHED.includes(d.status)
+        );
+        if (finished.length > MAX_DELIVERIES_PER_WEBHOOK) {
+          const dropped = new Set(finished.slice(0, finished.length - MAX_DELIVERIES_PER_WEBHOOK));
+          db.webhookDeliveries = db.webhookDeliveries.filter((d) => !dropped.has(d));
+        }
+        return structuredClone(created);
+      });
+    },
+
+    updateDelivery(deliveryId, changes) {
+      return store.transaction((db) => {
+        const delivery = db.webhookDeliveries.find((d) => d.id === deliveryId);
+        if (!delivery) return null;
+        Object.assign(delivery, structuredClone(changes));
+        return structuredClone(delivery);
+      });
+    },
+
+    // Newest first
+    listDeliveries(webhookId, { limit, offset }) {
+      return store.read((db) => {
+        const deliveries = db.webhookDeliveries
+          .filter((delivery) => delivery.webhookId === webhookId)
+          .reverse();
+        return {
+          total: deliveries.length,
+          deliveries: deliveries.slice(offset, offset + limit).map((d) => structuredClone(d))
+        };
+      });
+    },
+
+    // Deliveries still waiting for an attempt, e.g. after a restart
+    listUnfinishedDeliveries() {
+      return store.read((db) =>
+        db.webhookDeliveries
+          .filter((delivery) => !FINISHED.includes(delivery.status))
+          .map((delivery) => structuredClone(delivery))
+      );
+    }
+  };
+}
@@ -0,0 +1,134 @@
+// ---- Contribution elections ----
+//
+// Normalizing and bookkeeping for a participant's election (request input is
+// checked first by the schemas in schemas.js). Shared by the routes and the
+// scheduler, so none of this knows about Express.
+
+export const CONTRIBUTION_SOURCES = ["traditional", "roth"];
+
+// Rounds to cents / hundredths of a percent
+export function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Every type the backend supports; the plan configuration decides which are offered
+export const CONTRIBUTION_TYPES = ["percent", "dollar"];
+
+// Normalizes a validated election (see electionSchema in schemas.js): either
+// per-source amounts (`sources: { traditional, roth }`) or a single
+// `contributionValue`, which is treated as all traditional.
+export function parseContribution(body) {
+  const sources = body.sources
+    ? { traditional: body.sources.traditional, roth: body.sources.roth }
+    : { traditional: body.contributionValue, roth: 0 };
+
+  // Keep float noise (6.1 + 3.9) out of the stored total
+  const contributionValue = round2(sources.traditional + sources.roth);
+
+  return { contributionType: body.contributionType, contributionValue, sources };
+}
+
+// Lowers every source by the same proportion so they add up to at most `maxTotal`
+export function scaleSources(sources, maxTotal, contributionType) {
+  const total = sources.traditional + sources.roth;
+  if (total <= maxTotal) return { ...sources };
+
+  const step = contributionType === "percent" ? 0.1 : 1;
+  const ratio = total > 0 ? maxTotal / total : 0;
+  const scaled = {};
+  for (const source of CONTRIBUTION_SOURCES) {
+    scaled[source] = round2(Math.floor((sources[source] * ratio) / step) * step);
+  }
+  return scaled;
+}
+
+// Copies the snapshot fields present in a validated body onto `target`
+export function applySnapshotFields(target, body) {
+  for (const field of SNAPSHOT_FIELDS) {
+    if (body[field] !== undefined) target[field] = body[field];
+  }
+  return target;
+}
+
+// Convert a selection to an equivalent % of salary
+export function toPercentOfSalary({ contributionType, contributionValue, salary, payPeriodsPerYear }) {
+  if (contributionType === "percent") {
+    return contributionValue;
+  }
+  if (salary > 0 && payPeriodsPerYear > 0) {
+    const yearlyDollar = contributionValue * payPeriodsPerYear;
+    return (yearlyDollar / salary) * 100;
+  }
+  return 0;
+}
+
+// ---- Change log ----
+
+export const SNAPSHOT_FIELDS = [
+  "age",
+  "salary",
+  "payPeriodsPerYear",
+  "ytdContribution",
+  "currentBalance",
+  "filingStatus"
+];
+
+// Just the election fields of a contribution state
+export function electionOf({ contributionType, contributionValue, sources }) {
+  return { contributionType, contributionValue, sources: { ...sources } };
+}
+
+// The auto-escalation settings the change log compares. `since` is left
+// out: the scheduler moves it forward without anyone changing the rule.
+const ESCALATION_SETTINGS = ["enabled", "incrementPercent", "capPercent", "monthDay"];
+
+function escalationSettingsOf(rule) {
+  if (!rule) return null;
+  return Object.fromEntries(ESCALATION_SETTINGS.map((field) => [field, rule[field] ?? null]));
+}
+
+// Builds the change-log entry for a save, or null if nothing changed.
+// `actor` is { changedBy, source, userAgent }. Entries for auto-escalation
+// changes also carry the rule's settings before and after.
+export function describeChange(previous, next, actor) {
+  const changedFields = [];
+  if (previous.contributionType !== next.contributionType) {
+    changedFields.push("contributionType");
+  }
+  for (const source of CONTRIBUTION_SOURCES) {
+    if (previous.sources?.[source] !== next.sources[source]) {
+      changedFields.push(`sources.${source}`);
+    }
+  }
+  for (const field of SNAPSHOT_FIELDS) {
+    if (previous[field] !== next[field]) changedFields.push(field);
+  }
+  const escalationBefore = escalationSettingsOf(previous.autoEscalation);
+  const escalationAfter = escalationSettingsOf(next.autoEscalation);
+  const escalationChanged = JSON.stringify(escalationBefore) !== JSON.stringify(escalationAfter);
+  if (escalationChanged) changedFields.push("autoEscalation");
+
+  if (changedFields.length === 0) return null;
+
+  return {
+    ...actor,
+    changedFields,
+    previous: electionOf(previous),
+    next: electionOf(next),
+    ...(escalationChanged && {
+      autoEscalation: { previous: escalationBefore, next: escalationAfter }
+    })
+  };
+}
+
+
+// Change-log entry for calling off a scheduled election. Nothing about the
+// record itself changes, so `changedFields` is empty and the entry carries
+// the election that will no longer happen.
+export function describeCancellation(pending, actor) {
+  return {
+    ...actor,
+    changedFields: [],
+    cancelled: { id: pending.id, effectiveDate: pending.effectiveDate, ...electionOf(pending) }
+  };
+}
@@ -0,0 +1,78 @@
+import { projectBalance } from "../shared/projection.js";
+import { annualLimitFor } from "./limits.js";
+import { round2 } from "./election.js";
+
+// ---- Retirement goal solver ----
+//
+// Finds the smallest contribution (percent of salary) whose projected
+// balance at retirement reaches a goal. A goal is either a target balance or
+// a monthly retirement income, which becomes a balance through the
+// withdrawal rate (the "4% rule": income = balance * rate / 12).
+//
+// `dollarBasis` says whether the target is in today's dollars ("real",
+// compared with finalBalanceReal) or future dollars ("nominal").
+//
+// The projected balance never goes down as the contribution goes up, so a
+// bisection between 0 and the plan's maximum finds the answer. It is rounded
+// up to the next 0.1% so the rate shown always reaches the goal (and up to
+// the plan's minimum if it falls below it).
+
+const STEP = 0.1;
+
+export function targetBalanceFor(goal) {
+  if (goal.goalType === "income") {
+    return (goal.monthlyIncome * 12) / (goal.withdrawalRatePercent / 100);
+  }
+  return goal.targetBalance;
+}
+
+// `projection` holds the projectBalance() inputs other than the contribution
+export function solveContribution(
+  projection,
+  goal,
+  { payPeriodsPerYear, planYear, minPercent, maxPercent }
+) {
+  const targetBalance = targetBalanceFor(goal);
+  const key = goal.dollarBasis === "real" ? "finalBalanceReal" : "finalBalance";
+  const balanceAt = (contributionPercent) =>
+    projectBalance({ ...projection, contributionPercent })[key];
+
+  const toDollar = (percent) =>
+    payPeriodsPerYear > 0 ? (projection.salary * (percent / 100)) / payPeriodsPerYear : 0;
+
+  let requiredPercent = null;
+  if (balanceAt(0) >= targetBalance) {
+    requiredPercent = 0;
+  } else if (balanceAt(maxPercent) >= targetBalance) {
+    let low = 0;
+    let high = maxPercent;
+    while (high - low > STEP / 10) {
+      const mid = (low + high) / 2;
+      if (balanceAt(mid) >= targetBalance) high = mid;
+      else low = mid;
+    }
+    requiredPercent = Math.max(
+      minPercent,
+      Math.min(maxPercent, round2(Math.ceil(high / STEP) * STEP))
+    );
+  }
+
+  const achievable = requiredPercent !== null;
+  const requiredDollar = achievable ? Math.ceil(toDollar(requiredPercent)) : null;
+
+  return {
+    targetBalance: round2(targetBalance),
+    dollarBasis: goal.dollarBasis,
+    achievable,
+    requiredPercent,
+    requiredDollarPerPaycheck: requiredDollar,
+    projectedAtRequired: achievable ? round2(balanceAt(requiredPercent)) : null,
+    // Best case when the goal is out of reach
+    projectedAtMaximum: round2(balanceAt(maxPercent)),
+    maximumPercent: maxPercent,
+    // The required rate, in this year's dollars, within the 402(g) limit?
+    withinAnnualLimit: achievable
+      ? (projection.salary * requiredPercent) / 100 <= annualLimitFor(projection.age, planYear)
+      : false
+  };
+}
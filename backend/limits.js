@@ -0,0 +1,100 @@
+// ---- IRS annual deferral limits ----
+//
+// Per-plan-year table of the 402(g) elective deferral limit and the catch-up
+// allowances. Add a row each November when the IRS publishes next year's
+// numbers. `superCatchUp` is the SECURE 2.0 higher catch-up for ages 60-63
+// (null for years before it applied).
+
+import { frequencyFor, remainingPayDates } from "./payCalendar.js";
+
+export const DEFERRAL_LIMITS = {
+  2024: { electiveDeferral: 23000, catchUp: 7500, superCatchUp: null },
+  2025: { electiveDeferral: 23500, catchUp: 7500, superCatchUp: 11250 },
+  2026: { electiveDeferral: 24500, catchUp: 8000, superCatchUp: 11250 }
+};
+
+export const CATCH_UP_AGE = 50;
+export const SUPER_CATCH_UP_AGES = { min: 60, max: 63 };
+
+// Falls back to the most recent known year so a missing row never disables the check
+export function limitsForYear(planYear) {
+  const years = Object.keys(DEFERRAL_LIMITS).map(Number).sort((a, b) => a - b);
+  const year = years.filter((y) => y <= planYear).pop() ?? years[0];
+  return {
+    planYear,
+    ...DEFERRAL_LIMITS[year],
+    catchUpAge: CATCH_UP_AGE,
+    superCatchUpAges: SUPER_CATCH_UP_AGES
+  };
+}
+
+// Total a participant of `age` may defer in the plan year
+export function annualLimitFor(age, planYear) {
+  const limits = limitsForYear(planYear);
+  let catchUp = 0;
+  if (age >= CATCH_UP_AGE) {
+    const superEligible =
+      limits.superCatchUp != null &&
+      age >= SUPER_CATCH_UP_AGES.min &&
+      age <= SUPER_CATCH_UP_AGES.max;
+    catchUp = superEligible ? limits.superCatchUp : limits.catchUp;
+  }
+  return limits.electiveDeferral + catchUp;
+}
+
+// Paychecks left in the plan year, from the pay calendar for the frequency
+// closest to `payPeriodsPerYear`
+export function remainingPayPeriods(payPeriodsPerYear, planYear, asOf = new Date()) {
+  const frequency = frequencyFor(payPeriodsPerYear);
+  return remainingPayDates(frequency, planYear, asOf.toISOString().slice(0, 10)).length;
+}
+
+export function perPaycheckDeferral({ contributionType, contributionValue, salary, payPeriodsPerYear }) {
+  if (contributionType === "dollar") return contributionValue;
+  if (!payPeriodsPerYear) return 0;
+  return (salary * (contributionValue / 100)) / payPeriodsPerYear;
+}
+
+// Projects the plan-year deferral (YTD + remaining paychecks) against the limit.
+// `maxContributionValue` is the largest election, in the state's own
+// contribution type, that stays within the limit and the plan's `bounds`
+// ({ maxPercent, maxDollar }, see backend/plan.js).
+export function checkAnnualLimit(state, { planYear, asOf = new Date(), bounds }) {
+  const { maxPercent, maxDollar } = bounds;
+  const { age, salary, payPeriodsPerYear, ytdContribution, contributionType } = state;
+
+  const limit = annualLimitFor(age, planYear);
+  const remaining = remainingPayPeriods(payPeriodsPerYear, planYear, asOf);
+  const perPaycheck = perPaycheckDeferral(state);
+  const projectedDeferral = ytdContribution + perPaycheck * remaining;
+  const room = Math.max(0, limit - ytdContribution);
+
+  // 1-based index into the remaining paychecks; null if the limit is never reached
+  let limitReachedOnPaycheck = null;
+  if (room === 0) {
+    limitReachedOnPaycheck = 0;
+  } else if (perPaycheck > 0 && perPaycheck * remaining > room) {
+    limitReachedOnPaycheck = Math.ceil(room / perPaycheck);
+  }
+
+  const maxPerPaycheck = remaining > 0 ? room / remaining : 0;
+  let maxContributionValue = Math.min(maxDollar, Math.floor(maxPerPaycheck));
+  if (contributionType === "percent") {
+    maxContributionValue =
+      salary > 0
+        ? Math.min(maxPercent, Math.floor(((maxPerPaycheck * payPeriodsPerYear) / salary) * 1000) / 10)
+        : 0;
+  }
+
+  return {
+    planYear,
+    limit,
+    ytdContribution,
+    remainingPayPeriods: remaining,
+    perPaycheck,
+    projectedDeferral,
+    exceeded: projectedDeferral > limit,
+    limitReachedOnPaycheck,
+    maxContributionValue
+  };
+}
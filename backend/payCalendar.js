@@ -0,0 +1,75 @@
+// ---- Pay calendar ----
+//
+// Generates a plan year's pay dates for the common payroll frequencies.
+// Dates are "YYYY-MM-DD" strings in UTC.
+//
+//   weekly / biweekly  every Friday / every other Friday, starting with the
+//                      first Friday of the year
+//   semi-monthly       the 15th and the last day of each month
+//   monthly            the last day of each month
+//
+// Semi-monthly and monthly dates that land on a weekend move back to the
+// Friday before, the way most payroll providers handle them.
+
+export const PAY_FREQUENCIES = {
+  weekly: 52,
+  biweekly: 26,
+  "semi-monthly": 24,
+  monthly: 12
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FRIDAY = 5;
+
+function iso(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Closest pay period count wins, so e.g. 27 maps to biweekly
+export function frequencyFor(payPeriodsPerYear) {
+  let best = "semi-monthly";
+  for (const [frequency, periods] of Object.entries(PAY_FREQUENCIES)) {
+    if (Math.abs(periods - payPeriodsPerYear) < Math.abs(PAY_FREQUENCIES[best] - payPeriodsPerYear)) {
+      best = frequency;
+    }
+  }
+  return best;
+}
+
+function previousWeekday(time) {
+  const day = new Date(time).getUTCDay();
+  if (day === 6) return time - DAY_MS;
+  if (day === 0) return time - 2 * DAY_MS;
+  return time;
+}
+
+function lastDayOfMonth(year, month) {
+  return Date.UTC(year, month + 1, 0);
+}
+
+export function payDatesForYear(frequency, planYear) {
+  const dates = [];
+
+  if (frequency === "weekly" || frequency === "biweekly") {
+    const step = (frequency === "weekly" ? 7 : 14) * DAY_MS;
+    const jan1 = Date.UTC(planYear, 0, 1);
+    const offset = (FRIDAY - new Date(jan1).getUTCDay() + 7) % 7;
+    for (let t = jan1 + offset * DAY_MS; new Date(t).getUTCFullYear() === planYear; t += step) {
+      dates.push(iso(t));
+    }
+    return dates;
+  }
+
+  for (let month = 0; month < 12; month++) {
+    if (frequency === "semi-monthly") {
+      dates.push(iso(previousWeekday(Date.UTC(planYear, month, 15))));
+    }
+    dates.push(iso(previousWeekday(lastDayOfMonth(planYear, month))));
+  }
+  return dates;
+}
+
+// Pay dates on or after `fromDate` within the plan year
+export function remainingPayDates(frequency, planYear, fromDate) {
+  return payDatesForYear(frequency, planYear).filter((date) => date >= fromDate);
+}
@@ -0,0 +1,77 @@
+import { round2 } from "./election.js";
+import { perPaycheckDeferral } from "./limits.js";
+import { PAY_FREQUENCIES, remainingPayDates } from "./payCalendar.js";
+import { escalate, escalationsDue } from "./scheduler.js";
+
+// ---- Paycheck simulation ----
+//
+// Walks the remaining pay dates with the participant's election, applying
+// scheduled elections and auto-escalation on the dates they take effect, and
+// stops deferrals once YTD reaches `annualLimit`. Each row splits the
+// deferral across sources in proportion to the election.
+
+function electionOn(state, pending, payDate) {
+  let election = state;
+  for (const change of pending) {
+    if (change.effectiveDate > payDate) break;
+    election = {
+      ...election,
+      contributionType: change.contributionType,
+      contributionValue: change.contributionValue,
+      sources: { ...change.sources }
+    };
+  }
+
+  const rule = state.autoEscalation;
+  if (rule?.enabled && election.contributionType === "percent") {
+    const steps = escalationsDue(rule, payDate);
+    if (steps > 0) election = escalate({ ...election, autoEscalation: rule }, steps);
+  }
+  return election;
+}
+
+export function simulatePaychecks(state, { planYear, asOf, frequency, annualLimit, pending = [] }) {
+  const payPeriodsPerYear = PAY_FREQUENCIES[frequency];
+  const grossPay = round2(state.salary / payPeriodsPerYear);
+
+  let ytd = state.ytdContribution;
+  let limitReachedOn = null;
+
+  const paychecks = remainingPayDates(frequency, planYear, asOf).map((payDate, index) => {
+    const election = electionOn(state, pending, payDate);
+    const elected = round2(perPaycheckDeferral({ ...election, salary: state.salary, payPeriodsPerYear }));
+    const deferral = round2(Math.min(elected, Math.max(0, annualLimit - ytd)));
+    if (deferral < elected && limitReachedOn === null) limitReachedOn = payDate;
+    ytd = round2(ytd + deferral);
+
+    const total = election.sources.traditional + election.sources.roth;
+    const traditional = total > 0 ? round2((deferral * election.sources.traditional) / total) : 0;
+
+    return {
+      number: index + 1,
+      payDate,
+      grossPay,
+      contributionType: election.contributionType,
+      contributionValue: election.contributionValue,
+      sources: election.sources,
+      electedDeferral: elected,
+      deferral,
+      traditional,
+      roth: round2(deferral - traditional),
+      ytdAfter: ytd,
+      limited: deferral < elected
+    };
+  });
+
+  return {
+    planYear,
+    frequency,
+    payPeriodsPerYear,
+    asOf,
+    annualLimit,
+    ytdContribution: state.ytdContribution,
+    projectedYearEnd: ytd,
+    limitReachedOn,
+    paychecks
+  };
+}
@@ -0,0 +1,220 @@
+import { round2 } from "./election.js";
+import { annualLimitFor } from "./limits.js";
+import { frequencyFor, payDatesForYear } from "./payCalendar.js";
+import { simulatePaychecks } from "./paychecks.js";
+
+// ---- Payroll feed ----
+//
+// The file payroll imports to withhold each participant's deferral on a pay
+// date. Every record is the deferral that will actually come out of that
+// paycheck: scheduled elections and auto-escalation are applied as of the
+// pay date, and the amount stops at the annual limit (see paychecks.js).
+// Participants are included when the pay date is on their pay calendar.
+//
+// Each record's `changed` flag says whether it differs from the last one sent
+// to the same provider (election, or traditional / Roth amounts), in either
+// mode; a participant never sent before counts as changed. "full" includes
+// every record, "delta" only the changed ones.
+
+// Payroll providers and their file layouts. Add an entry for each provider
+// the plan sends to; PAYROLL_PROVIDER in config.js picks the default.
+//
+//   layout   "csv" (with a header row unless `headerRow: false`) or
+//            "fixed" (fixed-width records, with optional header and trailer
+//            records)
+//   columns  the fields of each participant record, in order:
+//            { field, header?, width?, format? } or { value } for a constant
+//   header / trailer (fixed)  columns over the feed summary (payDate, mode,
+//            generatedAt, recordCount, totalDeferral)
+//
+// Formats: "text" (default), "date" (YYYY-MM-DD), "yyyymmdd", "dollars"
+// (two decimals), "cents" (whole cents), "percent" (two decimals), "flag"
+// (Y/N), "number". Fixed-width text is left-aligned and space-padded;
+// numbers are right-aligned and zero-padded. Values never overflow a width;
+// text is truncated and numbers that don't fit are an error.
+
+export const PAYROLL_PROVIDERS = {
+  standard: {
+    layout: "csv",
+    columns: [
+      { field: "employeeId", header: "employee_id" },
+      { field: "name", header: "name" },
+      { field: "payDate", header: "pay_date", format: "date" },
+      { field: "frequency", header: "pay_frequency" },
+      { field: "contributionType", header: "election_type" },
+      { field: "contributionPercent", header: "election_percent", format: "percent" },
+      { field: "traditional", header: "pretax_deferral", format: "dollars" },
+      { field: "roth", header: "roth_deferral", format: "dollars" },
+      { field: "deferral", header: "total_deferral", format: "dollars" },
+      { field: "ytdAfter", header: "ytd_after", format: "dollars" },
+      { field: "limited", header: "limit_reached", format: "flag" },
+      { field: "changed", header: "changed", format: "flag" }
+    ]
+  },
+  "fixed-width": {
+    layout: "fixed",
+    header: [
+      { value: "H" },
+      { field: "payDate", width: 8, format: "yyyymmdd" },
+      { field: "mode", width: 5 },
+      { field: "generatedAt", width: 24 }
+    ],
+    columns: [
+      { value: "D" },
+      { field: "employeeId", width: 20 },
+      { field: "name", width: 30 },
+      { field: "payDate", width: 8, format: "yyyymmdd" },
+      { field: "traditional", width: 9, format: "cents" },
+      { field: "roth", width: 9, format: "cents" },
+      { field: "deferral", width: 9, format: "cents" },
+      { field: "ytdAfter", width: 9, format: "cents" },
+      { field: "changed", width: 1, format: "flag" }
+    ],
+    trailer: [
+      { value: "T" },
+      { field: "recordCount", width: 6, format: "number" },
+      { field: "totalDeferral", width: 12, format: "cents" }
+    ]
+  }
+};
+
+export const FEED_MODES = ["full", "delta"];
+
+const FILE_EXTENSIONS = { csv: "csv", fixed: "txt" };
+
+// The fields delta mode compares against what was last sent
+const SENT_FIELDS = ["contributionType", "contributionPercent", "traditional", "roth"];
+
+// Participant record for `payDate`, or null when they aren't paid that day
+function feedRecord({ user, state, pending }, { payDate, asOf }) {
+  const frequency = frequencyFor(state.payPeriodsPerYear);
+  const planYear = Number(payDate.slice(0, 4));
+  if (!payDatesForYear(frequency, planYear).includes(payDate)) return null;
+
+  const { paychecks } = simulatePaychecks(state, {
+    planYear,
+    asOf: asOf < payDate ? asOf : payDate,
+    frequency,
+    annualLimit: annualLimitFor(state.age, planYear),
+    pending
+  });
+  const paycheck = paychecks.find((row) => row.payDate === payDate);
+
+  return {
+    employeeId: user.userId,
+    name: user.name,
+    payDate,
+    frequency,
+    contributionType: paycheck.contributionType,
+    contributionPercent:
+      paycheck.contributionType === "percent"
+        ? paycheck.contributionValue
+        : paycheck.grossPay > 0
+          ? round2((paycheck.electedDeferral / paycheck.grossPay) * 100)
+          : 0,
+    traditional: paycheck.traditional,
+    roth: paycheck.roth,
+    deferral: paycheck.deferral,
+    ytdAfter: paycheck.ytdAfter,
+    limited: paycheck.limited
+  };
+}
+
+// What delta mode remembers about a record
+export function sentEntry(record) {
+  return Object.fromEntries(
+    [["userId", record.employeeId], ...SENT_FIELDS.map((field) => [field, record[field]])]
+  );
+}
+
+function changedSince(record, previous) {
+  return !previous || SENT_FIELDS.some((field) => previous[field] !== record[field]);
+}
+
+// `participants`: [{ user, state, pending }]; `lastSent`: { userId: entry }
+// from the provider's earlier feeds, whatever the mode
+export function buildPayrollFeed(participants, { payDate, mode, asOf, lastSent = {} }) {
+  const records = participants
+    .map((participant) => feedRecord(participant, { payDate, asOf }))
+    .filter(Boolean)
+    .map((record) => ({ ...record, changed: changedSince(record, lastSent[record.employeeId]) }))
+    .filter((record) => mode === "full" || record.changed);
+
+  return {
+    payDate,
+    mode,
+    recordCount: records.length,
+    totalDeferral: round2(records.reduce((sum, record) => sum + record.deferral, 0)),
+    records
+  };
+}
+
+// ---- Rendering ----
+
+function formatField(value, format) {
+  switch (format) {
+    case "date":
+      return value;
+    case "yyyymmdd":
+      return value.replaceAll("-", "");
+    case "dollars":
+    case "percent":
+      return value.toFixed(2);
+    case "cents":
+      return String(Math.round(value * 100));
+    case "flag":
+      return value ? "Y" : "N";
+    default:
+      return String(value ?? "");
+  }
+}
+
+const NUMERIC_FORMATS = ["cents", "number"];
+
+function fixedField(column, source) {
+  if (column.value !== undefined) return column.value;
+
+  const text = formatField(source[column.field], column.format);
+  if (!NUMERIC_FORMATS.includes(column.format)) {
+    return text.slice(0, column.width).padEnd(column.width);
+  }
+  if (text.length > column.width) {
+    throw new Error(`${column.field} does not fit in ${column.width} characters`);
+  }
+  return text.padStart(column.width, "0");
+}
+
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvField(column, source) {
+  if (column.value !== undefined) return csvCell(column.value);
+  return csvCell(formatField(source[column.field], column.format));
+}
+
+// Returns { content, contentType, extension }
+export function renderPayrollFeed(feed, provider, { generatedAt }) {
+  const summary = { ...feed, generatedAt };
+  const lines = [];
+
+  if (provider.layout === "fixed") {
+    const line = (columns, source) => columns.map((column) => fixedField(column, source)).join("");
+    if (provider.header) lines.push(line(provider.header, summary));
+    for (const record of feed.records) lines.push(line(provider.columns, record));
+    if (provider.trailer) lines.push(line(provider.trailer, summary));
+  } else {
+    if (provider.headerRow !== false) {
+      lines.push(provider.columns.map((column) => csvCell(column.header ?? column.field)).join(","));
+    }
+    for (const record of feed.records) {
+      lines.push(provider.columns.map((column) => csvField(column, record)).join(","));
+    }
+  }
+
+  return {
+    content: `${lines.join("\r\n")}\r\n`,
+    contentType: provider.layout === "fixed" ? "text/plain; charset=utf-8" : "text/csv; charset=utf-8",
+    extension: FILE_EXTENSIONS[provider.layout]
+  };
+}
@@ -0,0 +1,113 @@
+// ---- Minimal PDF writer ----
+//
+// Just enough of PDF 1.4 to lay out text documents locally, without a
+// third-party library or service: US Letter pages and left-aligned text in
+// the standard Helvetica, Helvetica-Bold and Courier fonts, which every
+// viewer has built in, so nothing needs embedding.
+//
+// Text must be printable ASCII; anything else is replaced with "?".
+
+export const PAGE = { width: 612, height: 792 };
+
+const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", mono: "Courier" };
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+// `pages` is a list of pages, each a list of text runs:
+// { text, x, y, size = 10, font = "regular" | "bold" | "mono" },
+// with x / y in points from the bottom-left corner. Returns a Buffer.
+export function renderPdf(pages, { title = "" } = {}) {
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+
+  const fontNames = {};
+  const fontRefs = Object.entries(FONTS).map(([key, baseFont], i) => {
+    fontNames[key] = `F${i + 1}`;
+    const id = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+    return `/F${i + 1} ${id} 0 R`;
+  });
+
+  const pageIds = pages.map((runs) => {
+    const content = runs
+      .map(
+        ({ text, x, y, size = 10, font = "regular" }) =>
+          `BT /${fontNames[font]} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`
+      )
+      .join("\n");
+    const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+        `/Resources << /Font << ${fontRefs.join(" ")} >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title (${escapeText(title)}) /Producer (HI-401k) >>`);
+
+  // Everything above is ASCII, so string length is byte length
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  out += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(out, "latin1");
+}
+
+// Flows lines of text down the page from the top margin, starting a new page
+// when one fills up. `onNewPage` runs at the top of every page after the
+// first, e.g. to repeat a table header.
+export function createTextFlow({ margin = 50, lineGap = 4 } = {}) {
+  const pages = [[]];
+  let y = PAGE.height - margin;
+  let onNewPage = null;
+
+  const flow = {
+    pages,
+    margin,
+
+    // Several runs on one baseline, e.g. a label and its value
+    row(cells, { size = 10, font = "regular" } = {}) {
+      if (y - size < margin) {
+        pages.push([]);
+        y = PAGE.height - margin;
+        onNewPage?.();
+      }
+      y -= size;
+      for (const { text, x = margin } of cells) {
+        pages[pages.length - 1].push({ text, x, y, size, font });
+      }
+      y -= lineGap;
+      return flow;
+    },
+
+    line(text, { x = margin, ...options } = {}) {
+      return flow.row([{ text, x }], options);
+    },
+
+    space(points) {
+      y -= points;
+      return flow;
+    },
+
+    repeatOnNewPage(callback) {
+      onNewPage = callback;
+    }
+  };
+  return flow;
+}
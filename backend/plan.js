@@ -0,0 +1,47 @@
+import { ASSUMPTIONS, ELECTION_BOUNDS, EMPLOYER_MATCH, RECOMMENDED_PERCENT } from "./config.js";
+import { CONTRIBUTION_TYPES, round2 } from "./election.js";
+
+// ---- Plan configuration ----
+//
+// Plan-wide settings an administrator can change at runtime through
+// /api/admin/plan, instead of editing constants and restarting:
+//
+//   assumptions         projection assumptions (percent figures, retirement age,
+//                       withdrawal rate for income goals)
+//   deferral            bounds on an election: { minPercent, maxPercent,
+//                       minDollar, maxDollar }
+//   recommendedPercent  rate the page recommends
+//   contributionTypes   which of "percent" / "dollar" participants may choose
+//   employerMatch       match formula (see shared/match.js)
+//
+// Requests carry the plan in effect as `req.plan` (see routes/plan.js), so
+// every route reads the same values. Until an admin saves one, DEFAULT_PLAN
+// applies.
+
+export const DEFAULT_PLAN = {
+  assumptions: {
+    annualReturnPercent: round2(ASSUMPTIONS.ANNUAL_RETURN * 100),
+    volatilityPercent: round2(ASSUMPTIONS.RETURN_VOLATILITY * 100),
+    salaryGrowthPercent: round2(ASSUMPTIONS.SALARY_GROWTH * 100),
+    inflationPercent: round2(ASSUMPTIONS.INFLATION * 100),
+    retirementAge: ASSUMPTIONS.RETIREMENT_AGE,
+    withdrawalRatePercent: round2(ASSUMPTIONS.WITHDRAWAL_RATE * 100)
+  },
+  deferral: { ...ELECTION_BOUNDS },
+  recommendedPercent: RECOMMENDED_PERCENT,
+  contributionTypes: [...CONTRIBUTION_TYPES],
+  employerMatch: EMPLOYER_MATCH
+};
+
+// The projectBalance() inputs a plan decides (everything but the
+// participant's own numbers)
+export function planProjectionInputs(plan) {
+  const { assumptions } = plan;
+  return {
+    retirementAge: assumptions.retirementAge,
+    annualReturn: assumptions.annualReturnPercent / 100,
+    salaryGrowth: assumptions.salaryGrowthPercent / 100,
+    inflation: assumptions.inflationPercent / 100,
+    employerMatch: plan.employerMatch
+  };
+}
@@ -0,0 +1,117 @@
+import express from "express";
+import { createSessionToken, hashPassword, verifyPassword } from "../auth.js";
+import { defineSchema, validateRequest } from "../validation.js";
+import { SESSION_COOKIE, requireCsrf, requireSession } from "./session.js";
+
+// Checked against when the username is unknown, so a failed login takes the
+// same time either way and doesn't reveal which usernames exist
+const DUMMY_HASH = hashPassword("not-a-real-password");
+
+const credentialsSchema = defineSchema({
+  username: { type: "string", required: true, minLength: 1 },
+  password: { type: "string", required: true, minLength: 1 }
+});
+
+// Page languages the frontend has a message catalog for
+const LANGUAGES = ["en", "es"];
+
+const preferencesSchema = defineSchema({
+  language: { type: "string", enum: LANGUAGES, nullable: true }
+});
+
+function publicSession({ username, userId, role }) {
+  return { username, userId, role };
+}
+
+// ---- Router ----
+//
+// `sessionOptions`: { secret, ttlMs, secure }
+
+export function createAuthRouter({ accounts, sessionOptions }) {
+  const router = express.Router();
+
+  function authenticate({ username, password }) {
+    const account = accounts.findCredentials(username);
+    const valid = verifyPassword(password, account?.passwordHash ?? DUMMY_HASH);
+    return account && valid ? account : null;
+  }
+
+  function preferencesOf(username) {
+    return accounts.findByUsername(username)?.preferences ?? { language: null };
+  }
+
+  // Browser sign-in: sets the session cookie and returns the CSRF token
+  router.post("/login", validateRequest({ body: credentialsSchema }), (req, res) => {
+    const account = authenticate(req.body);
+    if (!account) {
+      return res
+        .status(401)
+        .json({ error: "Invalid username or password", code: "INVALID_CREDENTIALS" });
+    }
+
+    const { token, session } = createSessionToken(account, sessionOptions);
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: sessionOptions.secure,
+      maxAge: sessionOptions.ttlMs,
+      path: "/"
+    });
+    return res.json({
+      ok: true,
+      user: publicSession(session),
+      preferences: preferencesOf(session.username),
+      csrfToken: session.csrfToken
+    });
+  });
+
+  // Sign-in for scripts and other API clients: returns a bearer token
+  router.post("/token", validateRequest({ body: credentialsSchema }), (req, res) => {
+    const account = authenticate(req.body);
+    if (!account) {
+      return res
+        .status(401)
+        .json({ error: "Invalid username or password", code: "INVALID_CREDENTIALS" });
+    }
+
+    const { token, session } = createSessionToken(account, sessionOptions);
+    return res.json({
+      token,
+      tokenType: "Bearer",
+      expiresAt: new Date(session.exp).toISOString(),
+      user: publicSession(session)
+    });
+  });
+
+  // Who is signed in (lets the page restore a session after a reload)
+  router.get("/session", requireSession, (req, res) => {
+    res.json({
+      user: publicSession(req.session),
+      preferences: preferencesOf(req.session.username),
+      csrfToken: req.sessionVia === "cookie" ? req.session.csrfToken : null
+    });
+  });
+
+  // The signed-in account's settings, e.g. { "language": "es" } (null for
+  // the default)
+  router.put(
+    "/preferences",
+    requireSession,
+    requireCsrf,
+    validateRequest({ body: preferencesSchema }),
+    (req, res) => {
+      const preferences = accounts.updatePreferences(req.session.username, req.body);
+      if (!preferences) {
+        return res.status(404).json({ error: "Account not found", code: "NOT_FOUND" });
+      }
+      return res.json({ preferences });
+    }
+  );
+
+  router.post("/logout", requireSession, requireCsrf, (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.json({ ok: true });
+  });
+
+  return router;
+}
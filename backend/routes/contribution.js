@@ -0,0 +1,463 @@
+import express from "express";
+import { PLAN_YEAR } from "../config.js";
+import { solveContribution } from "../goal.js";
+import { checkAnnualLimit, limitsForYear } from "../limits.js";
+import { planProjectionInputs } from "../plan.js";
+import { annualEmployerMatch, fullMatchPercent } from "../../shared/match.js";
+import { escalationFor, projectBalance } from "../../shared/projection.js";
+import { estimatePaycheck, perPaycheckSources } from "../../shared/taxes.js";
+import {
+  applySnapshotFields,
+  describeCancellation,
+  describeChange,
+  electionOf,
+  parseContribution,
+  round2,
+  scaleSources,
+  toPercentOfSalary
+} from "../election.js";
+import { electionSchemaFor, snapshotSchema } from "../schemas.js";
+import { todayIso } from "../scheduler.js";
+import { buildStatement, statementToCsv, statementToPdf } from "../statement.js";
+import { defineSchema, issue, mergeSchemas, validateRequest } from "../validation.js";
+import { loadParticipant } from "./participant.js";
+
+// Who made a change, for the change log
+function actorFrom(req) {
+  return {
+    changedBy: req.session.username,
+    source: req.get("X-Change-Source") || "api",
+    userAgent: req.get("User-Agent") ?? null
+  };
+}
+
+// ---- Request schemas ----
+//
+// Election bounds and defaults come from the plan configuration, so most
+// schemas are built per request from `req.plan`.
+
+const saveSchema = (req) =>
+  mergeSchemas(
+    electionSchemaFor(req.plan),
+    snapshotSchema,
+    defineSchema({
+      effectiveDate: { type: "date" },
+      capAtLimit: { type: "boolean", default: false }
+    })
+  );
+
+const takeHomeSchema = (req) => mergeSchemas(electionSchemaFor(req.plan), snapshotSchema);
+
+const historyQuerySchema = defineSchema({
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+  offset: { type: "integer", min: 0, default: 0 }
+});
+
+// Auto-escalation bounds are percent of salary; the rule's settings are only
+// required when turning it on
+const autoEscalationSchema = (req) =>
+  defineSchema(
+    {
+      enabled: { type: "boolean", required: true },
+      incrementPercent: { type: "number", greaterThan: 0, max: 5 },
+      capPercent: { type: "number", greaterThan: 0, max: req.plan.deferral.maxPercent },
+      monthDay: { type: "monthDay" }
+    },
+    [
+      (body) =>
+        body.enabled
+          ? ["incrementPercent", "capPercent", "monthDay"]
+              .filter((field) => body[field] === undefined)
+              .map((field) => issue(field, "required", `${field} is required`))
+          : null
+    ]
+  );
+
+// Retirement goal: a target balance, or a monthly income drawn at the
+// withdrawal rate. Snapshot fields may be overridden to solve for a what-if.
+const GOAL_TYPES = ["balance", "income"];
+
+const goalSchema = (req) =>
+  mergeSchemas(
+    defineSchema(
+      {
+        goalType: { type: "string", required: true, enum: GOAL_TYPES },
+        targetBalance: { type: "number", greaterThan: 0, max: 100000000 },
+        monthlyIncome: { type: "number", greaterThan: 0, max: 1000000 },
+        withdrawalRatePercent: {
+          type: "number",
+          greaterThan: 0,
+          max: 20,
+          default: req.plan.assumptions.withdrawalRatePercent
+        },
+        // Target in today's dollars ("real") or future dollars ("nominal")
+        dollarBasis: { type: "string", enum: ["real", "nominal"], default: "real" }
+      },
+      [
+        ({ goalType, targetBalance, monthlyIncome }) => {
+          if (goalType === "balance" && targetBalance === undefined) {
+            return issue("targetBalance", "required", "targetBalance is required");
+          }
+          if (goalType === "income" && monthlyIncome === undefined) {
+            return issue("monthlyIncome", "required", "monthlyIncome is required");
+          }
+          return null;
+        }
+      ]
+    ),
+    snapshotSchema
+  );
+
+const EXPORT_FORMATS = ["csv", "pdf"];
+
+const exportQuerySchema = defineSchema({
+  format: { type: "string", enum: EXPORT_FORMATS, default: "csv" }
+});
+
+// Strong ETag for a participant's contribution state
+function etagFor(state) {
+  return `"${state.version}"`;
+}
+
+// Take-home estimate for a paycheck under `state`'s election
+function takeHomeFor(state) {
+  return estimatePaycheck({
+    salary: state.salary,
+    payPeriodsPerYear: state.payPeriodsPerYear,
+    filingStatus: state.filingStatus,
+    planYear: PLAN_YEAR,
+    ...perPaycheckSources(state)
+  });
+}
+
+// projectBalance() inputs for `state` under the plan assumptions, without
+// the contribution itself
+function projectionInputsFor(state, plan) {
+  return {
+    ...planProjectionInputs(plan),
+    age: state.age,
+    currentBalance: state.currentBalance,
+    salary: state.salary,
+    escalation: escalationFor(state.contributionType, state.autoEscalation)
+  };
+}
+
+// ---- Router ----
+//
+// Mounted at both /api/contribution (the signed-in participant) and
+// /api/users/:userId/contribution, so every handler reads the user from
+// `req.userId` rather than from the path.
+
+export function createContributionRouter({ contributions, users, webhookDispatcher }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(loadParticipant(contributions));
+
+  // Contribution settings and assumptions, as returned by GET / (and with
+  // a 409 so the client can show what changed)
+  function describeState(state, plan) {
+    const {
+      userId,
+      age,
+      salary,
+      payPeriodsPerYear,
+      ytdContribution,
+      contributionType,
+      contributionValue,
+      sources,
+      currentBalance,
+      filingStatus,
+      autoEscalation,
+      version
+    } = state;
+    const currentPercent = toPercentOfSalary(state);
+
+    return {
+      userId,
+      version,
+      age,
+      salary,
+      payPeriodsPerYear,
+      ytdContribution,
+      currentBalance,
+      filingStatus,
+      contributionType,
+      contributionValue,
+      sources,
+      currentPercent,
+      pending: contributions.listPending(userId),
+      autoEscalation,
+      employerMatch: {
+        ...plan.employerMatch,
+        fullMatchPercent: fullMatchPercent(plan.employerMatch),
+        annualMatch: annualEmployerMatch(plan.employerMatch, salary, currentPercent)
+      },
+      limits: limitsForYear(PLAN_YEAR),
+      annualLimit: checkAnnualLimit(state, { planYear: PLAN_YEAR, bounds: plan.deferral }),
+      takeHome: takeHomeFor(state),
+      assumptions: plan.assumptions
+    };
+  }
+
+  // Updates must be made against the latest version: the client echoes the
+  // ETag from its last read in If-Match, and anything that saved in between
+  // (another tab, an admin, a scheduled change) turns the update into a 409
+  // carrying the current state instead of silently overwriting it.
+  function requireCurrentVersion(req, res, next) {
+    const ifMatch = req.get("If-Match");
+    if (!ifMatch) {
+      return res.status(428).json({
+        error: "If-Match header is required",
+        code: "PRECONDITION_REQUIRED"
+      });
+    }
+    const current = etagFor(req.contributionState);
+    if (ifMatch !== "*" && !ifMatch.split(",").some((tag) => tag.trim() === current)) {
+      res.set("ETag", current);
+      return res.status(409).json({
+        error: "This contribution was changed elsewhere",
+        code: "VERSION_CONFLICT",
+        current: describeState(req.contributionState, req.plan)
+      });
+    }
+    next();
+  }
+
+  // "contribution.updated" webhook event for a successful save. `election`
+  // is what was elected, which for a scheduled change is still pending.
+  function publishUpdate(req, saved, { election, effectiveDate, capped }) {
+    webhookDispatcher.publish("contribution.updated", {
+      userId: req.userId,
+      version: saved.version,
+      changedBy: req.session.username,
+      source: actorFrom(req).source,
+      scheduled: effectiveDate > todayIso(),
+      effectiveDate,
+      previousElection: electionOf(req.contributionState),
+      election: electionOf(election),
+      capped,
+      contributionState: saved
+    });
+  }
+
+  // Get current contribution settings and assumptions
+  router.get("/", (req, res) => {
+    res.set("ETag", etagFor(req.contributionState));
+    res.json(describeState(req.contributionState, req.plan));
+  });
+
+  // Change log, newest first: ?limit=20&offset=0
+  router.get("/history", validateRequest({ query: historyQuerySchema }), (req, res) => {
+    const { limit, offset } = req.query;
+    const { total, entries } = contributions.listHistory(req.userId, { limit, offset });
+
+    res.json({ entries, total, limit, offset });
+  });
+
+  // Downloadable statement of the saved election: ?format=csv|pdf
+  router.get("/export", validateRequest({ query: exportQuerySchema }), (req, res) => {
+    const { format } = req.query;
+    const state = req.contributionState;
+    const generatedAt = new Date();
+
+    const statement = buildStatement(state, {
+      participant: users.findById(req.userId),
+      plan: req.plan,
+      planYear: PLAN_YEAR,
+      generatedAt: generatedAt.toISOString(),
+      generatedBy: req.session.username
+    });
+
+    const date = generatedAt.toISOString().slice(0, 10);
+    res.attachment(`401k-statement-${req.userId}-${date}.${format}`);
+    res.set("Cache-Control", "no-store");
+    if (format === "pdf") {
+      res.type("application/pdf").send(statementToPdf(statement));
+    } else {
+      res.type("text/csv; charset=utf-8").send(statementToCsv(statement));
+    }
+  });
+
+  // Net paycheck before and after a proposed election (same body as a save;
+  // snapshot fields such as salary or filingStatus may be overridden too).
+  // Nothing is saved.
+  router.post("/take-home", validateRequest({ body: takeHomeSchema }), (req, res) => {
+    const contribution = parseContribution(req.body);
+
+    const current = applySnapshotFields({ ...req.contributionState }, req.body);
+    const proposed = { ...current, ...contribution };
+
+    const before = takeHomeFor(current);
+    const after = takeHomeFor(proposed);
+
+    res.json({
+      planYear: PLAN_YEAR,
+      filingStatus: before.filingStatus,
+      current: before,
+      proposed: after,
+      netPayChange: round2(after.netPay - before.netPay)
+    });
+  });
+
+  // Smallest contribution that reaches a retirement goal, e.g.
+  // { goalType: "income", monthlyIncome: 5000 } or
+  // { goalType: "balance", targetBalance: 1500000, dollarBasis: "nominal" },
+  // and how ready the saved election is. Nothing is saved.
+  router.post("/goal", validateRequest({ body: goalSchema }), (req, res) => {
+    const { goalType, targetBalance, monthlyIncome, withdrawalRatePercent, dollarBasis } = req.body;
+    const goal =
+      goalType === "income"
+        ? { goalType, monthlyIncome, withdrawalRatePercent, dollarBasis }
+        : { goalType, targetBalance, dollarBasis };
+
+    const state = applySnapshotFields({ ...req.contributionState }, req.body);
+    const projection = projectionInputsFor(state, req.plan);
+    const solution = solveContribution(projection, goal, {
+      payPeriodsPerYear: state.payPeriodsPerYear,
+      planYear: PLAN_YEAR,
+      minPercent: req.plan.deferral.minPercent,
+      maxPercent: req.plan.deferral.maxPercent
+    });
+
+    const currentPercent = toPercentOfSalary(state);
+    const current = projectBalance({ ...projection, contributionPercent: currentPercent });
+    const projectedAtCurrent = dollarBasis === "real" ? current.finalBalanceReal : current.finalBalance;
+
+    res.json({
+      goal,
+      ...solution,
+      currentPercent: round2(currentPercent),
+      projectedAtCurrent: round2(projectedAtCurrent),
+      readinessPercent: round2((projectedAtCurrent / solution.targetBalance) * 100)
+    });
+  });
+
+  // Save new contribution selection (and optional snapshot fields).
+  // A future `effectiveDate` (YYYY-MM-DD) schedules the election instead of
+  // applying it; snapshot fields are always saved right away.
+  router.post("/", requireCurrentVersion, validateRequest({ body: saveSchema }), (req, res) => {
+    const contribution = parseContribution(req.body);
+    const { effectiveDate } = req.body;
+    const scheduled = effectiveDate !== undefined && effectiveDate > todayIso();
+
+    // Start from previous state and update fields
+    const nextState = applySnapshotFields(
+      { ...req.contributionState, ...contribution },
+      req.body
+    );
+
+    // IRS 402(g) limit (+ catch-up) on YTD plus the remaining paychecks.
+    // Callers may opt in to having the election lowered to the maximum instead.
+    const limitOptions = {
+      planYear: PLAN_YEAR,
+      bounds: req.plan.deferral,
+      asOf: scheduled ? new Date(`${effectiveDate}T00:00:00Z`) : new Date()
+    };
+    let annualLimit = checkAnnualLimit(nextState, limitOptions);
+    let capped = false;
+    if (annualLimit.exceeded) {
+      if (!req.body.capAtLimit) {
+        return res.status(400).json({
+          error: "Contribution would exceed the annual deferral limit",
+          code: "ANNUAL_LIMIT_EXCEEDED",
+          annualLimit
+        });
+      }
+      nextState.sources = scaleSources(
+        nextState.sources,
+        annualLimit.maxContributionValue,
+        nextState.contributionType
+      );
+      nextState.contributionValue = round2(
+        nextState.sources.traditional + nextState.sources.roth
+      );
+      annualLimit = checkAnnualLimit(nextState, limitOptions);
+      capped = true;
+    }
+
+    if (scheduled) {
+      const snapshotOnly = {
+        ...nextState,
+        contributionType: req.contributionState.contributionType,
+        contributionValue: req.contributionState.contributionValue,
+        sources: req.contributionState.sources
+      };
+      // Logged now, by whoever asked for it, with the election it will switch
+      // to; the scheduler logs the switch itself on the effective date
+      const change = describeChange(req.contributionState, nextState, actorFrom(req));
+      const saved = contributions.save(snapshotOnly, change && { ...change, effectiveDate });
+      const pending = contributions.addPending({
+        userId: req.userId,
+        effectiveDate,
+        contributionType: nextState.contributionType,
+        contributionValue: nextState.contributionValue,
+        sources: nextState.sources,
+        requestedBy: req.session.username
+      });
+
+      publishUpdate(req, saved, { election: nextState, effectiveDate, capped });
+      res.set("ETag", etagFor(saved));
+      return res.status(202).json({ ok: true, contributionState: saved, pending, annualLimit, capped });
+    }
+
+    const saved = contributions.save(
+      nextState,
+      describeChange(req.contributionState, nextState, actorFrom(req))
+    );
+
+    publishUpdate(req, saved, { election: saved, effectiveDate: todayIso(), capped });
+    res.set("ETag", etagFor(saved));
+    return res.json({ ok: true, contributionState: saved, annualLimit, capped });
+  });
+
+  // Cancel a scheduled election before it takes effect. Like any other
+  // update it is made against the latest version and goes in the change log.
+  router.delete("/pending/:pendingId", requireCurrentVersion, (req, res) => {
+    const pending = contributions
+      .listPending(req.userId)
+      .find((p) => p.id === req.params.pendingId);
+    if (!pending) {
+      return res.status(404).json({ error: "Pending change not found", code: "NOT_FOUND" });
+    }
+
+    const saved = contributions.save(
+      req.contributionState,
+      describeCancellation(pending, actorFrom(req)),
+      { cancelledPendingIds: [pending.id] }
+    );
+
+    res.set("ETag", etagFor(saved));
+    return res.json({
+      ok: true,
+      pending: { ...pending, status: "cancelled" },
+      version: saved.version
+    });
+  });
+
+  // Opt in/out of automatic annual increases:
+  // { enabled, incrementPercent, capPercent, monthDay: "MM-DD" }
+  router.put(
+    "/auto-escalation",
+    requireCurrentVersion,
+    validateRequest({ body: autoEscalationSchema }),
+    (req, res) => {
+      const { enabled, incrementPercent, capPercent, monthDay } = req.body;
+
+      let rule = { ...req.contributionState.autoEscalation, enabled };
+      if (enabled) {
+        // Counting starts today, so opting in never triggers an immediate bump
+        rule = { enabled, incrementPercent, capPercent, monthDay, since: todayIso() };
+      }
+
+      const next = { ...req.contributionState, autoEscalation: rule };
+      const saved = contributions.save(
+        next,
+        describeChange(req.contributionState, next, actorFrom(req))
+      );
+      res.set("ETag", etagFor(saved));
+      return res.json({ ok: true, autoEscalation: saved.autoEscalation, version: saved.version });
+    }
+  );
+
+  return router;
+}
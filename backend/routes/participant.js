@@ -0,0 +1,22 @@
+import { DEFAULT_USER_ID } from "../db/seed.js";
+import { applyDueChanges } from "../scheduler.js";
+
+// Resolves the participant for per-user routers mounted both under
+// /api/users/:userId/... and at a top-level path for the signed-in
+// participant. Participants may only open their own record; admins may open
+// any (and default to the demo participant). Sets `req.userId` and
+// `req.contributionState` (with any scheduled change that has come due
+// already carried out), or answers 403/404.
+export function loadParticipant(contributions) {
+  return (req, res, next) => {
+    req.userId = req.params.userId ?? req.session.userId ?? DEFAULT_USER_ID;
+    if (req.session.role !== "admin" && req.userId !== req.session.userId) {
+      return res.status(403).json({ error: "Not allowed", code: "FORBIDDEN" });
+    }
+    req.contributionState = applyDueChanges(contributions, req.userId);
+    if (!req.contributionState) {
+      return res.status(404).json({ error: "User not found", code: "NOT_FOUND" });
+    }
+    next();
+  };
+}
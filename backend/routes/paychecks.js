@@ -0,0 +1,54 @@
+import express from "express";
+import { PLAN_YEAR } from "../config.js";
+import { annualLimitFor } from "../limits.js";
+import { PAY_FREQUENCIES, frequencyFor } from "../payCalendar.js";
+import { simulatePaychecks } from "../paychecks.js";
+import { todayIso } from "../scheduler.js";
+import { defineSchema, issue, validateRequest } from "../validation.js";
+import { loadParticipant } from "./participant.js";
+
+// Paychecks before today have already been taken and are in the YTD figure,
+// so (like payroll feeds) the table can't start any earlier.
+const querySchema = defineSchema(
+  {
+    frequency: { type: "string", enum: Object.keys(PAY_FREQUENCIES) },
+    asOf: { type: "date" }
+  },
+  [
+    ({ asOf }) =>
+      asOf !== undefined && asOf < todayIso()
+        ? issue("asOf", "too_small", "asOf must be today or later")
+        : null
+  ]
+);
+
+// ---- Router ----
+//
+// Mounted at /api/paychecks (the signed-in participant) and
+// /api/users/:userId/paychecks.
+
+export function createPaychecksRouter({ contributions }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(loadParticipant(contributions));
+
+  // Remaining paychecks of the plan year: ?frequency=biweekly&asOf=YYYY-MM-DD
+  // Frequency defaults to the one matching the participant's payPeriodsPerYear.
+  router.get("/", validateRequest({ query: querySchema }), (req, res) => {
+    const state = req.contributionState;
+    const frequency = req.query.frequency ?? frequencyFor(state.payPeriodsPerYear);
+    const asOf = req.query.asOf ?? todayIso();
+
+    res.json(
+      simulatePaychecks(state, {
+        planYear: PLAN_YEAR,
+        asOf,
+        frequency,
+        annualLimit: annualLimitFor(state.age, PLAN_YEAR),
+        pending: contributions.listPending(req.userId)
+      })
+    );
+  });
+
+  return router;
+}
@@ -0,0 +1,100 @@
+import express from "express";
+import { PAYROLL_PROVIDER, PLAN_YEAR } from "../config.js";
+import { FEED_MODES, PAYROLL_PROVIDERS, buildPayrollFeed, renderPayrollFeed, sentEntry } from "../payroll.js";
+import { applyDueChanges, todayIso } from "../scheduler.js";
+import { defineSchema, issue, validateRequest } from "../validation.js";
+import { requireRole } from "./session.js";
+
+// YTD figures are for the current plan year, so feeds are too. They are
+// also as of today: a past pay date would count deferrals already taken
+// against its own YTD, so feeds are only built for today or later.
+const feedQuerySchema = defineSchema(
+  {
+    payDate: { type: "date", required: true },
+    provider: { type: "string", enum: Object.keys(PAYROLL_PROVIDERS), default: PAYROLL_PROVIDER },
+    mode: { type: "string", enum: FEED_MODES, default: "full" }
+  },
+  [
+    ({ payDate }) => {
+      const year = Number(payDate.slice(0, 4));
+      if (year < PLAN_YEAR) {
+        return issue("payDate", "too_small", `payDate must be in plan year ${PLAN_YEAR}`);
+      }
+      if (year > PLAN_YEAR) {
+        return issue("payDate", "too_large", `payDate must be in plan year ${PLAN_YEAR}`);
+      }
+      return null;
+    },
+    ({ payDate }) =>
+      payDate < todayIso()
+        ? issue("payDate", "too_small", "payDate must be today or later")
+        : null
+  ]
+);
+
+const feedsQuerySchema = defineSchema({
+  limit: { type: "integer", min: 1, max: 100, default: 20 }
+});
+
+// ---- Router ----
+//
+// Mounted at /api/payroll. Admin only: feeds carry every participant's pay
+// data.
+
+export function createPayrollRouter({ users, contributions, payrollFeeds }) {
+  const router = express.Router();
+
+  router.use(requireRole("admin"));
+
+  // Deferral file for a pay date: ?payDate=YYYY-MM-DD&provider=standard&mode=full|delta
+  // Every feed served is logged, and becomes the baseline for the next one's
+  // changed flags (and for which records a delta includes).
+  router.get("/feed", validateRequest({ query: feedQuerySchema }), (req, res) => {
+    const { payDate, provider, mode } = req.query;
+    const today = todayIso();
+
+    const participants = users
+      .list()
+      .map((user) => ({
+        user,
+        state: applyDueChanges(contributions, user.userId, today),
+        pending: contributions.listPending(user.userId)
+      }))
+      .filter((participant) => participant.state);
+
+    const feed = buildPayrollFeed(participants, {
+      payDate,
+      mode,
+      asOf: today,
+      lastSent: payrollFeeds.lastSent(provider)
+    });
+    const generatedAt = new Date().toISOString();
+    const { content, contentType, extension } = renderPayrollFeed(
+      feed,
+      PAYROLL_PROVIDERS[provider],
+      { generatedAt }
+    );
+
+    const logged = payrollFeeds.record({
+      provider,
+      payDate,
+      mode,
+      generatedAt,
+      generatedBy: req.session.username,
+      recordCount: feed.recordCount,
+      totalDeferral: feed.totalDeferral,
+      entries: feed.records.map(sentEntry)
+    });
+
+    res.attachment(`payroll-${provider}-${payDate}-${mode}.${extension}`);
+    res.set("X-Payroll-Feed-Id", logged.id);
+    res.type(contentType).send(content);
+  });
+
+  // Feeds generated so far, newest first: ?limit=20
+  router.get("/feeds", validateRequest({ query: feedsQuerySchema }), (req, res) => {
+    res.json({ feeds: payrollFeeds.list({ limit: req.query.limit }) });
+  });
+
+  return router;
+}
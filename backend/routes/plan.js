@@ -0,0 +1,145 @@
+import express from "express";
+import { CONTRIBUTION_TYPES } from "../election.js";
+import { defineSchema, issue, validateRequest, validationError } from "../validation.js";
+import { requireRole } from "./session.js";
+
+// Every section is optional; fields left out keep their current values.
+// contributionTypes and employerMatch are replaced as a whole.
+const patchSchema = defineSchema({
+  assumptions: {
+    type: "object",
+    fields: {
+      annualReturnPercent: { type: "number", min: -10, max: 20 },
+      volatilityPercent: { type: "number", min: 0, max: 50 },
+      salaryGrowthPercent: { type: "number", min: -10, max: 20 },
+      inflationPercent: { type: "number", min: -5, max: 20 },
+      retirementAge: { type: "integer", min: 50, max: 80 },
+      withdrawalRatePercent: { type: "number", greaterThan: 0, max: 20 }
+    }
+  },
+  deferral: {
+    type: "object",
+    fields: {
+      minPercent: { type: "number", min: 0, max: 100 },
+      maxPercent: { type: "number", greaterThan: 0, max: 100 },
+      minDollar: { type: "number", min: 0 },
+      maxDollar: { type: "number", greaterThan: 0, max: 100000 }
+    }
+  },
+  recommendedPercent: { type: "number", min: 0, max: 100 },
+  contributionTypes: {
+    type: "array",
+    minItems: 1,
+    maxItems: CONTRIBUTION_TYPES.length,
+    items: { type: "string", enum: CONTRIBUTION_TYPES }
+  },
+  employerMatch: {
+    type: "object",
+    fields: {
+      tiers: {
+        type: "array",
+        required: true,
+        maxItems: 5,
+        items: {
+          type: "object",
+          fields: {
+            upToPercent: { type: "number", required: true, greaterThan: 0, max: 100 },
+            rate: { type: "number", required: true, min: 0, max: 5 }
+          }
+        }
+      },
+      annualCap: { type: "number", nullable: true, min: 0, default: null }
+    }
+  }
+});
+
+// Checks that only make sense on the merged plan
+function planIssues(plan) {
+  const issues = [];
+  const { deferral } = plan;
+  if (deferral.minPercent > deferral.maxPercent) {
+    issues.push(issue("deferral.minPercent", "too_large", "minPercent must not exceed maxPercent"));
+  }
+  if (deferral.minDollar > deferral.maxDollar) {
+    issues.push(issue("deferral.minDollar", "too_large", "minDollar must not exceed maxDollar"));
+  }
+  if (plan.recommendedPercent > deferral.maxPercent) {
+    issues.push(
+      issue("recommendedPercent", "too_large", "recommendedPercent must not exceed maxPercent")
+    );
+  }
+  if (new Set(plan.contributionTypes).size !== plan.contributionTypes.length) {
+    issues.push(issue("contributionTypes", "invalid_format", "contributionTypes must not repeat"));
+  }
+  plan.employerMatch.tiers.forEach((tier, i) => {
+    if (i > 0 && tier.upToPercent <= plan.employerMatch.tiers[i - 1].upToPercent) {
+      issues.push(
+        issue(
+          `employerMatch.tiers.${i}.upToPercent`,
+          "invalid_order",
+          "Match tiers must be in increasing order of upToPercent"
+        )
+      );
+    }
+  });
+  return issues;
+}
+
+// Sets `req.plan` to the plan configuration in effect
+export function loadPlan(plans) {
+  return (req, res, next) => {
+    req.plan = plans.get();
+    next();
+  };
+}
+
+// ---- Routers ----
+
+// Read-only, for every signed-in user: /api/plan
+export function createPlanRouter() {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json(req.plan);
+  });
+
+  return router;
+}
+
+// Admin only: /api/admin/plan
+export function createAdminPlanRouter({ plans }) {
+  const router = express.Router();
+
+  router.use(requireRole("admin"));
+
+  router.get("/", (req, res) => {
+    res.json(req.plan);
+  });
+
+  // Change part of the plan, e.g. { "assumptions": { "retirementAge": 67 } }
+  router.patch("/", validateRequest({ body: patchSchema }), (req, res) => {
+    const { assumptions, deferral, recommendedPercent, contributionTypes, employerMatch } =
+      req.body;
+    const current = req.plan;
+    const next = {
+      assumptions: { ...current.assumptions, ...assumptions },
+      deferral: { ...current.deferral, ...deferral },
+      recommendedPercent: recommendedPercent ?? current.recommendedPercent,
+      contributionTypes: contributionTypes ?? current.contributionTypes,
+      employerMatch: employerMatch ?? current.employerMatch
+    };
+
+    const issues = planIssues(next);
+    if (issues.length) {
+      return res.status(400).json(validationError(issues));
+    }
+    return res.json(plans.save(next, { updatedBy: req.session.username }));
+  });
+
+  // Back to the defaults in backend/config.js
+  router.delete("/", (req, res) => {
+    res.json(plans.reset());
+  });
+
+  return router;
+}
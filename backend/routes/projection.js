@@ -0,0 +1,140 @@
+import express from "express";
+import { ASSUMPTIONS } from "../config.js";
+import { projectBalance } from "../../shared/projection.js";
+import { simulateBalances } from "../simulation.js";
+import { parseContribution, toPercentOfSalary } from "../election.js";
+import { optionalElectionSchemaFor } from "../schemas.js";
+import { defineSchema, issue, mergeSchemas, validateRequest } from "../validation.js";
+
+const MAX_TRIALS = 10000;
+
+// Assumptions default to the plan configuration
+const projectionSchema = (req) => {
+  const { assumptions } = req.plan;
+  return mergeSchemas(
+    defineSchema(
+      {
+        age: { type: "number", required: true, min: 1, max: 99 },
+        salary: { type: "number", required: true, min: 0 },
+        currentBalance: { type: "number", required: true, min: 0 },
+        retirementAge: { type: "number", min: 1, max: 120, default: assumptions.retirementAge },
+        annualReturnPercent: {
+          type: "number",
+          min: -50,
+          max: 50,
+          default: assumptions.annualReturnPercent
+        },
+        salaryGrowthPercent: {
+          type: "number",
+          min: -20,
+          max: 20,
+          default: assumptions.salaryGrowthPercent
+        },
+        inflationPercent: { type: "number", min: -10, max: 20, default: assumptions.inflationPercent },
+        payPeriodsPerYear: { type: "number", min: 1, max: 52, default: 24 },
+        contributionPercent: { type: "number", min: 0, max: 100 },
+        includeEmployerMatch: { type: "boolean", default: true },
+        // Optional auto-escalation rule
+        autoEscalation: {
+          type: "object",
+          nullable: true,
+          fields: {
+            incrementPercent: { type: "number", required: true, min: 0, max: 100 },
+            capPercent: { type: "number", required: true, min: 0, max: 100 }
+          }
+        },
+        mode: { type: "string", enum: ["deterministic", "monteCarlo"], default: "deterministic" },
+        volatilityPercent: {
+          type: "number",
+          min: 0,
+          max: 100,
+          default: assumptions.volatilityPercent
+        },
+        trials: {
+          type: "integer",
+          min: 1,
+          max: MAX_TRIALS,
+          default: ASSUMPTIONS.SIMULATION_TRIALS
+        },
+        seed: { type: "integer", min: 0, max: 2 ** 32 - 1 }
+      },
+      [
+        (body) =>
+          body.contributionPercent === undefined && body.contributionType === undefined
+            ? issue("contributionPercent", "required", "contributionPercent or contributionType is required")
+            : null
+      ]
+    ),
+    optionalElectionSchemaFor(req.plan)
+  );
+};
+
+export function createProjectionRouter() {
+  const router = express.Router();
+
+  // Project a scenario to retirement and return the year-by-year schedule.
+  // The election can be given directly as `contributionPercent`, or as
+  // contributionType/contributionValue (+ payPeriodsPerYear for dollar amounts).
+  // With `mode: "monteCarlo"` the response also carries a `simulation` block
+  // of 10th/50th/90th percentile balances.
+  router.post("/", validateRequest({ body: projectionSchema }), (req, res) => {
+    const body = req.body;
+    const inputs = {
+      age: body.age,
+      salary: body.salary,
+      currentBalance: body.currentBalance,
+      retirementAge: body.retirementAge,
+      annualReturnPercent: body.annualReturnPercent,
+      salaryGrowthPercent: body.salaryGrowthPercent,
+      inflationPercent: body.inflationPercent,
+      payPeriodsPerYear: body.payPeriodsPerYear
+    };
+
+    const contributionPercent =
+      body.contributionPercent ?? toPercentOfSalary({ ...inputs, ...parseContribution(body) });
+
+    const employerMatch = body.includeEmployerMatch ? req.plan.employerMatch : null;
+    const escalation = body.autoEscalation ?? null;
+    const { mode } = body;
+
+    const projectionInputs = {
+      age: inputs.age,
+      retirementAge: inputs.retirementAge,
+      annualReturn: inputs.annualReturnPercent / 100,
+      currentBalance: inputs.currentBalance,
+      salary: inputs.salary,
+      contributionPercent,
+      employerMatch,
+      salaryGrowth: inputs.salaryGrowthPercent / 100,
+      inflation: inputs.inflationPercent / 100,
+      escalation
+    };
+    const { finalBalance, finalBalanceReal, schedule } = projectBalance(projectionInputs);
+
+    let simulation;
+    if (mode === "monteCarlo") {
+      simulation = simulateBalances({
+        ...projectionInputs,
+        volatility: body.volatilityPercent / 100,
+        trials: body.trials,
+        seed: body.seed
+      });
+    }
+
+    res.json({
+      inputs: {
+        ...inputs,
+        contributionPercent,
+        includeEmployerMatch: employerMatch != null,
+        autoEscalation: escalation
+      },
+      mode,
+      finalBalance,
+      finalBalanceReal,
+      schedule,
+      ...(simulation && { simulation })
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,241 @@
+import express from "express";
+import { PLAN_YEAR } from "../config.js";
+import { checkAnnualLimit } from "../limits.js";
+import { planProjectionInputs } from "../plan.js";
+import { annualEmployerMatch } from "../../shared/match.js";
+import { escalationFor, projectBalance } from "../../shared/projection.js";
+import { estimatePaycheck, perPaycheckSources } from "../../shared/taxes.js";
+import {
+  SNAPSHOT_FIELDS,
+  applySnapshotFields,
+  parseContribution,
+  round2,
+  toPercentOfSalary
+} from "../election.js";
+import { optionalElectionSchemaFor, snapshotSchema } from "../schemas.js";
+import { defineSchema, issue, mergeSchemas, validateRequest } from "../validation.js";
+import { loadParticipant } from "./participant.js";
+
+// Saved scenarios per participant, and how many can be compared at once
+const MAX_SCENARIOS = 20;
+const MAX_COMPARED = 3;
+
+// Reserved id for the participant's real record in a comparison
+const CURRENT_ID = "current";
+
+// Everything a scenario captures: the snapshot, the election and the
+// auto-escalation rule
+const SCENARIO_FIELDS = [
+  ...SNAPSHOT_FIELDS,
+  "contributionType",
+  "contributionValue",
+  "sources",
+  "autoEscalation"
+];
+
+// ---- Request schemas ----
+
+// Any field left out is taken from the participant's record (on create) or
+// the scenario as saved (on update). Election bounds come from the plan.
+function inputsSchemaFor(plan) {
+  return mergeSchemas(
+    optionalElectionSchemaFor(plan),
+    snapshotSchema,
+    defineSchema({
+      autoEscalation: {
+        type: "object",
+        nullable: true,
+        fields: {
+          enabled: { type: "boolean", default: true },
+          incrementPercent: { type: "number", required: true, greaterThan: 0, max: 5 },
+          capPercent: {
+            type: "number",
+            required: true,
+            greaterThan: 0,
+            max: plan.deferral.maxPercent
+          }
+        }
+      }
+    })
+  );
+}
+
+const nameField = { type: "string", trim: true, minLength: 1, maxLength: 80 };
+
+const createSchema = (req) =>
+  mergeSchemas(
+    defineSchema({ name: { ...nameField, required: true } }),
+    inputsSchemaFor(req.plan)
+  );
+
+const updateSchema = (req) =>
+  mergeSchemas(defineSchema({ name: nameField }), inputsSchemaFor(req.plan));
+
+const compareQuerySchema = defineSchema(
+  {
+    // Comma-separated scenario ids; "current" stands for the real record
+    ids: { type: "string", required: true, pattern: /^[\w-]+(,[\w-]+)*$/ }
+  },
+  [
+    ({ ids }) => {
+      const list = ids.split(",");
+      if (new Set(list).size !== list.length) {
+        return issue("ids", "invalid_format", "ids must not repeat a scenario");
+      }
+      if (list.length < 2 || list.length > MAX_COMPARED) {
+        return issue("ids", "invalid_length", `Compare between 2 and ${MAX_COMPARED} scenarios`);
+      }
+      return null;
+    }
+  ]
+);
+
+// Copies the scenario fields of `base`, then applies whatever the body changes
+function inputsFrom(base, body) {
+  const inputs = {};
+  for (const field of SCENARIO_FIELDS) {
+    inputs[field] = structuredClone(base[field] ?? null);
+  }
+  if (body.contributionType !== undefined) {
+    Object.assign(inputs, parseContribution(body));
+  }
+  applySnapshotFields(inputs, body);
+  if (body.autoEscalation !== undefined) {
+    inputs.autoEscalation = body.autoEscalation;
+  }
+  return inputs;
+}
+
+// Projection, take-home pay and limit check for a scenario's inputs, with
+// the same plan assumptions as the participant's own page
+function outcomeFor(inputs, plan) {
+  const contributionPercent = toPercentOfSalary(inputs);
+  const { traditional, roth } = perPaycheckSources(inputs);
+  const perPaycheckContribution = round2(traditional + roth);
+
+  const { finalBalance, finalBalanceReal } = projectBalance({
+    ...planProjectionInputs(plan),
+    age: inputs.age,
+    currentBalance: inputs.currentBalance,
+    salary: inputs.salary,
+    contributionPercent,
+    escalation: escalationFor(inputs.contributionType, inputs.autoEscalation)
+  });
+
+  return {
+    contributionPercent: round2(contributionPercent),
+    perPaycheckContribution,
+    annualContribution: round2(perPaycheckContribution * inputs.payPeriodsPerYear),
+    annualEmployerMatch: round2(
+      annualEmployerMatch(plan.employerMatch, inputs.salary, contributionPercent)
+    ),
+    takeHome: estimatePaycheck({
+      salary: inputs.salary,
+      payPeriodsPerYear: inputs.payPeriodsPerYear,
+      filingStatus: inputs.filingStatus,
+      planYear: PLAN_YEAR,
+      traditional,
+      roth
+    }),
+    annualLimit: checkAnnualLimit(inputs, { planYear: PLAN_YEAR, bounds: plan.deferral }),
+    retirementAge: plan.assumptions.retirementAge,
+    finalBalance,
+    finalBalanceReal
+  };
+}
+
+function describeScenario(scenario, plan) {
+  return { ...scenario, outcome: outcomeFor(scenario.inputs, plan) };
+}
+
+// ---- Router ----
+//
+// Mounted at /api/scenarios (the signed-in participant) and
+// /api/users/:userId/scenarios. Scenarios are read and written through
+// their own repository only: nothing here saves contribution state.
+
+export function createScenariosRouter({ contributions, scenarios }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(loadParticipant(contributions));
+
+  router.get("/", (req, res) => {
+    res.json({
+      scenarios: scenarios.listByUserId(req.userId).map((s) => describeScenario(s, req.plan))
+    });
+  });
+
+  // Side by side: ?ids=<id>,<id>[,<id>], in the order given
+  router.get("/compare", validateRequest({ query: compareQuerySchema }), (req, res) => {
+    const compared = [];
+    for (const id of req.query.ids.split(",")) {
+      if (id === CURRENT_ID) {
+        const inputs = inputsFrom(req.contributionState, {});
+        compared.push({
+          id,
+          name: "Current election",
+          inputs,
+          outcome: outcomeFor(inputs, req.plan)
+        });
+        continue;
+      }
+      const scenario = scenarios.findById(req.userId, id);
+      if (!scenario) {
+        return res.status(404).json({ error: "Scenario not found", code: "NOT_FOUND", id });
+      }
+      compared.push(describeScenario(scenario, req.plan));
+    }
+    res.json({ planYear: PLAN_YEAR, scenarios: compared });
+  });
+
+  router.get("/:scenarioId", (req, res) => {
+    const scenario = scenarios.findById(req.userId, req.params.scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ error: "Scenario not found", code: "NOT_FOUND" });
+    }
+    return res.json(describeScenario(scenario, req.plan));
+  });
+
+  // Save a what-if: { name, ...snapshot fields, ...election, autoEscalation }.
+  // Fields left out start from the participant's current record.
+  router.post("/", validateRequest({ body: createSchema }), (req, res) => {
+    if (scenarios.listByUserId(req.userId).length >= MAX_SCENARIOS) {
+      return res.status(409).json({
+        error: `You can save up to ${MAX_SCENARIOS} scenarios`,
+        code: "SCENARIO_LIMIT_REACHED",
+        max: MAX_SCENARIOS
+      });
+    }
+
+    const scenario = scenarios.create({
+      userId: req.userId,
+      name: req.body.name,
+      inputs: inputsFrom(req.contributionState, req.body)
+    });
+    return res.status(201).json(describeScenario(scenario, req.plan));
+  });
+
+  // Rename and/or change any of the inputs
+  router.put("/:scenarioId", validateRequest({ body: updateSchema }), (req, res) => {
+    const existing = scenarios.findById(req.userId, req.params.scenarioId);
+    if (!existing) {
+      return res.status(404).json({ error: "Scenario not found", code: "NOT_FOUND" });
+    }
+
+    const scenario = scenarios.update(req.userId, existing.id, {
+      name: req.body.name,
+      inputs: inputsFrom(existing.inputs, req.body)
+    });
+    return res.json(describeScenario(scenario, req.plan));
+  });
+
+  router.delete("/:scenarioId", (req, res) => {
+    const removed = scenarios.remove(req.userId, req.params.scenarioId);
+    if (!removed) {
+      return res.status(404).json({ error: "Scenario not found", code: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, scenario: removed });
+  });
+
+  return router;
+}
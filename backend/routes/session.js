@@ -0,0 +1,67 @@
+import { readSessionToken, tokensMatch } from "../auth.js";
+
+// ---- Session middleware ----
+//
+// Browsers sign in with an HttpOnly session cookie; scripts and other API
+// clients send the same token as "Authorization: Bearer <token>". Cookie
+// sessions must also echo the session's CSRF token in X-CSRF-Token on every
+// state-changing request, since the browser attaches the cookie on its own.
+
+export const SESSION_COOKIE = "hi401k_session";
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// The cookie's value, or null when it is missing or not valid percent-encoding
+// (e.g. "%E0%A4%A"), which leaves the request signed out rather than failing
+function readCookie(req, name) {
+  for (const part of (req.get("Cookie") ?? "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Sets `req.session` (or null) and `req.sessionVia` ("cookie" | "bearer")
+export function loadSession({ secret }) {
+  return (req, res, next) => {
+    const header = req.get("Authorization") ?? "";
+    if (header.startsWith("Bearer ")) {
+      req.session = readSessionToken(header.slice("Bearer ".length), { secret });
+      req.sessionVia = "bearer";
+    } else {
+      req.session = readSessionToken(readCookie(req, SESSION_COOKIE), { secret });
+      req.sessionVia = "cookie";
+    }
+    next();
+  };
+}
+
+export function requireSession(req, res, next) {
+  if (!req.session) {
+    return res.status(401).json({ error: "Not signed in", code: "UNAUTHENTICATED" });
+  }
+  next();
+}
+
+export function requireCsrf(req, res, next) {
+  if (SAFE_METHODS.has(req.method) || req.sessionVia !== "cookie") return next();
+  if (!tokensMatch(req.get("X-CSRF-Token"), req.session?.csrfToken)) {
+    return res.status(403).json({ error: "Invalid CSRF token", code: "CSRF_TOKEN_INVALID" });
+  }
+  next();
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (req.session?.role !== role) {
+      return res.status(403).json({ error: "Not allowed", code: "FORBIDDEN" });
+    }
+    next();
+  };
+}
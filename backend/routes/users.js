@@ -0,0 +1,93 @@
+import express from "express";
+import { randomUUID } from "node:crypto";
+import { hashPassword } from "../auth.js";
+import { applySnapshotFields, parseContribution, toPercentOfSalary } from "../election.js";
+import { optionalElectionSchemaFor, snapshotSchema } from "../schemas.js";
+import { defineSchema, mergeSchemas, validateRequest } from "../validation.js";
+import { requireRole } from "./session.js";
+
+const createSchema = (req) =>
+  mergeSchemas(
+    defineSchema({
+      name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+      userId: { type: "string", pattern: /^[a-z0-9][a-z0-9-]{1,63}$/ },
+      profile: { type: "string", trim: true, minLength: 1, maxLength: 64 },
+      password: { type: "string", minLength: 8 }
+    }),
+    optionalElectionSchemaFor(req.plan),
+    snapshotSchema
+  );
+
+// Starting point for a new participant; any snapshot field in the request
+// wins. Without an election they start at zero, in the plan's first
+// contribution type.
+const NEW_USER_DEFAULTS = {
+  age: 30,
+  salary: 60000,
+  payPeriodsPerYear: 24,
+  ytdContribution: 0,
+  currentBalance: 0,
+  filingStatus: "single",
+  contributionValue: 0,
+  sources: { traditional: 0, roth: 0 },
+  autoEscalation: null
+};
+
+export function createUsersRouter({ users, contributions, accounts }) {
+  const router = express.Router();
+
+  // Participants with a short summary of their election: everyone for
+  // admins, just themselves for participants
+  router.get("/", (req, res) => {
+    const visible = users
+      .list()
+      .filter((user) => req.session.role === "admin" || user.userId === req.session.userId);
+    const list = visible.map((user) => {
+      const state = contributions.findByUserId(user.userId);
+      return {
+        ...user,
+        age: state?.age ?? null,
+        salary: state?.salary ?? null,
+        currentPercent: state ? toPercentOfSalary(state) : null
+      };
+    });
+
+    res.json({ users: list });
+  });
+
+  // Create a participant (and their initial contribution state). Admin only.
+  // With a `password`, the participant can also sign in, using their userId
+  // as the username.
+  router.post("/", requireRole("admin"), validateRequest({ body: createSchema }), (req, res) => {
+    const { userId, name, profile, password } = req.body;
+
+    const id = userId ?? `user-${randomUUID().slice(0, 8)}`;
+    if (users.findById(id) || accounts.findByUsername(id)) {
+      return res.status(409).json({ error: "User already exists", code: "USER_EXISTS" });
+    }
+
+    const contribution =
+      req.body.contributionType !== undefined ? parseContribution(req.body) : {};
+
+    const state = applySnapshotFields(
+      { ...NEW_USER_DEFAULTS, contributionType: req.plan.contributionTypes[0], ...contribution },
+      req.body
+    );
+    const user = users.create(
+      { userId: id, name, profile: profile ?? "custom" },
+      state
+    );
+    if (password !== undefined) {
+      accounts.create({
+        username: id,
+        userId: id,
+        role: "participant",
+        passwordHash: hashPassword(password)
+      });
+    }
+
+    return res.status(201).json({ ok: true, user, contributionState: contributions.findByUserId(id) });
+  });
+
+  return router;
+}
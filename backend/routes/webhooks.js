@@ -0,0 +1,157 @@
+import express from "express";
+import { randomBytes } from "node:crypto";
+import { defineSchema, issue, validateRequest } from "../validation.js";
+import { WEBHOOK_EVENTS } from "../webhooks.js";
+import { requireRole } from "./session.js";
+
+// ---- Request schemas ----
+
+const webhookFields = {
+  url: { type: "string", trim: true, maxLength: 2048 },
+  events: {
+    type: "array",
+    minItems: 1,
+    maxItems: WEBHOOK_EVENTS.length,
+    items: { type: "string", enum: WEBHOOK_EVENTS }
+  },
+  description: { type: "string", trim: true, maxLength: 200 },
+  active: { type: "boolean" }
+};
+
+// Receivers may be plain http (e.g. a local receiver in integration tests)
+function urlIssue({ url }) {
+  if (url === undefined) return null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return issue("url", "invalid_format", "url must be an absolute http(s) URL");
+  }
+  return parsed.protocol === "http:" || parsed.protocol === "https:"
+    ? null
+    : issue("url", "invalid_format", "url must be an absolute http(s) URL");
+}
+
+const createSchema = defineSchema(
+  {
+    ...webhookFields,
+    url: { ...webhookFields.url, required: true },
+    events: { ...webhookFields.events, default: WEBHOOK_EVENTS },
+    description: { ...webhookFields.description, default: "" },
+    active: { ...webhookFields.active, default: true }
+  },
+  [urlIssue]
+);
+
+// Any field left out keeps its value; `rotateSecret` issues a new secret
+const updateSchema = defineSchema(
+  {
+    ...webhookFields,
+    rotateSecret: { type: "boolean", default: false }
+  },
+  [urlIssue]
+);
+
+const deliveriesQuerySchema = defineSchema({
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+  offset: { type: "integer", min: 0, default: 0 }
+});
+
+function newSecret() {
+  return `whsec_${randomBytes(24).toString("base64url")}`;
+}
+
+// The signing secret is only shown when it is issued (create, rotate)
+function describeWebhook({ secret, ...webhook }, { withSecret = false } = {}) {
+  return withSecret ? { ...webhook, secret } : { ...webhook, secretHint: `…${secret.slice(-4)}` };
+}
+
+// ---- Router ----
+//
+// Mounted at /api/webhooks. Admin only: subscribers receive every
+// participant's changes.
+
+export function createWebhooksRouter({ webhooks, webhookDispatcher }) {
+  const router = express.Router();
+
+  router.use(requireRole("admin"));
+
+  function findWebhook(req, res, next) {
+    req.webhook = webhooks.findById(req.params.webhookId);
+    if (!req.webhook) {
+      return res.status(404).json({ error: "Webhook not found", code: "NOT_FOUND" });
+    }
+    next();
+  }
+
+  router.get("/", (req, res) => {
+    res.json({
+      webhooks: webhooks.list().map((webhook) => describeWebhook(webhook)),
+      events: WEBHOOK_EVENTS
+    });
+  });
+
+  router.post("/", validateRequest({ body: createSchema }), (req, res) => {
+    const { url, events, description, active } = req.body;
+    const webhook = webhooks.create({
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      secret: newSecret(),
+      createdBy: req.session.username
+    });
+    res.status(201).json(describeWebhook(webhook, { withSecret: true }));
+  });
+
+  router.get("/:webhookId", findWebhook, (req, res) => {
+    res.json(describeWebhook(req.webhook));
+  });
+
+  router.put("/:webhookId", findWebhook, validateRequest({ body: updateSchema }), (req, res) => {
+    const { url, events, description, active, rotateSecret } = req.body;
+    const webhook = webhooks.update(req.webhook.id, {
+      url,
+      events: events && [...new Set(events)],
+      description,
+      active,
+      secret: rotateSecret ? newSecret() : undefined
+    });
+    res.json(describeWebhook(webhook, { withSecret: rotateSecret }));
+  });
+
+  // Also drops the delivery log; queued retries are abandoned
+  router.delete("/:webhookId", findWebhook, (req, res) => {
+    const removed = webhooks.remove(req.webhook.id);
+    res.json({ ok: true, webhook: describeWebhook(removed) });
+  });
+
+  // Delivery log, newest first: ?limit=20&offset=0
+  router.get(
+    "/:webhookId/deliveries",
+    findWebhook,
+    validateRequest({ query: deliveriesQuerySchema }),
+    (req, res) => {
+      const { limit, offset } = req.query;
+      const { total, deliveries } = webhooks.listDeliveries(req.webhook.id, { limit, offset });
+      res.json({ deliveries, total, limit, offset });
+    }
+  );
+
+  // Sends a "webhook.test" event now and answers with how it went (one
+  // attempt, no retries)
+  router.post("/:webhookId/test", findWebhook, (req, res, next) => {
+    webhookDispatcher
+      .sendTest(req.webhook)
+      .then((delivery) => {
+        // Deleted while the attempt was in flight
+        if (!delivery) {
+          return res.status(404).json({ error: "Webhook not found", code: "NOT_FOUND" });
+        }
+        return res.json({ ok: delivery.status === "succeeded", delivery });
+      })
+      .catch(next);
+  });
+
+  return router;
+}
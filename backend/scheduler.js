@@ -0,0 +1,105 @@
+import { CONTRIBUTION_SOURCES, describeChange, round2 } from "./election.js";
+
+// ---- Scheduled changes ----
+//
+// Payroll picks up an election on a future pay date, so a save can be
+// effective-dated. Pending elections and the optional auto-escalation rule
+// are applied lazily: whenever a participant's state is read, anything that
+// has come due since the last read is carried out first and logged.
+//
+// Dates are plain "YYYY-MM-DD" strings (UTC), which compare correctly as
+// strings.
+
+export function todayIso(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+export function isIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// "MM-DD" anniversary for auto-escalation; Feb 29 is not allowed
+export function isMonthDay(value) {
+  return typeof value === "string" && /^\d{2}-\d{2}$/.test(value) && value !== "02-29" &&
+    isIsoDate(`2001-${value}`);
+}
+
+// ---- Auto-escalation ----
+//
+// Rule: { enabled, incrementPercent, capPercent, monthDay, since }
+// Raises a percent election by `incrementPercent` on every `monthDay`
+// after `since` (the day it was turned on, or last applied), never past
+// `capPercent`. Dollar elections are left alone.
+
+// How many escalation dates fall in (since, today]
+export function escalationsDue(rule, today) {
+  const firstYear = Number(rule.since.slice(0, 4));
+  const lastYear = Number(today.slice(0, 4));
+  let count = 0;
+  for (let year = firstYear; year <= lastYear; year++) {
+    const date = `${year}-${rule.monthDay}`;
+    if (date > rule.since && date <= today) count++;
+  }
+  return count;
+}
+
+export function escalate(state, steps) {
+  const { incrementPercent, capPercent } = state.autoEscalation;
+  const total = state.sources.traditional + state.sources.roth;
+  const raised = Math.min(capPercent, total + incrementPercent * steps);
+  if (raised <= total) return state;
+
+  // Grow the Roth side only for all-Roth elections; otherwise pre-tax
+  const source = state.sources.traditional === 0 && state.sources.roth > 0 ? "roth" : "traditional";
+  const sources = { ...state.sources, [source]: round2(state.sources[source] + raised - total) };
+  return { ...state, sources, contributionValue: round2(raised) };
+}
+
+// ---- Applying due changes ----
+
+const SYSTEM_ACTOR = { changedBy: "system", userAgent: null };
+
+// Returns the participant's up-to-date state (or null for unknown users)
+export function applyDueChanges(contributions, userId, today = todayIso()) {
+  let state = contributions.findByUserId(userId);
+  if (!state) return null;
+
+  for (const pending of contributions.listPending(userId)) {
+    if (pending.effectiveDate > today) break;
+
+    const next = { ...state };
+    for (const field of ["contributionType", "contributionValue"]) {
+      next[field] = pending[field];
+    }
+    next.sources = {};
+    for (const source of CONTRIBUTION_SOURCES) {
+      next.sources[source] = pending.sources[source];
+    }
+
+    // Credited to whoever scheduled it
+    const actor = { ...SYSTEM_ACTOR, changedBy: pending.requestedBy ?? SYSTEM_ACTOR.changedBy };
+    state = contributions.save(
+      next,
+      describeChange(state, next, { ...actor, source: "scheduled" }),
+      { appliedPendingIds: [pending.id] }
+    );
+  }
+
+  const rule = state.autoEscalation;
+  if (rule?.enabled) {
+    const steps = escalationsDue(rule, today);
+    if (steps > 0) {
+      const next = state.contributionType === "percent" ? escalate(state, steps) : { ...state };
+      // Move the rule forward even when capped, so the steps aren't re-counted
+      next.autoEscalation = { ...rule, since: today };
+      state = contributions.save(
+        next,
+        describeChange(state, next, { ...SYSTEM_ACTOR, source: "auto-escalation" })
+      );
+    }
+  }
+
+  return state;
+}
@@ -0,0 +1,93 @@
+import { FILING_STATUSES } from "../shared/taxes.js";
+import { round2 } from "./election.js";
+import { defineSchema, issue } from "./validation.js";
+
+// ---- Shared request schemas ----
+//
+// Pieces of request bodies used by more than one route. Route-only schemas
+// live next to their routes. Schemas whose bounds come from the plan
+// configuration are built per request (see validateRequest).
+
+// Required: contribution type plus either per-source amounts
+// (`sources: { traditional, roth }`) or a single `contributionValue`.
+// The plan decides which types are offered and the bounds on the combined
+// total (0, or between the minimum and the maximum).
+export function electionSchemaFor(plan) {
+  const { minPercent, maxPercent, minDollar, maxDollar } = plan.deferral;
+  return defineSchema(
+    {
+      contributionType: { type: "string", required: true, enum: plan.contributionTypes },
+      sources: {
+        type: "object",
+        fields: {
+          traditional: { type: "number", min: 0, default: 0 },
+          roth: { type: "number", min: 0, default: 0 }
+        }
+      },
+      contributionValue: { type: "number", min: 0 }
+    },
+    [
+      ({ sources, contributionValue }) =>
+        sources === undefined && contributionValue === undefined
+          ? issue("contributionValue", "required", "contributionValue or sources is required")
+          : null,
+      ({ contributionType, sources, contributionValue }) => {
+        const field = sources ? "sources" : "contributionValue";
+        const total = sources ? round2(sources.traditional + sources.roth) : contributionValue;
+        if (contributionType === "percent") {
+          if (total > maxPercent) {
+            return issue(field, "too_large", `Contributions can be at most ${maxPercent}% of salary`, {
+              limit: maxPercent,
+              unit: "percent"
+            });
+          }
+          if (total > 0 && total < minPercent) {
+            return issue(field, "too_small", `Contributions must be at least ${minPercent}% of salary`, {
+              limit: minPercent,
+              unit: "percent"
+            });
+          }
+        }
+        if (contributionType === "dollar") {
+          if (total > maxDollar) {
+            return issue(field, "too_large", `Contributions can be at most $${maxDollar} per paycheck`, {
+              limit: maxDollar,
+              unit: "dollar"
+            });
+          }
+          if (total > 0 && total < minDollar) {
+            return issue(field, "too_small", `Contributions must be at least $${minDollar} per paycheck`, {
+              limit: minDollar,
+              unit: "dollar"
+            });
+          }
+        }
+        return null;
+      }
+    ]
+  );
+}
+
+// The same election, but only checked when `contributionType` is sent
+export function optionalElectionSchemaFor(plan) {
+  const electionSchema = electionSchemaFor(plan);
+  return defineSchema(
+    {
+      ...electionSchema.fields,
+      contributionType: { type: "string", enum: plan.contributionTypes }
+    },
+    electionSchema.rules.map((rule) => (value) =>
+      value.contributionType === undefined ? null : rule(value)
+    )
+  );
+}
+
+// Optional snapshot fields that can be saved alongside an election
+export const snapshotSchema = defineSchema({
+  age: { type: "number", greaterThan: 0, lessThan: 100 },
+  salary: { type: "number", min: 0 },
+  ytdContribution: { type: "number", min: 0 },
+  currentBalance: { type: "number", min: 0 },
+  payPeriodsPerYear: { type: "number", greaterThan: 0, max: 52 },
+  filingStatus: { type: "string", enum: FILING_STATUSES }
+});
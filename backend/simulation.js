@@ -0,0 +1,101 @@
+import { projectBalance } from "../shared/projection.js";
+
+// ---- Monte Carlo projection ----
+//
+// Runs the same contribution schedule as the deterministic projection, but
+// draws each year's return from a normal distribution (mean, volatility)
+// instead of using a flat rate. Reports the 10th/50th/90th percentile
+// balance for every year and at retirement.
+//
+// Pass a `seed` to get identical results across runs (tests, screenshots).
+
+// mulberry32: tiny, fast, good enough for simulation - not for crypto
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box-Muller
+function normal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Nearest-rank percentile of an ascending-sorted array
+function percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+  return sorted[index];
+}
+
+const PERCENTILES = { p10: 0.1, p50: 0.5, p90: 0.9 };
+
+function summarize(values) {
+  const sorted = Float64Array.from(values).sort();
+  const out = {};
+  for (const [key, p] of Object.entries(PERCENTILES)) {
+    out[key] = percentile(sorted, p);
+  }
+  return out;
+}
+
+function deflate(summary, factor) {
+  const out = {};
+  for (const key of Object.keys(summary)) {
+    out[key] = summary[key] / factor;
+  }
+  return out;
+}
+
+export function simulateBalances({
+  volatility,
+  trials,
+  seed = Math.floor(Math.random() * 2 ** 32),
+  ...projectionInputs
+}) {
+  // Deterministic run supplies the per-year contributions and ages
+  const base = projectBalance(projectionInputs);
+  if (!base) return null;
+
+  const { age, retirementAge, annualReturn, inflation = 0, currentBalance } = projectionInputs;
+  // Mirror the deterministic engine: one final year of contributions, no growth
+  const alreadyRetired = retirementAge - age <= 0;
+  const rng = createRng(seed);
+  const years = base.schedule.length;
+  const balancesByYear = Array.from({ length: years }, () => new Float64Array(trials));
+
+  for (let t = 0; t < trials; t++) {
+    let balance = currentBalance;
+    base.schedule.forEach((row, i) => {
+      // A single year can lose at most everything
+      const yearReturn = Math.max(-1, annualReturn + volatility * normal(rng));
+      const growth = alreadyRetired ? 0 : balance * yearReturn;
+      balance = balance + growth + row.employeeContributions + row.employerContributions;
+      balancesByYear[i][t] = balance;
+    });
+  }
+
+  const schedule = base.schedule.map((row, i) => {
+    const nominal = summarize(balancesByYear[i]);
+    const inflationFactor = Math.pow(1 + inflation, i + 1);
+    return { age: row.age, ...nominal, real: deflate(nominal, inflationFactor) };
+  });
+  const last = schedule[schedule.length - 1];
+
+  return {
+    trials,
+    seed,
+    meanReturnPercent: annualReturn * 100,
+    volatilityPercent: volatility * 100,
+    finalBalance: { p10: last.p10, p50: last.p50, p90: last.p90 },
+    finalBalanceReal: last.real,
+    schedule
+  };
+}
@@ -0,0 +1,319 @@
+import { annualEmployerMatch, employerMatchPercent } from "../shared/match.js";
+import { escalationFor, projectBalance } from "../shared/projection.js";
+import { estimatePaycheck, perPaycheckSources } from "../shared/taxes.js";
+import { round2, toPercentOfSalary } from "./election.js";
+import { createTextFlow, renderPdf } from "./pdf.js";
+import { planProjectionInputs } from "./plan.js";
+
+// ---- Contribution statement ----
+//
+// A participant's saved election, what it comes to per paycheck and per
+// year, the assumptions behind the projection and the year-by-year
+// projection itself, for their records or for HR. buildStatement() gathers
+// the figures; statementToCsv() / statementToPdf() render them.
+
+const FILING_STATUS_LABELS = {
+  single: "Single",
+  married: "Married filing jointly",
+  headOfHousehold: "Head of household"
+};
+
+export function buildStatement(state, { participant, plan, planYear, generatedAt, generatedBy }) {
+  const percentOfSalary = toPercentOfSalary(state);
+  const paycheckSources = perPaycheckSources(state);
+  const takeHome = estimatePaycheck({
+    salary: state.salary,
+    payPeriodsPerYear: state.payPeriodsPerYear,
+    filingStatus: state.filingStatus,
+    planYear,
+    ...paycheckSources
+  });
+
+  const annualMatch = annualEmployerMatch(plan.employerMatch, state.salary, percentOfSalary);
+  const annualEmployee = state.salary * (percentOfSalary / 100);
+  const escalation = escalationFor(state.contributionType, state.autoEscalation);
+
+  const { finalBalance, finalBalanceReal, schedule } = projectBalance({
+    ...planProjectionInputs(plan),
+    age: state.age,
+    currentBalance: state.currentBalance,
+    salary: state.salary,
+    contributionPercent: percentOfSalary,
+    escalation
+  });
+
+  return {
+    participant: { userId: state.userId, name: participant?.name ?? state.userId },
+    planYear,
+    generatedAt,
+    generatedBy,
+    election: {
+      contributionType: state.contributionType,
+      traditional: state.sources.traditional,
+      roth: state.sources.roth,
+      total: state.contributionValue,
+      percentOfSalary: round2(percentOfSalary)
+    },
+    snapshot: {
+      age: state.age,
+      salary: state.salary,
+      payPeriodsPerYear: state.payPeriodsPerYear,
+      filingStatus: takeHome.filingStatus,
+      ytdContribution: state.ytdContribution,
+      currentBalance: state.currentBalance
+    },
+    perPaycheck: {
+      grossPay: takeHome.grossPay,
+      traditional: takeHome.traditional,
+      roth: takeHome.roth,
+      total: round2(takeHome.traditional + takeHome.roth),
+      employerMatch: round2(annualMatch / state.payPeriodsPerYear),
+      netPay: takeHome.netPay
+    },
+    annual: {
+      employee: round2(annualEmployee),
+      employerMatch: round2(annualMatch),
+      total: round2(annualEmployee + annualMatch)
+    },
+    assumptions: plan.assumptions,
+    employerMatch: {
+      ...plan.employerMatch,
+      description: describeMatch(plan.employerMatch),
+      percentOfSalary: round2(employerMatchPercent(plan.employerMatch, percentOfSalary))
+    },
+    autoEscalation: escalation,
+    projection: {
+      finalBalance: round2(finalBalance),
+      finalBalanceReal: round2(finalBalanceReal),
+      schedule: schedule.map((row) => ({
+        age: row.age,
+        salary: round2(row.salary),
+        contributionPercent: round2(row.contributionPercent),
+        employeeContributions: round2(row.employeeContributions),
+        employerContributions: round2(row.employerContributions),
+        growth: round2(row.growth),
+        endingBalance: round2(row.endingBalance),
+        realEndingBalance: round2(row.realEndingBalance)
+      }))
+    }
+  };
+}
+
+// e.g. "100% of the first 3%, 50% of the next 2% (up to $5,000 a year)"
+function describeMatch({ tiers, annualCap }) {
+  if (!tiers.length) return "No employer match";
+  let floor = 0;
+  const parts = tiers.map((tier, i) => {
+    const band = round2(tier.upToPercent - floor);
+    floor = tier.upToPercent;
+    return `${round2(tier.rate * 100)}% of the ${i === 0 ? "first" : "next"} ${band}%`;
+  });
+  const cap = annualCap != null ? ` (up to ${formatMoney(annualCap)} a year)` : "";
+  return `${parts.join(", ")}${cap}`;
+}
+
+// ---- Formatting ----
+
+function formatMoney(value, { cents = true } = {}) {
+  return value.toLocaleString("en-US", {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: cents ? 2 : 0,
+    maximumFractionDigits: cents ? 2 : 0
+  });
+}
+
+const formatPercent = (value) => `${round2(value)}%`;
+
+// Label / value rows shared by both formats. Each value carries a kind so
+// the CSV can keep plain numbers while the PDF formats them.
+function summarySections(statement) {
+  const { election, snapshot, perPaycheck, annual, assumptions, employerMatch, autoEscalation } =
+    statement;
+  const electionKind = election.contributionType === "percent" ? "percent" : "money";
+
+  return [
+    {
+      title: "Statement",
+      rows: [
+        ["Participant", statement.participant.name, "text"],
+        ["User ID", statement.participant.userId, "text"],
+        ["Plan year", statement.planYear, "text"],
+        ["Generated", statement.generatedAt, "text"],
+        ["Generated by", statement.generatedBy, "text"]
+      ]
+    },
+    {
+      title: "Current election",
+      rows: [
+        [
+          "Contribution type",
+          election.contributionType === "percent" ? "Percent of pay" : "Fixed dollar amount per paycheck",
+          "text"
+        ],
+        ["Traditional (pre-tax)", election.traditional, electionKind],
+        ["Roth (after-tax)", election.roth, electionKind],
+        ["Total election", election.total, electionKind],
+        ["Percent of salary", election.percentOfSalary, "percent"]
+      ]
+    },
+    {
+      title: "Participant details",
+      rows: [
+        ["Age", snapshot.age, "text"],
+        ["Annual salary", snapshot.salary, "money"],
+        ["Pay periods per year", snapshot.payPeriodsPerYear, "text"],
+        ["Filing status", FILING_STATUS_LABELS[snapshot.filingStatus], "text"],
+        ["Contributed year to date", snapshot.ytdContribution, "money"],
+        ["Current balance", snapshot.currentBalance, "money"]
+      ]
+    },
+    {
+      title: "Per paycheck",
+      rows: [
+        ["Gross pay", perPaycheck.grossPay, "money"],
+        ["Traditional contribution", perPaycheck.traditional, "money"],
+        ["Roth contribution", perPaycheck.roth, "money"],
+        ["Total contribution", perPaycheck.total, "money"],
+        ["Employer match", perPaycheck.employerMatch, "money"],
+        ["Estimated take-home pay", perPaycheck.netPay, "money"]
+      ]
+    },
+    {
+      title: "Annual",
+      rows: [
+        ["Your contributions", annual.employee, "money"],
+        ["Employer match", annual.employerMatch, "money"],
+        ["Total", annual.total, "money"]
+      ]
+    },
+    {
+      title: "Assumptions",
+      rows: [
+        ["Annual return", assumptions.annualReturnPercent, "percent"],
+        ["Salary growth", assumptions.salaryGrowthPercent, "percent"],
+        ["Inflation", assumptions.inflationPercent, "percent"],
+        ["Retirement age", assumptions.retirementAge, "text"],
+        ["Employer match formula", employerMatch.description, "text"],
+        [
+          "Auto-escalation",
+          autoEscalation
+            ? `+${autoEscalation.incrementPercent}% each ${autoEscalation.monthDay} up to ${autoEscalation.capPercent}%`
+            : "Off",
+          "text"
+        ]
+      ]
+    },
+    {
+      title: "Projection",
+      rows: [
+        [`Balance at ${assumptions.retirementAge}`, statement.projection.finalBalance, "money"],
+        ["In today's dollars", statement.projection.finalBalanceReal, "money"]
+      ]
+    }
+  ];
+}
+
+const SCHEDULE_COLUMNS = [
+  { key: "age", label: "Age", kind: "text", width: 4 },
+  { key: "salary", label: "Salary", kind: "money", width: 12 },
+  { key: "contributionPercent", label: "Rate", kind: "percent", width: 7 },
+  { key: "employeeContributions", label: "You", kind: "money", width: 11 },
+  { key: "employerContributions", label: "Employer", kind: "money", width: 11 },
+  { key: "growth", label: "Growth", kind: "money", width: 12 },
+  { key: "endingBalance", label: "Balance", kind: "money", width: 14 },
+  { key: "realEndingBalance", label: "Today's $", kind: "money", width: 14 }
+];
+
+// ---- CSV ----
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (cells) => cells.map(csvCell).join(",");
+
+// Summary sections as Section,Item,Value rows, then the projection table.
+// Amounts stay unformatted numbers so the file opens cleanly in a spreadsheet.
+export function statementToCsv(statement) {
+  const lines = [csvRow(["Section", "Item", "Value"])];
+  for (const { title, rows } of summarySections(statement)) {
+    for (const [label, value] of rows) lines.push(csvRow([title, label, value]));
+  }
+
+  lines.push("");
+  lines.push(
+    csvRow([
+      "Age",
+      "Salary",
+      "Contribution %",
+      "Employee contributions",
+      "Employer contributions",
+      "Growth",
+      "Ending balance",
+      "Ending balance (today's dollars)"
+    ])
+  );
+  for (const row of statement.projection.schedule) {
+    lines.push(csvRow(SCHEDULE_COLUMNS.map(({ key }) => row[key])));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// ---- PDF ----
+
+function formatValue(value, kind, { cents = true } = {}) {
+  if (kind === "money") return formatMoney(value, { cents });
+  if (kind === "percent") return formatPercent(value);
+  return String(value);
+}
+
+// Table rows are set in Courier so padded columns line up
+function scheduleLine(cells) {
+  return cells.map((cell, i) => String(cell).padStart(SCHEDULE_COLUMNS[i].width)).join(" ");
+}
+
+export function statementToPdf(statement) {
+  const flow = createTextFlow();
+  const valueX = flow.margin + 200;
+
+  flow.line("401(k) Contribution Statement", { size: 18, font: "bold" });
+  const { name, userId } = statement.participant;
+  flow.line(`${name} (${userId}) - plan year ${statement.planYear}`, { size: 11 });
+  flow.space(10);
+
+  // The first section is the header block above
+  for (const { title, rows } of summarySections(statement).slice(1)) {
+    flow.line(title, { size: 12, font: "bold" });
+    for (const [label, value, kind] of rows) {
+      flow.row([{ text: label }, { text: formatValue(value, kind), x: valueX }]);
+    }
+    flow.space(8);
+  }
+
+  flow.line("Year-by-year projection", { size: 12, font: "bold" });
+  const header = () =>
+    flow.line(scheduleLine(SCHEDULE_COLUMNS.map((column) => column.label)), {
+      size: 8,
+      font: "mono"
+    });
+  header();
+  flow.repeatOnNewPage(header);
+  for (const row of statement.projection.schedule) {
+    const cells = SCHEDULE_COLUMNS.map(({ key, kind }) =>
+      formatValue(row[key], kind, { cents: false })
+    );
+    flow.line(scheduleLine(cells), { size: 8, font: "mono" });
+  }
+
+  flow.repeatOnNewPage(null);
+  flow.space(10);
+  flow.line(`Generated ${statement.generatedAt} by ${statement.generatedBy}.`, { size: 7 });
+  flow.line(
+    "Projections are estimates based on the assumptions above, not a guarantee of future results.",
+    { size: 7 }
+  );
+
+  return renderPdf(flow.pages, { title: `401(k) statement - ${name}` });
+}
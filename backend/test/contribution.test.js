@@ -0,0 +1,170 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { signIn, startServer } from "./helpers.js";
+
+let server;
+let admin;
+
+before(async () => {
+  let baseUrl;
+  ({ server, baseUrl } = await startServer());
+  admin = await signIn(baseUrl, "admin");
+});
+
+after(() => server.close());
+
+const contributionPath = (userId) => `/api/users/${userId}/contribution`;
+
+// GET /contribution's body and ETag
+async function read(userId) {
+  const res = await admin.request(contributionPath(userId));
+  assert.equal(res.status, 200);
+  return { etag: res.headers.get("etag"), body: await res.json() };
+}
+
+function turnOnEscalation(userId, etag) {
+  return admin.request(`${contributionPath(userId)}/auto-escalation`, {
+    method: "PUT",
+    headers: { "If-Match": etag },
+    body: { enabled: true, incrementPercent: 1, capPercent: 15, monthDay: "01-01" }
+  });
+}
+
+// What the goal solver projects for the saved election
+async function projectedAtCurrent(userId) {
+  const res = await admin.request(`${contributionPath(userId)}/goal`, {
+    method: "POST",
+    body: { goalType: "balance", targetBalance: 1000000 }
+  });
+  assert.equal(res.status, 200);
+  return (await res.json()).projectedAtCurrent;
+}
+
+// ---- Auto-escalation ----
+
+test("auto-escalation raises the projection of a percent election", async () => {
+  const before = await projectedAtCurrent("mock-user-123");
+  const { etag } = await read("mock-user-123");
+  assert.equal((await turnOnEscalation("mock-user-123", etag)).status, 200);
+
+  assert.ok((await projectedAtCurrent("mock-user-123")) > before);
+});
+
+test("auto-escalation leaves the projection of a dollar election alone", async () => {
+  const before = await projectedAtCurrent("part-time");
+  const { etag, body } = await read("part-time");
+  assert.equal(body.contributionType, "dollar");
+  assert.equal((await turnOnEscalation("part-time", etag)).status, 200);
+
+  assert.equal(await projectedAtCurrent("part-time"), before);
+});
+
+// ---- Versioning ----
+
+function saveElection(userId, headers, traditional) {
+  return admin.request(contributionPath(userId), {
+    method: "POST",
+    headers,
+    body: { contributionType: "percent", sources: { traditional, roth: 0 } }
+  });
+}
+
+test("a save without If-Match is refused with 428", async () => {
+  const res = await saveElection("young-saver", {}, 5);
+  assert.equal(res.status, 428);
+  assert.equal((await res.json()).code, "PRECONDITION_REQUIRED");
+});
+
+test("a save against the current ETag goes through and bumps it", async () => {
+  const { etag, body } = await read("young-saver");
+
+  const res = await saveElection("young-saver", { "If-Match": etag }, 5);
+  assert.equal(res.status, 200);
+  const saved = await res.json();
+  assert.equal(saved.contributionState.version, body.version + 1);
+  assert.equal(res.headers.get("etag"), `"${body.version + 1}"`);
+  assert.notEqual(res.headers.get("etag"), etag);
+
+  assert.equal((await read("young-saver")).etag, res.headers.get("etag"));
+});
+
+test("a save against a stale ETag gets 409 with the current state", async () => {
+  const { etag } = await read("young-saver");
+  const first = await saveElection("young-saver", { "If-Match": etag }, 6);
+  assert.equal(first.status, 200);
+
+  const res = await saveElection("young-saver", { "If-Match": etag }, 7);
+  assert.equal(res.status, 409);
+  const body = await res.json();
+  assert.equal(body.code, "VERSION_CONFLICT");
+  assert.equal(res.headers.get("etag"), first.headers.get("etag"));
+  assert.equal(`"${body.current.version}"`, first.headers.get("etag"));
+  assert.deepEqual(body.current.sources, { traditional: 6, roth: 0 });
+  // Nothing was overwritten
+  assert.deepEqual((await read("young-saver")).body.sources, { traditional: 6, roth: 0 });
+});
+
+// ---- Scheduled changes ----
+
+async function schedule(userId, etag, traditional) {
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const res = await admin.request(contributionPath(userId), {
+    method: "POST",
+    headers: { "If-Match": etag },
+    body: { contributionType: "percent", sources: { traditional, roth: 0 }, effectiveDate: tomorrow }
+  });
+  assert.equal(res.status, 202);
+  return res.json();
+}
+
+function cancel(userId, pendingId, headers) {
+  return admin.request(`${contributionPath(userId)}/pending/${pendingId}`, {
+    method: "DELETE",
+    headers
+  });
+}
+
+test("cancelling a scheduled change needs If-Match", async () => {
+  const { etag } = await read("near-retiree");
+  const { pending } = await schedule("near-retiree", etag, 9);
+
+  const res = await cancel("near-retiree", pending.id, {});
+  assert.equal(res.status, 428);
+
+  const stale = await cancel("near-retiree", pending.id, { "If-Match": etag });
+  assert.equal(stale.status, 409);
+  assert.equal((await stale.json()).code, "VERSION_CONFLICT");
+  // Still waiting
+  assert.deepEqual(
+    (await read("near-retiree")).body.pending.map((p) => p.id),
+    [pending.id]
+  );
+});
+
+test("cancelling a scheduled change bumps the version and is logged", async () => {
+  const { etag, body } = await read("near-retiree");
+  const [pending] = body.pending;
+
+  const res = await cancel("near-retiree", pending.id, { "If-Match": etag });
+  assert.equal(res.status, 200);
+  const cancelled = await res.json();
+  assert.equal(cancelled.pending.status, "cancelled");
+  assert.equal(cancelled.version, body.version + 1);
+  assert.equal(res.headers.get("etag"), `"${body.version + 1}"`);
+
+  const after = await read("near-retiree");
+  assert.deepEqual(after.body.pending, []);
+  assert.deepEqual(after.body.sources, body.sources);
+
+  const history = await (await admin.request(`${contributionPath("near-retiree")}/history`)).json();
+  const [entry] = history.entries;
+  assert.equal(entry.changedBy, "admin");
+  assert.deepEqual(entry.changedFields, []);
+  assert.equal(entry.cancelled.id, pending.id);
+  assert.equal(entry.cancelled.effectiveDate, pending.effectiveDate);
+  assert.deepEqual(entry.cancelled.sources, { traditional: 9, roth: 0 });
+
+  // Gone now, so a second cancel has nothing to do
+  const again = await cancel("near-retiree", pending.id, { "If-Match": after.etag });
+  assert.equal(again.status, 404);
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createApp } from "../app.js";
+import { SEED_PASSWORD } from "../config.js";
+
+// ---- Test server ----
+//
+// The app on a free port over an in-memory database seeded with the demo
+// accounts. `options` go to createApp. Close `server` when the file is done.
+export async function startServer(options = {}) {
+  const { app, store } = createApp({ dbFile: ":memory:", ...options });
+  const server = app.listen(0);
+  await once(server, "listening");
+  return { server, store, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// ---- Sessions ----
+//
+// Signs in as a seed account and returns a client whose requests carry its
+// session cookie and CSRF token. `request` sends `body` as JSON unless it is
+// already a string.
+export async function signIn(baseUrl, username, password = SEED_PASSWORD) {
+  const res = await fetch(`${baseUrl}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password })
+  });
+  assert.equal(res.status, 200);
+  const cookie = res.headers.get("set-cookie").split(";")[0];
+  const { csrfToken } = await res.json();
+
+  function request(path, { method = "GET", body, headers } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Cookie: cookie,
+        "X-CSRF-Token": csrfToken,
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...headers
+      },
+      body: body === undefined || typeof body === "string" ? body : JSON.stringify(body)
+    });
+  }
+
+  return { cookie, csrfToken, request };
+}
@@ -0,0 +1,53 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { signIn, startServer } from "./helpers.js";
+
+let server;
+let participant;
+
+before(async () => {
+  let baseUrl;
+  ({ server, baseUrl } = await startServer());
+  participant = await signIn(baseUrl, "mock-user-123");
+});
+
+after(() => server.close());
+
+function post(path, body) {
+  return participant.request(path, { method: "POST", body });
+}
+
+test("POST /api/projection projects to retirement", async () => {
+  const res = await post("/api/projection", {
+    age: 30,
+    retirementAge: 40,
+    salary: 100000,
+    currentBalance: 10000,
+    contributionPercent: 10,
+    annualReturnPercent: 5,
+    salaryGrowthPercent: 0,
+    includeEmployerMatch: false
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.mode, "deterministic");
+  assert.equal(body.schedule.length, 10);
+  assert.ok(Math.abs(body.finalBalance - 142067.87) < 0.01);
+});
+
+test("POST /api/projection reports every invalid field", async () => {
+  const res = await post("/api/projection", { age: 0, salary: -1, currentBalance: 0 });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    body.fields.map((field) => field.field).sort(),
+    ["age", "salary"]
+  );
+});
+
+test("answers INVALID_JSON for a body that isn't JSON", async () => {
+  const res = await post("/api/projection", "{not json");
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, "INVALID_JSON");
+});
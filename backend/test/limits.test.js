@@ -0,0 +1,170 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { PLAN_YEAR } from "../config.js";
+import { annualLimitFor, checkAnnualLimit, limitsForYear, remainingPayPeriods } from "../limits.js";
+import { signIn, startServer } from "./helpers.js";
+
+// ---- Limit table ----
+
+test("2026 allows 24,500 plus 8,000 catch-up from 50 and 11,250 at 60-63", () => {
+  assert.equal(annualLimitFor(30, 2026), 24500);
+  assert.equal(annualLimitFor(49, 2026), 24500);
+  assert.equal(annualLimitFor(50, 2026), 24500 + 8000);
+  assert.equal(annualLimitFor(59, 2026), 24500 + 8000);
+  assert.equal(annualLimitFor(60, 2026), 24500 + 11250);
+  assert.equal(annualLimitFor(63, 2026), 24500 + 11250);
+  assert.equal(annualLimitFor(64, 2026), 24500 + 8000);
+});
+
+test("years before the super catch-up use the regular catch-up at 60-63", () => {
+  assert.equal(annualLimitFor(61, 2024), 23000 + 7500);
+  assert.equal(annualLimitFor(61, 2025), 23500 + 11250);
+});
+
+test("a year without a row falls back to the nearest known one", () => {
+  assert.equal(limitsForYear(2031).electiveDeferral, 24500);
+  assert.equal(limitsForYear(2031).planYear, 2031);
+  assert.equal(limitsForYear(2020).electiveDeferral, 23000);
+});
+
+// ---- checkAnnualLimit ----
+
+const JAN_1 = new Date("2026-01-01T00:00:00Z");
+const bounds = { maxPercent: 50, maxDollar: 5000 };
+const participant = {
+  age: 30,
+  salary: 120000,
+  payPeriodsPerYear: 24,
+  ytdContribution: 0,
+  contributionType: "percent",
+  contributionValue: 25
+};
+
+test("an election that stays under the limit is not flagged", () => {
+  const result = checkAnnualLimit(
+    { ...participant, contributionValue: 10 },
+    { planYear: 2026, asOf: JAN_1, bounds }
+  );
+  assert.equal(result.remainingPayPeriods, 24);
+  assert.equal(result.projectedDeferral, 12000);
+  assert.equal(result.exceeded, false);
+  assert.equal(result.limitReachedOnPaycheck, null);
+});
+
+test("an election over the limit offers the largest percent that fits", () => {
+  const result = checkAnnualLimit(participant, { planYear: 2026, asOf: JAN_1, bounds });
+  assert.equal(result.limit, 24500);
+  assert.equal(result.projectedDeferral, 30000);
+  assert.equal(result.exceeded, true);
+  assert.equal(result.limitReachedOnPaycheck, 20);
+  // 24,500 / 24 paychecks is 20.41% of 5,000; rounded down to a tenth
+  assert.equal(result.maxContributionValue, 20.4);
+  assert.equal(
+    checkAnnualLimit(
+      { ...participant, contributionValue: 20.4 },
+      { planYear: 2026, asOf: JAN_1, bounds }
+    ).exceeded,
+    false
+  );
+});
+
+test("dollar elections get a whole-dollar maximum", () => {
+  const result = checkAnnualLimit(
+    { ...participant, payPeriodsPerYear: 52, contributionType: "dollar", contributionValue: 2000 },
+    { planYear: 2026, asOf: JAN_1, bounds }
+  );
+  assert.equal(result.remainingPayPeriods, 52);
+  assert.equal(result.exceeded, true);
+  assert.equal(result.maxContributionValue, 471);
+});
+
+test("the catch-up raises the maximum for a participant of 50", () => {
+  const result = checkAnnualLimit(
+    { ...participant, age: 50 },
+    { planYear: 2026, asOf: JAN_1, bounds }
+  );
+  assert.equal(result.limit, 32500);
+  assert.equal(result.exceeded, false);
+});
+
+test("a participant already at the limit has no room left", () => {
+  const result = checkAnnualLimit(
+    { ...participant, ytdContribution: 24500, contributionValue: 1 },
+    { planYear: 2026, asOf: JAN_1, bounds }
+  );
+  assert.equal(result.exceeded, true);
+  assert.equal(result.limitReachedOnPaycheck, 0);
+  assert.equal(result.maxContributionValue, 0);
+});
+
+// ---- POST /contribution ----
+//
+// The demo participant (age 30, 120,000, semi-monthly) with 24,000 already
+// contributed, so only 500 is left for the rest of the year
+
+const remaining = remainingPayPeriods(24, PLAN_YEAR);
+const skip = remaining === 0 && "no semi-monthly pay dates left this plan year";
+
+let server;
+let admin;
+
+before(async () => {
+  let baseUrl;
+  ({ server, baseUrl } = await startServer());
+  admin = await signIn(baseUrl, "admin");
+});
+
+after(() => server.close());
+
+function save(sources, extra = {}) {
+  return admin.request("/api/users/mock-user-123/contribution", {
+    method: "POST",
+    headers: { "If-Match": "*" },
+    body: { contributionType: "percent", sources, ytdContribution: 24000, ...extra }
+  });
+}
+
+test("a save over the limit is refused with the maximum allowed", { skip }, async () => {
+  const res = await save({ traditional: 30, roth: 20 });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, "ANNUAL_LIMIT_EXCEEDED");
+  assert.equal(body.annualLimit.limit, 24500);
+  assert.equal(body.annualLimit.remainingPayPeriods, remaining);
+
+  const max = body.annualLimit.maxContributionValue;
+  assert.ok(max > 0 && max < 50);
+  // The maximum goes through, a tenth more doesn't
+  const over = await save({ traditional: Math.round((max + 0.1) * 10) / 10, roth: 0 });
+  assert.equal(over.status, 400);
+  const fits = await save({ traditional: max, roth: 0 });
+  assert.equal(fits.status, 200);
+  assert.equal((await fits.json()).annualLimit.exceeded, false);
+});
+
+test("capAtLimit lowers the election to the maximum instead", { skip }, async () => {
+  const refused = await (await save({ traditional: 30, roth: 20 })).json();
+  const max = refused.annualLimit.maxContributionValue;
+
+  const res = await save({ traditional: 30, roth: 20 }, { capAtLimit: true });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.capped, true);
+  assert.equal(body.annualLimit.exceeded, false);
+  // Both sources come down in proportion, each rounded down to a tenth
+  const { sources, contributionValue } = body.contributionState;
+  for (const [source, share] of [["traditional", 0.6], ["roth", 0.4]]) {
+    assert.ok(sources[source] <= max * share + 1e-9);
+    assert.ok(sources[source] > max * share - 0.1);
+  }
+  assert.ok(contributionValue <= max);
+  assert.equal(contributionValue, Math.round((sources.traditional + sources.roth) * 100) / 100);
+});
+
+test("capAtLimit leaves an election under the limit alone", { skip }, async () => {
+  const res = await save({ traditional: 0.1, roth: 0 }, { capAtLimit: true });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.capped, false);
+  assert.deepEqual(body.contributionState.sources, { traditional: 0.1, roth: 0 });
+});
@@ -0,0 +1,46 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { todayIso } from "../scheduler.js";
+import { signIn, startServer } from "./helpers.js";
+
+let server;
+let participant;
+
+before(async () => {
+  let baseUrl;
+  ({ server, baseUrl } = await startServer());
+  participant = await signIn(baseUrl, "mock-user-123");
+});
+
+after(() => server.close());
+
+function paychecks(query = "") {
+  return participant.request(`/api/paychecks${query}`);
+}
+
+test("the table starts today by default", async () => {
+  const res = await paychecks();
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.asOf, todayIso());
+  assert.ok(body.paychecks.every((paycheck) => paycheck.payDate >= todayIso()));
+});
+
+test("asOf may be today or later", async () => {
+  const res = await paychecks(`?asOf=${todayIso()}`);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).asOf, todayIso());
+});
+
+test("a past asOf is refused, as its paychecks are already in the YTD figure", async () => {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const res = await paychecks(`?asOf=${yesterday}`);
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    body.fields.map(({ field, code }) => ({ field, code })),
+    [{ field: "asOf", code: "too_small" }]
+  );
+});
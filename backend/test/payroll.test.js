@@ -0,0 +1,66 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { PLAN_YEAR } from "../config.js";
+import { payDatesForYear } from "../payCalendar.js";
+import { todayIso } from "../scheduler.js";
+import { signIn, startServer } from "./helpers.js";
+
+// The demo participant's next pay date (semi-monthly); feeds can't be built
+// for past dates or other plan years
+const payDate = payDatesForYear("semi-monthly", PLAN_YEAR).find((date) => date >= todayIso());
+const skip = !payDate && "no semi-monthly pay dates left this plan year";
+
+let server;
+let admin;
+let participant;
+
+before(async () => {
+  let baseUrl;
+  ({ server, baseUrl } = await startServer());
+  admin = await signIn(baseUrl, "admin");
+  participant = await signIn(baseUrl, "mock-user-123");
+});
+
+after(() => server.close());
+
+// The standard CSV feed as { employee_id: changed flag }
+async function feed(mode) {
+  const res = await admin.request(`/api/payroll/feed?payDate=${payDate}&mode=${mode}`);
+  assert.equal(res.status, 200);
+  const [header, ...rows] = (await res.text()).trim().split(/\r?\n/);
+  const columns = header.split(",");
+  return Object.fromEntries(
+    rows.map((row) => {
+      const cells = row.split(",");
+      return [cells[columns.indexOf("employee_id")], cells[columns.indexOf("changed")]];
+    })
+  );
+}
+
+test("a first full feed marks every record changed", { skip }, async () => {
+  const changed = await feed("full");
+  assert.ok(Object.keys(changed).includes("mock-user-123"));
+  assert.ok(Object.values(changed).every((flag) => flag === "Y"));
+});
+
+test("a repeated full feed marks the unchanged records N", { skip }, async () => {
+  const changed = await feed("full");
+  assert.ok(Object.keys(changed).includes("mock-user-123"));
+  assert.ok(Object.values(changed).every((flag) => flag === "N"));
+});
+
+test("after an election changes, both modes flag only that record", { skip }, async () => {
+  const read = await participant.request("/api/users/mock-user-123/contribution");
+  const save = await participant.request("/api/users/mock-user-123/contribution", {
+    method: "POST",
+    headers: { "If-Match": read.headers.get("etag") },
+    body: { contributionType: "percent", sources: { traditional: 8, roth: 2 } }
+  });
+  assert.equal(save.status, 200);
+
+  assert.deepEqual(await feed("delta"), { "mock-user-123": "Y" });
+
+  const full = await feed("full");
+  assert.equal(full["mock-user-123"], "N");
+  assert.ok(Object.values(full).every((flag) => flag === "N"));
+});
@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escalationFor, projectBalance } from "../../shared/projection.js";
+import { simulateBalances } from "../simulation.js";
+
+// Equal to within a hundredth of a cent
+function assertClose(actual, expected, tolerance = 1e-4) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+const base = {
+  age: 30,
+  retirementAge: 40,
+  annualReturn: 0.05,
+  currentBalance: 10000,
+  salary: 100000,
+  contributionPercent: 10
+};
+
+// B(1+r)^n + C((1+r)^n - 1)/r, from the header of shared/projection.js
+function closedForm({ currentBalance, annualReturn: r, years: n, contribution }) {
+  const factor = Math.pow(1 + r, n);
+  return currentBalance * factor + (contribution * (factor - 1)) / r;
+}
+
+test("matches the closed-form future value with no salary growth", () => {
+  const result = projectBalance(base);
+  const expected = closedForm({
+    currentBalance: 10000,
+    annualReturn: 0.05,
+    years: 10,
+    contribution: 10000
+  });
+  assertClose(result.finalBalance, expected);
+  assertClose(result.finalBalance, 142067.87, 0.01);
+  assert.equal(result.schedule.length, 10);
+  assert.equal(result.schedule[0].age, 31);
+  assert.equal(result.schedule.at(-1).age, 40);
+});
+
+test("contributes for one final year, without growth, at or past retirement age", () => {
+  for (const age of [65, 70]) {
+    const result = projectBalance({ ...base, age, retirementAge: 65 });
+    assert.equal(result.schedule.length, 1);
+    assert.equal(result.schedule[0].age, age);
+    assert.equal(result.schedule[0].growth, 0);
+    assert.equal(result.finalBalance, 10000 + 10000);
+  }
+});
+
+test("adds the employer match every year", () => {
+  // 100% of the first 3% plus 50% of the next 2%: 4% of salary at a 10% election
+  const employerMatch = {
+    tiers: [
+      { upToPercent: 3, rate: 1 },
+      { upToPercent: 5, rate: 0.5 }
+    ],
+    annualCap: null
+  };
+  const result = projectBalance({ ...base, employerMatch });
+  for (const row of result.schedule) {
+    assertClose(row.employerContributions, 4000);
+  }
+  const expected = closedForm({
+    currentBalance: 10000,
+    annualReturn: 0.05,
+    years: 10,
+    contribution: 14000
+  });
+  assertClose(result.finalBalance, expected);
+
+  const capped = projectBalance({ ...base, employerMatch: { ...employerMatch, annualCap: 2500 } });
+  assert.equal(capped.schedule[0].employerContributions, 2500);
+});
+
+test("grows salary, and every percent-of-salary contribution, each year", () => {
+  const result = projectBalance({ ...base, retirementAge: 32, salaryGrowth: 0.03 });
+  const [first, second] = result.schedule;
+  assert.equal(first.salary, 100000);
+  assert.equal(first.employeeContributions, 10000);
+  assertClose(second.salary, 103000);
+  assertClose(second.employeeContributions, 10300);
+  // Each year: grow the starting balance, then add that year's contribution
+  assertClose(result.finalBalance, (10000 * 1.05 + 10000) * 1.05 + 10300);
+});
+
+test("deflates real figures by inflation per projected year", () => {
+  const result = projectBalance({ ...base, inflation: 0.025 });
+  assertClose(result.finalBalanceReal, result.finalBalance / Math.pow(1.025, 10));
+  result.schedule.forEach((row, i) => {
+    assertClose(row.realEndingBalance, row.endingBalance / Math.pow(1.025, i + 1));
+  });
+  // No inflation: real and nominal agree
+  assert.equal(projectBalance(base).finalBalanceReal, projectBalance(base).finalBalance);
+});
+
+test("raises the contribution by the escalation increment up to the cap", () => {
+  const result = projectBalance({
+    ...base,
+    contributionPercent: 6,
+    escalation: { incrementPercent: 1, capPercent: 8 }
+  });
+  assert.deepEqual(
+    result.schedule.slice(0, 4).map((row) => row.contributionPercent),
+    [6, 7, 8, 8]
+  );
+});
+
+test("only escalates percent elections with the rule on", () => {
+  const rule = { enabled: true, incrementPercent: 1, capPercent: 8 };
+  assert.equal(escalationFor("percent", rule), rule);
+  assert.equal(escalationFor("dollar", rule), null);
+  assert.equal(escalationFor("percent", { ...rule, enabled: false }), null);
+  assert.equal(escalationFor("percent", null), null);
+});
+
+test("returns null without the required inputs", () => {
+  assert.equal(projectBalance({ ...base, salary: null }), null);
+});
+
+// ---- Monte Carlo ----
+
+const simulationInputs = {
+  age: 40,
+  retirementAge: 45,
+  annualReturn: 0.05,
+  currentBalance: 50000,
+  salary: 100000,
+  contributionPercent: 10,
+  volatility: 0.12,
+  trials: 500,
+  seed: 401
+};
+
+test("gives the same percentiles for the same seed", () => {
+  const result = simulateBalances(simulationInputs);
+  assertClose(result.finalBalance.p10, 91656.03, 0.01);
+  assertClose(result.finalBalance.p50, 117597.01, 0.01);
+  assertClose(result.finalBalance.p90, 148802.79, 0.01);
+  assert.deepEqual(simulateBalances(simulationInputs), result);
+  assert.notDeepEqual(
+    simulateBalances({ ...simulationInputs, seed: 402 }).finalBalance,
+    result.finalBalance
+  );
+});
+
+test("collapses to the deterministic projection with no volatility", () => {
+  const result = simulateBalances({ ...simulationInputs, volatility: 0 });
+  const expected = projectBalance(simulationInputs).finalBalance;
+  for (const key of ["p10", "p50", "p90"]) {
+    assertClose(result.finalBalance[key], expected);
+  }
+});
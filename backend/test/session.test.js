@@ -0,0 +1,169 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createSessionToken, readSessionToken } from "../auth.js";
+import { SEED_PASSWORD } from "../config.js";
+import { SESSION_COOKIE } from "../routes/session.js";
+import { signIn, startServer } from "./helpers.js";
+
+let server;
+let baseUrl;
+let participant;
+let admin;
+
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+  participant = await signIn(baseUrl, "mock-user-123");
+  admin = await signIn(baseUrl, "admin");
+});
+
+after(() => server.close());
+
+function login(username, password) {
+  return fetch(`${baseUrl}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password })
+  });
+}
+
+// GET /api/auth/session with only the given headers
+function sessionWith(headers) {
+  return fetch(`${baseUrl}/api/auth/session`, { headers });
+}
+
+// ---- Signing in ----
+
+test("login sets an HttpOnly session cookie and returns the CSRF token", async () => {
+  const res = await login("mock-user-123", SEED_PASSWORD);
+  assert.equal(res.status, 200);
+
+  const cookie = res.headers.get("set-cookie");
+  assert.ok(cookie.startsWith(`${SESSION_COOKIE}=`));
+  assert.match(cookie, /HttpOnly/i);
+  const body = await res.json();
+  assert.deepEqual(body.user, {
+    username: "mock-user-123",
+    userId: "mock-user-123",
+    role: "participant"
+  });
+  assert.ok(body.csrfToken);
+});
+
+test("login rejects a wrong password and an unknown username alike", async () => {
+  for (const [username, password] of [
+    ["mock-user-123", "not-the-password"],
+    ["nobody", SEED_PASSWORD]
+  ]) {
+    const res = await login(username, password);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, "INVALID_CREDENTIALS");
+    assert.equal(res.headers.get("set-cookie"), null);
+  }
+});
+
+// ---- Tokens ----
+
+test("the session cookie restores the session", async () => {
+  const res = await sessionWith({ Cookie: participant.cookie });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.user.username, "mock-user-123");
+  assert.equal(body.csrfToken, participant.csrfToken);
+});
+
+test("a missing, forged or malformed session cookie is signed out", async () => {
+  const [name, token] = participant.cookie.split("=");
+  const [data, signature] = token.split(".");
+  const forged = `${data}.${signature.slice(0, -2)}${signature.endsWith("AA") ? "BB" : "AA"}`;
+
+  for (const headers of [
+    {},
+    { Cookie: `${name}=${forged}` },
+    { Cookie: `${name}=%E0%A4%A` }
+  ]) {
+    const res = await sessionWith(headers);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, "UNAUTHENTICATED");
+  }
+});
+
+test("a bearer token from /api/auth/token signs API clients in", async () => {
+  const res = await fetch(`${baseUrl}/api/auth/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username: "admin", password: SEED_PASSWORD })
+  });
+  assert.equal(res.status, 200);
+  const { token, tokenType } = await res.json();
+  assert.equal(tokenType, "Bearer");
+
+  const session = await sessionWith({ Authorization: `Bearer ${token}` });
+  assert.equal(session.status, 200);
+  const body = await session.json();
+  assert.equal(body.user.role, "admin");
+  // Bearer clients aren't exposed to CSRF, so they get no token
+  assert.equal(body.csrfToken, null);
+
+  const forged = await sessionWith({ Authorization: `Bearer ${token}x` });
+  assert.equal(forged.status, 401);
+});
+
+test("a token is only read back with its own secret and before it expires", () => {
+  const account = { username: "mock-user-123", userId: "mock-user-123", role: "participant" };
+  const now = Date.now();
+  const { token, session } = createSessionToken(account, { secret: "s1", ttlMs: 1000, now });
+
+  assert.deepEqual(readSessionToken(token, { secret: "s1", now }), session);
+  assert.equal(readSessionToken(token, { secret: "s2", now }), null);
+  assert.equal(readSessionToken(token, { secret: "s1", now: now + 1000 }), null);
+  assert.equal(readSessionToken("not-a-token", { secret: "s1", now }), null);
+});
+
+// ---- CSRF ----
+
+test("cookie sessions must echo the CSRF token on writes", async () => {
+  const write = (headers) =>
+    fetch(`${baseUrl}/api/auth/preferences`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json", Cookie: participant.cookie, ...headers },
+      body: JSON.stringify({ language: "es" })
+    });
+
+  for (const headers of [{}, { "X-CSRF-Token": "wrong" }, { "X-CSRF-Token": admin.csrfToken }]) {
+    const res = await write(headers);
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, "CSRF_TOKEN_INVALID");
+  }
+
+  const res = await write({ "X-CSRF-Token": participant.csrfToken });
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).preferences, { language: "es" });
+});
+
+test("reads don't need the CSRF token", async () => {
+  const res = await fetch(`${baseUrl}/api/contribution`, { headers: { Cookie: participant.cookie } });
+  assert.equal(res.status, 200);
+});
+
+// ---- Roles ----
+
+test("participants can't use the admin routes", async () => {
+  for (const path of ["/api/payroll/feeds", "/api/webhooks", "/api/admin/plan"]) {
+    const res = await participant.request(path);
+    assert.equal(res.status, 403, path);
+    assert.equal((await res.json()).code, "FORBIDDEN");
+
+    assert.equal((await admin.request(path)).status, 200, path);
+  }
+});
+
+test("participants only open their own record; admins open anyone's", async () => {
+  const own = await participant.request("/api/users/mock-user-123/contribution");
+  assert.equal(own.status, 200);
+
+  const other = await participant.request("/api/users/young-saver/contribution");
+  assert.equal(other.status, 403);
+  assert.equal((await other.json()).code, "FORBIDDEN");
+
+  assert.equal((await admin.request("/api/users/young-saver/contribution")).status, 200);
+});
@@ -0,0 +1,131 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJsonStore } from "../db/jsonStore.js";
+import { MIGRATIONS, runMigrations } from "../db/migrations.js";
+import { SEED_USERS } from "../db/seed.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hi401k-store-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const LATEST = MIGRATIONS.at(-1).version;
+
+// A database as the first release wrote it: schema version 1, contributions
+// only, and the demo participant's election changed from the seeded 10%
+const FIRST_RELEASE = {
+  schemaVersion: 1,
+  contributions: {
+    "mock-user-123": {
+      userId: "mock-user-123",
+      age: 30,
+      salary: 120000,
+      payPeriodsPerYear: 24,
+      ytdContribution: 8500,
+      contributionType: "percent",
+      contributionValue: 12,
+      currentBalance: 15000
+    }
+  }
+};
+
+function writeDb(name, data) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+const readDb = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+test("the migrations are numbered 1 to n in order", () => {
+  assert.equal(LATEST, 13);
+  assert.deepEqual(
+    MIGRATIONS.map((migration) => migration.version),
+    Array.from({ length: LATEST }, (_, i) => i + 1)
+  );
+});
+
+test("a first-release database is migrated to the latest schema and seeded", () => {
+  const file = writeDb("first-release.json", FIRST_RELEASE);
+
+  const store = createJsonStore(file);
+  const db = readDb(file);
+  assert.deepEqual(db, store.read((data) => data));
+  assert.equal(db.schemaVersion, LATEST);
+
+  // The saved election survives, filled in with what later releases added
+  const demo = db.contributions["mock-user-123"];
+  assert.equal(demo.contributionValue, 12);
+  assert.deepEqual(demo.sources, { traditional: 12, roth: 0 });
+  assert.equal(demo.filingStatus, "single");
+  assert.equal(demo.autoEscalation, null);
+  assert.equal(demo.version, 1);
+  assert.equal(db.users["mock-user-123"].profile, "default");
+
+  for (const collection of [
+    "contributionHistory",
+    "pendingElections",
+    "scenarios",
+    "payrollFeeds",
+    "webhooks",
+    "webhookDeliveries"
+  ]) {
+    assert.deepEqual(db[collection], [], collection);
+  }
+  assert.equal(db.plan, null);
+
+  // The other seed participants and every account are added around it
+  for (const { user } of SEED_USERS) {
+    assert.ok(db.contributions[user.userId], user.userId);
+    assert.equal(db.accounts[user.userId].role, "participant");
+    assert.deepEqual(db.accounts[user.userId].preferences, { language: null });
+  }
+  assert.equal(db.accounts.admin.role, "admin");
+});
+
+test("opening a migrated database again changes nothing", () => {
+  const file = writeDb("reopened.json", FIRST_RELEASE);
+  createJsonStore(file);
+  const before = fs.readFileSync(file, "utf8");
+  const { mtimeMs } = fs.statSync(file);
+
+  createJsonStore(file);
+
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+  assert.equal(fs.statSync(file).mtimeMs, mtimeMs);
+
+  const db = readDb(file);
+  assert.deepEqual(runMigrations(structuredClone(db)), db);
+});
+
+test("a missing file is created at the latest schema with the seed data", () => {
+  const file = path.join(dir, "nested", "new.json");
+
+  createJsonStore(file);
+
+  const db = readDb(file);
+  assert.equal(db.schemaVersion, LATEST);
+  assert.deepEqual(
+    Object.keys(db.contributions).sort(),
+    SEED_USERS.map(({ user }) => user.userId).sort()
+  );
+  assert.equal(db.contributions["mock-user-123"].contributionValue, 10);
+});
+
+test("a transaction that throws leaves the store and the file as they were", () => {
+  const file = writeDb("rollback.json", FIRST_RELEASE);
+  const store = createJsonStore(file);
+  const before = fs.readFileSync(file, "utf8");
+
+  assert.throws(() =>
+    store.transaction((db) => {
+      db.contributions["mock-user-123"].contributionValue = 50;
+      throw new Error("boom");
+    })
+  );
+
+  assert.equal(store.read((db) => db.contributions["mock-user-123"].contributionValue), 12);
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+});
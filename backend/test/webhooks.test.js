@@ -0,0 +1,152 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { once } from "node:events";
+import http from "node:http";
+import { WEBHOOK_MAX_ATTEMPTS } from "../config.js";
+import { signIn, startServer } from "./helpers.js";
+
+// Wait before the first retry; each later one waits twice as long
+const RETRY_BASE_MS = 40;
+
+let server;
+let admin;
+
+// The subscriber: records every request it gets and answers each with the
+// next status in `answers` (200 once they run out)
+let receiver;
+let receiverUrl;
+let received = [];
+let answers = [];
+
+before(async () => {
+  let baseUrl;
+  ({ server, baseUrl } = await startServer({ webhookRetryBaseMs: RETRY_BASE_MS }));
+  admin = await signIn(baseUrl, "admin");
+
+  receiver = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    received.push({ headers: req.headers, body: Buffer.concat(chunks).toString("utf8") });
+    res.writeHead(answers.shift() ?? 200).end();
+  });
+  receiver.listen(0);
+  await once(receiver, "listening");
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => {
+  server.close();
+  receiver.close();
+});
+
+// Subscribes the receiver (dropped again when the test ends) and returns the
+// created webhook, secret included
+async function subscribe(t) {
+  received = [];
+  answers = [];
+  const res = await admin.request("/api/webhooks", { method: "POST", body: { url: receiverUrl } });
+  assert.equal(res.status, 201);
+  const webhook = await res.json();
+  t.after(() => admin.request(`/api/webhooks/${webhook.id}`, { method: "DELETE" }));
+  return webhook;
+}
+
+// Saves a new election for the demo participant, which publishes
+// contribution.updated
+async function saveElection(traditional) {
+  const path = "/api/users/mock-user-123/contribution";
+  const read = await admin.request(path);
+  const res = await admin.request(path, {
+    method: "POST",
+    headers: { "If-Match": read.headers.get("etag") },
+    body: { contributionType: "percent", sources: { traditional, roth: 0 } }
+  });
+  assert.equal(res.status, 200);
+}
+
+// The webhook's delivery log once its newest delivery is finished
+async function finishedDeliveries(webhookId) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const res = await admin.request(`/api/webhooks/${webhookId}/deliveries`);
+    const log = await res.json();
+    if (["succeeded", "failed"].includes(log.deliveries[0]?.status)) return log;
+    assert.ok(Date.now() < deadline, "delivery did not finish in time");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+const gapsBetween = (attempts) =>
+  attempts.slice(1).map((attempt, i) => Date.parse(attempt.at) - Date.parse(attempts[i].at));
+
+test("signs the body with the secret returned on create", async (t) => {
+  const webhook = await subscribe(t);
+  assert.match(webhook.secret, /^whsec_/);
+
+  const res = await admin.request(`/api/webhooks/${webhook.id}/test`, { method: "POST" });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).ok, true);
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  const timestamp = headers["x-webhook-timestamp"];
+  const expected = createHmac("sha256", webhook.secret).update(`${timestamp}.${body}`).digest("hex");
+  assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+  assert.equal(headers["x-webhook-id"], webhook.id);
+  assert.equal(headers["x-webhook-event"], "webhook.test");
+  assert.equal(JSON.parse(body).type, "webhook.test");
+});
+
+test("retries a failed delivery with backoff until the receiver accepts it", async (t) => {
+  const webhook = await subscribe(t);
+  answers = [500, 503];
+
+  await saveElection(11);
+  const { deliveries, total } = await finishedDeliveries(webhook.id);
+
+  assert.equal(total, 1);
+  const [delivery] = deliveries;
+  assert.equal(delivery.status, "succeeded");
+  assert.equal(delivery.event.type, "contribution.updated");
+  assert.equal(delivery.event.data.userId, "mock-user-123");
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.ok(delivery.completedAt);
+  assert.deepEqual(
+    delivery.attempts.map(({ statusCode, error }) => ({ statusCode, error })),
+    [
+      { statusCode: 500, error: "Receiver answered 500" },
+      { statusCode: 503, error: "Receiver answered 503" },
+      { statusCode: 200, error: null }
+    ]
+  );
+  const [first, second] = gapsBetween(delivery.attempts);
+  assert.ok(first >= RETRY_BASE_MS, `first retry after ${first} ms`);
+  assert.ok(second >= 2 * RETRY_BASE_MS, `second retry after ${second} ms`);
+
+  // Every attempt is the same delivery, signed afresh
+  assert.equal(received.length, 3);
+  assert.deepEqual(
+    received.map(({ headers }) => headers["x-webhook-delivery"]),
+    [delivery.id, delivery.id, delivery.id]
+  );
+  assert.equal(JSON.parse(received[2].body).id, delivery.event.id);
+});
+
+test("gives up once the attempts run out", async (t) => {
+  const webhook = await subscribe(t);
+  answers = Array(WEBHOOK_MAX_ATTEMPTS).fill(500);
+
+  await saveElection(12);
+  const {
+    deliveries: [delivery]
+  } = await finishedDeliveries(webhook.id);
+
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.attempts.length, WEBHOOK_MAX_ATTEMPTS);
+  assert.ok(delivery.attempts.every((attempt) => attempt.statusCode === 500));
+  gapsBetween(delivery.attempts).forEach((gap, i) =>
+    assert.ok(gap >= RETRY_BASE_MS * 2 ** i, `retry ${i + 1} after ${gap} ms`)
+  );
+  assert.equal(received.length, WEBHOOK_MAX_ATTEMPTS);
+});
@@ -0,0 +1,257 @@
+// ---- Request validation ----
+//
+// Routes describe their input declaratively and get back either the cleaned
+// value or a list of every failing field, instead of checking fields one by
+// one and stopping (or silently skipping) at the first bad value.
+//
+// A schema is { fields, rules }:
+//
+//   fields: { name: descriptor }, where a descriptor is
+//     { type, required, nullable, default, ...constraints }
+//     type         "number" | "integer" | "string" | "boolean" | "date" |
+//                  "monthDay" | "object" (with its own `fields`) |
+//                  "array" (with an `items` descriptor)
+//     constraints  min / max (inclusive), greaterThan / lessThan
+//                  (exclusive), enum, pattern, minLength, maxLength, trim,
+//                  minItems / maxItems (arrays)
+//   rules: [(value) => issue | issue[] | null] - checks that span fields,
+//     run only once every field is valid
+//
+// Numbers and booleans may arrive as strings (query strings, form posts) and
+// are converted. Fields not in the schema are dropped from the result.
+//
+// An issue is { field, code, message, params? }; `field` is a dotted path
+// such as "sources.roth" or "employerMatch.tiers.0.rate". `params` carries
+// the values a client needs to word the message itself: the bound that was
+// crossed (`limit`, with `exclusive` for greaterThan / lessThan) and its
+// `unit` ("percent", "dollar") where one applies.
+
+import { isIsoDate, isMonthDay } from "./scheduler.js";
+
+export function defineSchema(fields, rules = []) {
+  return { fields, rules };
+}
+
+// Combines schemas; later fields with the same name win
+export function mergeSchemas(...schemas) {
+  return {
+    fields: Object.assign({}, ...schemas.map((schema) => schema.fields)),
+    rules: schemas.flatMap((schema) => schema.rules)
+  };
+}
+
+export function issue(field, code, message, params) {
+  return params ? { field, code, message, params } : { field, code, message };
+}
+
+function toNumber(raw) {
+  if (typeof raw === "number") return raw;
+  if (typeof raw === "string" && raw.trim() !== "") return Number(raw);
+  return NaN;
+}
+
+function checkField(path, descriptor, raw, issues) {
+  const { type } = descriptor;
+
+  if (type === "number" || type === "integer") {
+    const num = toNumber(raw);
+    if (!Number.isFinite(num)) {
+      return issues.push(issue(path, "invalid_type", `${path} must be a number`));
+    }
+    if (type === "integer" && !Number.isInteger(num)) {
+      return issues.push(issue(path, "invalid_type", `${path} must be a whole number`));
+    }
+    if (descriptor.greaterThan !== undefined && num <= descriptor.greaterThan) {
+      return issues.push(
+        issue(path, "too_small", `${path} must be greater than ${descriptor.greaterThan}`, {
+          limit: descriptor.greaterThan,
+          exclusive: true
+        })
+      );
+    }
+    if (descriptor.lessThan !== undefined && num >= descriptor.lessThan) {
+      return issues.push(
+        issue(path, "too_large", `${path} must be less than ${descriptor.lessThan}`, {
+          limit: descriptor.lessThan,
+          exclusive: true
+        })
+      );
+    }
+    if (descriptor.min !== undefined && num < descriptor.min) {
+      return issues.push(
+        issue(path, "too_small", `${path} must be at least ${descriptor.min}`, {
+          limit: descriptor.min
+        })
+      );
+    }
+    if (descriptor.max !== undefined && num > descriptor.max) {
+      return issues.push(
+        issue(path, "too_large", `${path} must be at most ${descriptor.max}`, {
+          limit: descriptor.max
+        })
+      );
+    }
+    return num;
+  }
+
+  if (type === "boolean") {
+    if (raw === true || raw === "true") return true;
+    if (raw === false || raw === "false") return false;
+    return issues.push(issue(path, "invalid_type", `${path} must be true or false`));
+  }
+
+  if (type === "object") {
+    if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+      return issues.push(issue(path, "invalid_type", `${path} must be an object`));
+    }
+    return checkFields(descriptor.fields, raw, issues, `${path}.`);
+  }
+
+  if (type === "array") {
+    if (!Array.isArray(raw)) {
+      return issues.push(issue(path, "invalid_type", `${path} must be a list`));
+    }
+    if (descriptor.minItems !== undefined && raw.length < descriptor.minItems) {
+      return issues.push(
+        issue(path, "too_short", `${path} must have at least ${descriptor.minItems} item(s)`, {
+          limit: descriptor.minItems
+        })
+      );
+    }
+    if (descriptor.maxItems !== undefined && raw.length > descriptor.maxItems) {
+      return issues.push(
+        issue(path, "too_long", `${path} must have at most ${descriptor.maxItems} item(s)`, {
+          limit: descriptor.maxItems
+        })
+      );
+    }
+    return raw.map((item, i) => checkField(`${path}.${i}`, descriptor.items, item, issues));
+  }
+
+  // String-based types
+  if (typeof raw !== "string") {
+    return issues.push(issue(path, "invalid_type", `${path} must be a string`));
+  }
+  const str = descriptor.trim ? raw.trim() : raw;
+
+  if (type === "date" && !isIsoDate(str)) {
+    return issues.push(issue(path, "invalid_format", `${path} must be a date (YYYY-MM-DD)`));
+  }
+  if (type === "monthDay" && !isMonthDay(str)) {
+    return issues.push(issue(path, "invalid_format", `${path} must be a month and day (MM-DD)`));
+  }
+  if (descriptor.enum && !descriptor.enum.includes(str)) {
+    return issues.push(
+      issue(path, "invalid_option", `${path} must be one of ${descriptor.enum.join(", ")}`)
+    );
+  }
+  if (descriptor.minLength !== undefined && str.length < descriptor.minLength) {
+    return issues.push(
+      issue(
+        path,
+        descriptor.minLength === 1 ? "required" : "too_short",
+        descriptor.minLength === 1
+          ? `${path} is required`
+          : `${path} must be at least ${descriptor.minLength} characters`,
+        descriptor.minLength === 1 ? undefined : { limit: descriptor.minLength }
+      )
+    );
+  }
+  if (descriptor.maxLength !== undefined && str.length > descriptor.maxLength) {
+    return issues.push(
+      issue(path, "too_long", `${path} must be at most ${descriptor.maxLength} characters`, {
+        limit: descriptor.maxLength
+      })
+    );
+  }
+  if (descriptor.pattern && !descriptor.pattern.test(str)) {
+    return issues.push(issue(path, "invalid_format", `${path} has an invalid format`));
+  }
+  return str;
+}
+
+function checkFields(fields, input, issues, prefix = "") {
+  const value = {};
+  for (const [name, descriptor] of Object.entries(fields)) {
+    const path = `${prefix}${name}`;
+    const raw = input?.[name];
+
+    if (raw === undefined) {
+      if (descriptor.required) {
+        issues.push(issue(path, "required", `${path} is required`));
+      } else if (descriptor.default !== undefined) {
+        value[name] = descriptor.default;
+      }
+      continue;
+    }
+    if (raw === null && descriptor.nullable) {
+      value[name] = null;
+      continue;
+    }
+
+    const before = issues.length;
+    const checked = checkField(path, descriptor, raw, issues);
+    if (issues.length === before) value[name] = checked;
+  }
+  return value;
+}
+
+// Returns { value } or { issues }
+export function validate(schema, input) {
+  const issues = [];
+  const value = checkFields(schema.fields, input ?? {}, issues);
+  if (issues.length) return { issues };
+
+  for (const rule of schema.rules) {
+    const found = rule(value);
+    if (found) issues.push(...[found].flat());
+  }
+  return issues.length ? { issues } : { value };
+}
+
+// Standard 400 body; `error` names the failing fields for clients that only
+// show a single message
+export function validationError(issues) {
+  const fields = [...new Set(issues.map((i) => i.field))];
+  return {
+    error: `Invalid ${fields.join(", ")}`,
+    code: "VALIDATION_FAILED",
+    fields: issues
+  };
+}
+
+// Express middleware: validates req.query / req.body against the given
+// schemas ({ query, body }) and replaces them with the cleaned values.
+// A schema may also be a function of the request, for bounds that come from
+// the plan configuration (`req.plan`).
+export function validateRequest(schemas) {
+  return (req, res, next) => {
+    const issues = [];
+    const cleaned = {};
+    for (const part of ["query", "body"]) {
+      if (!schemas[part]) continue;
+      const schema = typeof schemas[part] === "function" ? schemas[part](req) : schemas[part];
+      const result = validate(schema, req[part]);
+      if (result.issues) issues.push(...result.issues);
+      else cleaned[part] = result.value;
+    }
+    if (issues.length) {
+      return res.status(400).json(validationError(issues));
+    }
+    if (cleaned.query) req.query = cleaned.query;
+    if (cleaned.body) req.body = cleaned.body;
+    next();
+  };
+}
+
+// Express error handler: a body express.json() couldn't parse gets the
+// standard 400 body instead of Express's HTML error page
+export function invalidJsonHandler(err, req, res, next) {
+  if (err.type !== "entity.parse.failed") return next(err);
+  const found = issue("body", "invalid_json", "Request body must be valid JSON");
+  return res.status(400).json({
+    error: "Request body is not valid JSON",
+    code: "INVALID_JSON",
+    fields: [found]
+  });
+}
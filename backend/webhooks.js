@@ -0,0 +1,138 @@
+import { createHmac, randomUUID } from "node:crypto";
+
+// ---- Webhooks ----
+//
+// Integrations (HRIS, notifications) subscribe a URL to event types instead
+// of polling. Each event is POSTed as JSON:
+//
+//   { id, type, createdAt, data }
+//
+// with headers
+//
+//   X-Webhook-Id         the subscription
+//   X-Webhook-Event      the event type
+//   X-Webhook-Delivery   this delivery (the same across its retries)
+//   X-Webhook-Timestamp  Unix seconds when this attempt was signed
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>",
+//                        keyed with the subscription's secret
+//
+// A 2xx answer is a success. Anything else, a network error or a timeout is
+// retried with exponential backoff until the attempts run out. Every attempt
+// is recorded in the delivery log. Deliveries run in the background, so a
+// slow or failing receiver never holds up the request that raised the event.
+
+export const WEBHOOK_EVENTS = [
+  // A participant's election (or snapshot) was saved via POST /api/contribution
+  "contribution.updated"
+];
+
+// Sent by the test-fire endpoint only; not subscribable
+export const TEST_EVENT = "webhook.test";
+
+export function signPayload(secret, timestamp, body) {
+  return createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function errorMessage(error, timeoutMs) {
+  if (error.name === "TimeoutError") return `Timed out after ${timeoutMs} ms`;
+  // fetch() reports network failures as "fetch failed" with the reason in `cause`
+  return error.cause?.message ?? error.message;
+}
+
+export function createWebhookDispatcher({ webhooks, maxAttempts, retryBaseMs, timeoutMs }) {
+  function schedule(deliveryId, delayMs) {
+    // Pending retries must not keep the process alive on shutdown
+    setTimeout(() => {
+      attempt(deliveryId).catch((error) => console.error("Webhook delivery failed:", error));
+    }, delayMs).unref();
+  }
+
+  // Makes one attempt and records it; with `retry`, a failure schedules the
+  // next attempt. Returns the updated delivery.
+  async function attempt(deliveryId, { retry = true } = {}) {
+    const delivery = webhooks.findDelivery(deliveryId);
+    const webhook = delivery && webhooks.findById(delivery.webhookId);
+    // The webhook was deleted while a retry was waiting
+    if (!webhook) return null;
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+
+    let result;
+    try {
+      const res = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "HI-401k-Webhooks/1.0",
+          "X-Webhook-Id": webhook.id,
+          "X-Webhook-Event": delivery.event.type,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      // The response body isn't used; don't leave it unread
+      await res.body?.cancel();
+      result = { statusCode: res.status, error: res.ok ? null : `Receiver answered ${res.status}` };
+    } catch (error) {
+      result = { statusCode: null, error: errorMessage(error, timeoutMs) };
+    }
+
+    const attempts = [
+      ...delivery.attempts,
+      { at: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), ...result }
+    ];
+    const succeeded = result.error === null;
+    const retryIn =
+      !succeeded && retry && attempts.length < maxAttempts
+        ? retryBaseMs * 2 ** (attempts.length - 1)
+        : null;
+
+    const updated = webhooks.updateDelivery(deliveryId, {
+      attempts,
+      status: succeeded ? "succeeded" : retryIn !== null ? "retrying" : "failed",
+      nextAttemptAt: retryIn !== null ? new Date(Date.now() + retryIn).toISOString() : null,
+      completedAt: retryIn !== null ? null : new Date().toISOString()
+    });
+    if (retryIn !== null) schedule(deliveryId, retryIn);
+    return updated;
+  }
+
+  function eventFor(type, data) {
+    return { id: randomUUID(), type, createdAt: new Date().toISOString(), data };
+  }
+
+  return {
+    // Queues `type` for every active subscription to it. Returns the event.
+    publish(type, data) {
+      const event = eventFor(type, data);
+      for (const webhook of webhooks.listSubscribed(type)) {
+        const delivery = webhooks.addDelivery({ webhookId: webhook.id, event });
+        schedule(delivery.id, 0);
+      }
+      return event;
+    },
+
+    // Sends a test event right away, once, whether or not the webhook is
+    // active, and resolves with the logged delivery (null if the webhook
+    // was deleted before the attempt was recorded)
+    sendTest(webhook) {
+      const event = eventFor(TEST_EVENT, { webhookId: webhook.id, url: webhook.url });
+      const delivery = webhooks.addDelivery({ webhookId: webhook.id, event });
+      return attempt(delivery.id, { retry: false });
+    },
+
+    // Picks up deliveries left waiting by a restart
+    resume() {
+      for (const delivery of webhooks.listUnfinishedDeliveries()) {
+        const due = delivery.nextAttemptAt ? Date.parse(delivery.nextAttemptAt) - Date.now() : 0;
+        schedule(delivery.id, Math.max(0, due));
+      }
+    }
+  };
+}
@@ -1,120 +1,167 @@
 import { useEffect, useState, useMemo } from "react";
+import { fullMatchPercent } from "@shared/match.js";
+import { api, setCsrfToken, setUnauthorizedHandler } from "./api.js";
+import { setLanguage, t, useLanguage } from "./i18n.js";
+import { useElection } from "./useElection.js";
+import ContributionControls from "./ContributionControls.jsx";
+import LanguageSwitcher from "./LanguageSwitcher.jsx";
+import LoginScreen from "./LoginScreen.jsx";
+import PaycheckTable from "./PaycheckTable.jsx";
+import Projection from "./Projection.jsx";
+import RecentChanges from "./RecentChanges.jsx";
+import ScheduledChanges from "./ScheduledChanges.jsx";
+import Scenarios from "./Scenarios.jsx";
+import Snapshot from "./Snapshot.jsx";
+import StatementDownload from "./StatementDownload.jsx";
+
+// The account's saved language wins over the browser's (or whatever was
+// picked on the login screen); with none saved the page stays as it is
+function applyPreferences(preferences) {
+  if (preferences?.language) setLanguage(preferences.language);
+}
 
-const API_BASE = "http://localhost:4000";
-
-function formatCurrency(n, { noCents = false } = {}) {
-  if (n == null || Number.isNaN(n)) return "-";
-  return n.toLocaleString("en-US", {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: noCents ? 0 : 2
-  });
+// ?user=<id> lets QA keep several participants open side by side in tabs
+function initialUserId() {
+  return new URLSearchParams(window.location.search).get("user") ?? "";
 }
 
-function formatPercent(p, digits = 1) {
-  if (p == null || Number.isNaN(p)) return "-";
-  return `${p.toFixed(digits)}%`;
+// Snapshot fields as stored on the participant's account
+function snapshotOf(data) {
+  return {
+    age: data.age,
+    salary: data.salary,
+    payPeriodsPerYear: data.payPeriodsPerYear,
+    ytdContribution: data.ytdContribution,
+    currentBalance: data.currentBalance,
+    filingStatus: data.filingStatus ?? "single"
+  };
 }
 
-// Same projection math as backend assumptions
-function computeProjection({
-  age,
-  retirementAge,
-  annualReturn,
-  currentBalance,
-  salary,
-  contributionPercent
-}) {
-  if (
-    age == null ||
-    retirementAge == null ||
-    salary == null ||
-    currentBalance == null
-  ) {
-    return null;
-  }
+function App() {
+  useLanguage();
+  // Signed-in user ({ username, userId, role }); null shows the login screen
+  const [session, setSession] = useState(null);
+  const [sessionChecked, setSessionChecked] = useState(false);
 
-  const years = retirementAge - age;
-  const r = annualReturn;
-  const yearlyContribution = salary * (contributionPercent / 100);
+  const [loading, setLoading] = useState(true);
+  // Why the participants, plan or contribution couldn't be loaded
+  const [loadError, setLoadError] = useState("");
+  // Bumped after each save so dependent panels (history) refetch
+  const [saveCount, setSaveCount] = useState(0);
 
-  if (years <= 0) {
-    // already at or past retirement age
-    return currentBalance + yearlyContribution;
-  }
+  const [users, setUsers] = useState([]);
+  const [userId, setUserId] = useState(initialUserId);
 
-  const futureBalance = currentBalance * Math.pow(1 + r, years);
-  const annuityFactor = r === 0 ? years : (Math.pow(1 + r, years) - 1) / r;
-  const futureContributions = yearlyContribution * annuityFactor;
+  // Snapshot as saved on the account, and the one on the page, which starts
+  // from it and can be edited to explore what-ifs but is never saved back
+  const [account, setAccount] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
 
-  return futureBalance + futureContributions;
-}
+  // Plan configuration (assumptions, election bounds, recommended rate,
+  // contribution types, match formula), from GET /api/plan
+  const [plan, setPlan] = useState(null);
+  const [limits, setLimits] = useState(null);
+  const [remainingPaychecks, setRemainingPaychecks] = useState(null);
 
-function App() {
-  const [loading, setLoading] = useState(true);
-  const [saving, setSaving] = useState(false);
-  const [error, setError] = useState("");
-  const [successMessage, setSuccessMessage] = useState("");
+  const [election, actions] = useElection();
+
+  // Restore an existing session, and drop back to the login screen whenever
+  // the API says the session is gone
+  useEffect(() => {
+    setUnauthorizedHandler(() => setSession(null));
+
+    async function fetchSession() {
+      try {
+        const data = await api.session();
+        setCsrfToken(data.csrfToken);
+        applyPreferences(data.preferences);
+        setSession(data.user);
+      } catch (e) {
+        // A 401 just means nobody is signed in yet
+        if (e.status !== 401) console.error(e);
+      } finally {
+        setSessionChecked(true);
+      }
+    }
 
-  const [age, setAge] = useState(null);
-  const [salary, setSalary] = useState(null);
-  const [payPeriods, setPayPeriods] = useState(null);
-  const [ytd, setYtd] = useState(null);
-  const [currentBalance, setCurrentBalance] = useState(null);
+    fetchSession();
+  }, []);
 
-  const [assumptions, setAssumptions] = useState(null);
+  useEffect(() => {
+    if (!session) return;
 
-  // Saved contribution (what's on server)
-  const [savedType, setSavedType] = useState("percent");
-  const [savedValue, setSavedValue] = useState(0);
-  const [savedPercent, setSavedPercent] = useState(0);
+    async function fetchUsers() {
+      try {
+        const data = await api.users();
+        setUsers(data.users);
+        // Participants only see themselves, so a ?user= for someone else falls back
+        setUserId((current) =>
+          data.users.some((user) => user.userId === current)
+            ? current
+            : data.users[0]?.userId || ""
+        );
+      } catch (e) {
+        console.error(e);
+        setLoadError(t("app.loadParticipantsFailed"));
+        setLoading(false);
+      }
+    }
 
-  // Working UI state (what user is editing)
-  const [contributionType, setContributionType] = useState("percent");
-  const [contributionValue, setContributionValue] = useState(0);
+    async function fetchPlan() {
+      try {
+        setPlan(await api.plan());
+      } catch (e) {
+        console.error(e);
+        setLoadError(t("app.loadPlanFailed"));
+      }
+    }
+
+    fetchUsers();
+    fetchPlan();
+  }, [session]);
 
   useEffect(() => {
+    if (!userId) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set("user", userId);
+    window.history.replaceState(null, "", url);
+
     async function fetchData() {
       setLoading(true);
-      setError("");
+      setLoadError("");
       try {
-        const res = await fetch(`${API_BASE}/api/contribution`);
-        if (!res.ok) {
-          throw new Error("Failed to load contribution data.");
-        }
-        const data = await res.json();
-
-        setAge(data.age);
-        setSalary(data.salary);
-        setPayPeriods(data.payPeriodsPerYear);
-        setYtd(data.ytdContribution);
-        setCurrentBalance(data.currentBalance);
-        setAssumptions({
-          retirementAge: data.assumptions?.retirementAge ?? 65,
-          annualReturn: (data.assumptions?.annualReturnPercent ?? 5) / 100
-        });
-
-        setSavedType(data.contributionType);
-        setSavedValue(data.contributionValue);
-        setSavedPercent(data.currentPercent);
-
-        setContributionType(data.contributionType);
-        setContributionValue(data.contributionValue);
+        const data = await api.contribution(userId);
+        setSnapshot(snapshotOf(data));
+        setAccount(snapshotOf(data));
+        setLimits(data.limits ?? null);
+        setRemainingPaychecks(data.annualLimit?.remainingPayPeriods ?? null);
+        actions.loaded(data);
       } catch (e) {
         console.error(e);
-        setError(e.message || "Failed to load contribution data.");
+        setLoadError(t("app.loadContributionFailed"));
       } finally {
         setLoading(false);
       }
     }
 
     fetchData();
-  }, []);
+  }, [userId, actions]);
+
+  const employerMatch = useMemo(
+    () =>
+      plan && {
+        ...plan.employerMatch,
+        fullMatchPercent: fullMatchPercent(plan.employerMatch)
+      },
+    [plan]
+  );
 
-  // Derived values from current UI state
-  const isPercent = contributionType === "percent";
-  const numericContribution = Number(contributionValue) || 0;
+  const { isPercent, numericContribution, numericSources, autoEscalation } = election;
+  const salary = snapshot?.salary;
+  const payPeriods = snapshot?.payPeriodsPerYear;
 
+  // The live election as a percent of salary
   const livePercent = useMemo(() => {
     if (isPercent) {
       return numericContribution;
@@ -124,388 +171,180 @@ function App() {
     return (yearlyDollar / salary) * 100;
   }, [isPercent, numericContribution, salary, payPeriods]);
 
-  const perPaycheckDollar = useMemo(() => {
-    if (!salary || !payPeriods) return 0;
-    if (isPercent) {
-      return (salary * (numericContribution / 100)) / payPeriods;
-    }
-    return numericContribution;
-  }, [isPercent, numericContribution, salary, payPeriods]);
-
-  const yearlyContribution = useMemo(() => {
-    if (!payPeriods) return 0;
-    return perPaycheckDollar * payPeriods;
-  }, [perPaycheckDollar, payPeriods]);
-
-  const { liveProjection, liveProjectionPlusOne, liveDelta } = useMemo(() => {
-    if (!assumptions) {
-      return { liveProjection: null, liveProjectionPlusOne: null, liveDelta: null };
-    }
-    const base = computeProjection({
-      age,
-      retirementAge: assumptions.retirementAge,
-      annualReturn: assumptions.annualReturn,
-      currentBalance,
-      salary,
-      contributionPercent: livePercent
-    });
-    const plusOne = computeProjection({
-      age,
-      retirementAge: assumptions.retirementAge,
-      annualReturn: assumptions.annualReturn,
-      currentBalance,
-      salary,
-      contributionPercent: livePercent + 1
-    });
-    return {
-      liveProjection: base,
-      liveProjectionPlusOne: plusOne,
-      liveDelta: plusOne != null && base != null ? plusOne - base : null
-    };
-  }, [assumptions, age, currentBalance, salary, livePercent]);
-
-  const hasChanges =
-    contributionType !== savedType ||
-    Number(numericContribution.toFixed(2)) !== Number(savedValue.toFixed(2));
-
-  const showHighSavingsWarning = livePercent > 20;
-  const showLowSavingsNote = livePercent > 0 && livePercent < 5;
-
-  async function handleSave() {
-    setError("");
-    setSuccessMessage("");
-
-    if (!hasChanges) {
-      setSuccessMessage("No changes to save.");
-      return;
-    }
+  function handleSaved(refreshed) {
+    setAccount(snapshotOf(refreshed));
+    setSaveCount((n) => n + 1);
+  }
 
-    setSaving(true);
-    try {
-        const res = await fetch(`${API_BASE}/api/contribution`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              contributionType,
-              contributionValue: numericContribution,
-              age,
-              salary,
-              ytdContribution: ytd,
-              currentBalance,
-              payPeriodsPerYear: payPeriods
-            })
-          });          
-
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        throw new Error(err.error || "Save failed");
-      }
+  // Someone else saved first (see the reducer's "conflict")
+  function handleConflict(current) {
+    actions.conflict(current);
+    setAccount(snapshotOf(current));
+  }
 
-      // Re-fetch to sync saved state + percent from server
-      const res2 = await fetch(`${API_BASE}/api/contribution`);
-      if (!res2.ok) {
-        throw new Error("Saved, but failed to refresh data.");
-      }
-      const refreshed = await res2.json();
+  function handleTakeLatest() {
+    setSnapshot(snapshotOf(election.conflict));
+    actions.takeLatest();
+  }
 
-      setSavedType(refreshed.contributionType);
-      setSavedValue(refreshed.contributionValue);
-      setSavedPercent(refreshed.currentPercent);
+  // Puts a saved scenario's values on the page to explore (or save the election)
+  function handleLoadScenario(inputs) {
+    setSnapshot(snapshotOf({ ...account, ...inputs }));
+    actions.setElection({ contributionType: inputs.contributionType, sources: inputs.sources });
+  }
 
-      setContributionType(refreshed.contributionType);
-      setContributionValue(refreshed.contributionValue);
+  function handleSignIn({ user, preferences, csrfToken }) {
+    setCsrfToken(csrfToken);
+    applyPreferences(preferences);
+    setLoadError("");
+    setSession(user);
+  }
 
-      setSuccessMessage("Your contribution rate has been saved.");
+  // Switches right away; saving to the account is best effort
+  async function handleLanguageChange(language) {
+    setLanguage(language);
+    try {
+      await api.savePreferences({ language });
     } catch (e) {
       console.error(e);
-      setError(e.message || "Failed to save.");
-    } finally {
-      setSaving(false);
     }
   }
 
-  function handleResetRecommended() {
-    setContributionType("percent");
-    setContributionValue(10);
+  async function handleSignOut() {
+    try {
+      await api.logout();
+    } catch (e) {
+      console.error(e);
+    }
+    setCsrfToken(null);
+    setSession(null);
+    setUsers([]);
+    setUserId("");
+    setLoading(true);
   }
 
-  if (loading) {
-    return <div className="app-container">Loading…</div>;
+  // Takes the goal solver's answer, in the election's own units
+  function handleApplyGoal({ requiredPercent, requiredDollarPerPaycheck }) {
+    actions.setTotal(isPercent ? requiredPercent : requiredDollarPerPaycheck);
   }
 
-  return (
-    <div className="app-container">
-      <h1>401(k) Contribution</h1>
-      <div className="subtitle">
-        Choose how much you’d like to contribute from each paycheck toward your retirement.
-      </div>
+  if (!sessionChecked) {
+    return <div className="app-container">{t("app.loading")}</div>;
+  }
 
-      {/* Snapshot */}
-      <div className="section">
-        <div className="section-title">Your snapshot</div>
-        <div className="section-caption">
-          These numbers start as mock values to simulate a real account. You can
-          adjust them to explore different scenarios.
-        </div>
-        <div className="stats-grid">
-          {/* Age */}
-          <div className="stat-card">
-            <div className="stat-label">Age</div>
-            <div className="stat-value">
-              <input
-                type="number"
-                min="18"
-                max="70"
-                value={age ?? ""}
-                onChange={(e) => setAge(Number(e.target.value) || 0)}
-                className="stat-input"
-              />
-            </div>
-          </div>
-
-          {/* Salary */}
-          <div className="stat-card">
-            <div className="stat-label">Annual salary</div>
-            <div className="stat-value">
-              <div className="stat-input-prefix">$</div>
-              <input
-                type="number"
-                min="0"
-                step="1000"
-                value={salary ?? ""}
-                onChange={(e) => setSalary(Number(e.target.value) || 0)}
-                className="stat-input stat-input-money"
-              />
-            </div>
-          </div>
-
-          {/* YTD contributions */}
-          <div className="stat-card">
-            <div className="stat-label">YTD contributions</div>
-            <div className="stat-value">
-              <div className="stat-input-prefix">$</div>
-              <input
-                type="number"
-                min="0"
-                step="500"
-                value={ytd ?? ""}
-                onChange={(e) => setYtd(Number(e.target.value) || 0)}
-                className="stat-input stat-input-money"
-              />
-            </div>
-          </div>
-
-          {/* Current balance */}
-          <div className="stat-card">
-            <div className="stat-label">Current 401(k) balance</div>
-            <div className="stat-value">
-              <div className="stat-input-prefix">$</div>
-              <input
-                type="number"
-                min="0"
-                step="1000"
-                value={currentBalance ?? ""}
-                onChange={(e) => setCurrentBalance(Number(e.target.value) || 0)}
-                className="stat-input stat-input-money"
-              />
-            </div>
-          </div>
-        </div>
-      </div>
+  if (!session) {
+    return <LoginScreen onSignIn={handleSignIn} />;
+  }
 
+  if (loading || !plan || loadError) {
+    return <div className="app-container">{loadError || t("app.loading")}</div>;
+  }
 
-      {/* Contribution controls */}
-      <div className="section">
-        <div className="section-title">Contribution per paycheck</div>
-        <div className="section-caption" style={{ display: "flex", alignItems: "center", gap: "0.35rem" }}>
-        <span>You’re currently saving</span>
-
-            <input
-                type="number"
-                min="0"
-                max="50"
-                step="0.1"
-                value={savedPercent}
-                onChange={(e) => setSavedPercent(Number(e.target.value) || 0)}
-                style={{
-                width: "60px",
-                padding: "0.15rem 0.35rem",
-                border: "1px solid #ccc",
-                borderRadius: "6px",
-                fontSize: "0.85rem",
-                fontWeight: 500,
-                textAlign: "center"
-                }}
-            />
-
-        <span>% of your salary in your 401(k).</span>
-        </div>
-
-
-        <div className="toggle-group">
-          <button
-            type="button"
-            className={`toggle-button ${isPercent ? "active" : ""}`}
-            onClick={() => setContributionType("percent")}
-          >
-            Percentage of paycheck
-          </button>
-          <button
-            type="button"
-            className={`toggle-button ${!isPercent ? "active" : ""}`}
-            onClick={() => setContributionType("dollar")}
-          >
-            Fixed dollar amount
-          </button>
-        </div>
-
-        <div className="slider-row">
-          {isPercent ? (
-            <>
-              <input
-                type="range"
-                min="0"
-                max="50"
-                step="0.5"
-                value={contributionValue}
-                onChange={(e) => setContributionValue(e.target.value)}
-              />
-              <input
-                type="number"
-                min="0"
-                max="50"
-                step="0.5"
-                value={contributionValue}
-                onChange={(e) => setContributionValue(e.target.value)}
-              />
-              <span>%</span>
-            </>
-          ) : (
-            <>
-              <input
-                type="range"
-                min="0"
-                max="5000"
-                step="25"
-                value={contributionValue}
-                onChange={(e) => setContributionValue(e.target.value)}
-              />
-              <span>$</span>
-              <input
-                type="number"
-                min="0"
-                max="5000"
-                step="25"
-                value={contributionValue}
-                onChange={(e) => setContributionValue(e.target.value)}
-              />
-            </>
-          )}
-        </div>
-
-        <div className="helper-text">
-          This selection is approximately{" "}
-          <strong>
-            {formatCurrency(Math.round(perPaycheckDollar), { noCents: true })}
-          </strong>{" "}
-          per paycheck, or{" "}
-          <strong>
-            {formatCurrency(Math.round(yearlyContribution), { noCents: true })}
-          </strong>{" "}
-          per year (
-          <strong>{formatPercent(livePercent)}</strong> of your salary).
-        </div>
-
-        {showHighSavingsWarning && (
-          <div className="warning-text">
-            This is a relatively high savings rate. Make sure it fits your day-to-day budget.
-          </div>
-        )}
-        {showLowSavingsNote && !showHighSavingsWarning && (
-          <div className="warning-text">
-            Even small increases can make a big difference over time. Try sliding up 1–2% to see the impact.
-          </div>
+  return (
+    <div className="app-container">
+      <div className="participant-bar">
+        {users.length > 1 && (
+          <>
+            <label htmlFor="participant-select">{t("app.participant")}</label>
+            <select
+              id="participant-select"
+              value={userId}
+              onChange={(e) => setUserId(e.target.value)}
+            >
+              {users.map((user) => (
+                <option key={user.userId} value={user.userId}>
+                  {user.name}
+                </option>
+              ))}
+            </select>
+          </>
         )}
-
-        <div className="actions-row">
-          <button
-            type="button"
-            className="button-secondary"
-            onClick={handleResetRecommended}
-          >
-            Reset to 10% (recommended)
-          </button>
-          <button
-            className="button-primary"
-            disabled={saving || !hasChanges}
-            onClick={handleSave}
-          >
-            {saving ? "Saving…" : "Save contribution rate"}
-          </button>
-        </div>
-
-        {successMessage && <div className="message success">{successMessage}</div>}
-        {error && <div className="message error">{error}</div>}
+        <LanguageSwitcher onChange={handleLanguageChange} />
+        <span>{t("app.signedInAs", { username: session.username })}</span>
+        <button type="button" className="button-secondary" onClick={handleSignOut}>
+          {t("app.signOut")}
+        </button>
       </div>
 
-      {/* Impact visualization */}
-      <div className="section">
-        <div className="section-title">How this impacts your retirement</div>
-        <div className="section-caption">
-          Projections assume a constant salary,{" "}
-          {formatPercent((assumptions?.annualReturn ?? 0.05) * 100, 2)} annual
-          return, and contributions until age{" "}
-          {assumptions?.retirementAge ?? 65}.
-        </div>
-
-        <div className="section-projection-layout">
-          <div className="stats-grid">
-            <div className="stat-card">
-              <div className="stat-label">Projected balance at retirement</div>
-              <div className="stat-value">
-                {liveProjection != null
-                  ? formatCurrency(Math.round(liveProjection), { noCents: true })
-                  : "-"}
-              </div>
-            </div>
-            <div className="stat-card">
-              <div className="stat-label">
-                If you increased your contribution by +1%
-              </div>
-              <div className="stat-value">
-                {liveProjectionPlusOne != null
-                  ? formatCurrency(Math.round(liveProjectionPlusOne), {
-                      noCents: true
-                    })
-                  : "-"}
-              </div>
-            </div>
-            <div className="stat-card">
-              <div className="stat-label">Extra savings from +1%</div>
-              <div className="stat-value">
-                {liveDelta != null
-                  ? formatCurrency(Math.round(liveDelta), { noCents: true })
-                  : "-"}
-              </div>
-            </div>
-          </div>
-
-          <div className="stat-card">
-            <div className="stat-label">Today vs new choice</div>
-            <div className="stat-value" style={{ fontSize: "0.98rem" }}>
-              You’re currently saving{" "}
-              <strong>{formatPercent(savedPercent)}</strong> of your salary.
-              <br />
-              With this new selection, you’d save{" "}
-              <strong>{formatPercent(livePercent)}</strong>.
-            </div>
-            <div className="helper-text" style={{ marginTop: "0.5rem" }}>
-              Try dragging the slider slowly to see how small changes ripple out to
-              retirement. The numbers update instantly as you adjust.
-            </div>
-          </div>
-        </div>
-      </div>
+      <h1>{t("app.title")}</h1>
+      <div className="subtitle">{t("app.subtitle")}</div>
+
+      <Snapshot
+        snapshot={snapshot}
+        account={account}
+        onChange={(changes) => setSnapshot((prev) => ({ ...prev, ...changes }))}
+        onReset={() => setSnapshot(account)}
+      />
+
+      <ContributionControls
+        userId={userId}
+        plan={plan}
+        employerMatch={employerMatch}
+        snapshot={snapshot}
+        limits={limits}
+        remainingPaychecks={remainingPaychecks}
+        election={election}
+        actions={actions}
+        livePercent={livePercent}
+        onSaved={handleSaved}
+        onConflict={handleConflict}
+        onTakeLatest={handleTakeLatest}
+      />
+
+      <Projection
+        userId={userId}
+        plan={plan}
+        employerMatch={employerMatch}
+        snapshot={snapshot}
+        livePercent={livePercent}
+        savedPercent={election.savedPercent}
+        contributionType={election.contributionType}
+        savedType={election.savedType}
+        autoEscalation={autoEscalation}
+        onApplyGoal={handleApplyGoal}
+      />
+
+      <ScheduledChanges
+        key={userId}
+        userId={userId}
+        pending={election.pending}
+        onPendingChange={actions.setPending}
+        autoEscalation={autoEscalation}
+        onAutoEscalationChange={actions.setAutoEscalation}
+        maxPercent={plan.deferral.maxPercent}
+        version={election.version}
+        onVersionChange={actions.setVersion}
+        onConflict={handleConflict}
+        onSaved={() => setSaveCount((n) => n + 1)}
+      />
+
+      <Scenarios
+        key={userId}
+        userId={userId}
+        inputs={{
+          ...snapshot,
+          contributionType: election.contributionType,
+          sources: numericSources,
+          autoEscalation: autoEscalation?.enabled
+            ? {
+                incrementPercent: autoEscalation.incrementPercent,
+                capPercent: autoEscalation.capPercent
+              }
+            : null
+        }}
+        onLoad={handleLoadScenario}
+      />
+
+      <PaycheckTable
+        userId={userId}
+        refreshKey={saveCount}
+        pending={election.pending}
+        autoEscalation={autoEscalation}
+      />
+
+      <StatementDownload userId={userId} />
+
+      <RecentChanges userId={userId} refreshKey={saveCount} />
     </div>
   );
 }
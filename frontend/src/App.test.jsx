@@ -0,0 +1,92 @@
+import { render, screen } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { api, ApiError } from "./api.js";
+import { t } from "./i18n.js";
+import App from "./App.jsx";
+import { axe } from "./test/axe.js";
+import * as fixtures from "./test/fixtures.js";
+
+// Answers every call the page makes on load with the demo participant's data
+function mockSignedIn() {
+  vi.spyOn(api, "session").mockResolvedValue(fixtures.session);
+  vi.spyOn(api, "users").mockResolvedValue(fixtures.users);
+  vi.spyOn(api, "plan").mockResolvedValue(fixtures.plan);
+  vi.spyOn(api, "contribution").mockResolvedValue(fixtures.contribution());
+  vi.spyOn(api, "history").mockResolvedValue(fixtures.history);
+  vi.spyOn(api, "paychecks").mockResolvedValue(fixtures.paychecks);
+  vi.spyOn(api, "scenarios").mockResolvedValue({ scenarios: [] });
+  vi.spyOn(api, "goal").mockResolvedValue(fixtures.goal);
+}
+
+describe("App", () => {
+  it("shows the sign-in screen without a session", async () => {
+    vi.spyOn(api, "session").mockRejectedValue(
+      new ApiError("Not signed in", { status: 401, code: "UNAUTHENTICATED" })
+    );
+
+    render(<App />);
+
+    expect(await screen.findByRole("button", { name: t("login.signIn") })).toBeTruthy();
+  });
+
+  it("has no accessibility violations on the sign-in screen", async () => {
+    vi.spyOn(api, "session").mockRejectedValue(
+      new ApiError("Not signed in", { status: 401, code: "UNAUTHENTICATED" })
+    );
+
+    const { container } = render(<App />);
+    await screen.findByRole("button", { name: t("login.signIn") });
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("loads the participant's saved election", async () => {
+    mockSignedIn();
+
+    render(<App />);
+
+    const traditional = await screen.findByRole("spinbutton", { name: t("source.traditional") });
+    expect(traditional).toHaveProperty("value", "10");
+    expect(screen.getByRole("spinbutton", { name: t("source.roth") })).toHaveProperty(
+      "value",
+      "0"
+    );
+    expect(screen.getByText(t("app.signedInAs", { username: "mock-user-123" }))).toBeTruthy();
+    expect(api.contribution).toHaveBeenCalledWith("mock-user-123");
+  });
+
+  it("has no accessibility violations once loaded", async () => {
+    mockSignedIn();
+
+    const { container } = render(<App />);
+    await screen.findByRole("spinbutton", { name: t("source.traditional") });
+    // Let the panels that load on their own (paychecks, history, …) settle
+    await screen.findByRole("table");
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("says so when the participant's record can't be loaded", async () => {
+    mockSignedIn();
+    api.contribution.mockRejectedValue(
+      new ApiError("Could not reach the server", { code: "NETWORK_ERROR" })
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    render(<App />);
+
+    expect(await screen.findByText(t("app.loadContributionFailed"))).toBeTruthy();
+  });
+
+  it("names each input of the automatic increase", async () => {
+    mockSignedIn();
+
+    render(<App />);
+    await screen.findByRole("table");
+
+    for (const key of ["incrementLabel", "dayLabel", "capLabel"]) {
+      expect(screen.getByRole("spinbutton", { name: t(`escalation.${key}`) })).toBeTruthy();
+    }
+    expect(screen.getByRole("combobox", { name: t("escalation.monthLabel") })).toBeTruthy();
+  });
+});
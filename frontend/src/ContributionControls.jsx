@@ -0,0 +1,488 @@
+import { useMemo } from "react";
+import { annualEmployerMatch } from "@shared/match.js";
+import { estimatePaycheck, perPaycheckSources } from "@shared/taxes.js";
+import { api, errorMessage, fieldErrorsFrom } from "./api.js";
+import { formatCurrency, formatDate, formatElection, formatPercent } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+import ToggleGroup from "./ToggleGroup.jsx";
+
+const money = (n) => formatCurrency(Math.round(n), { noCents: true });
+
+// Earliest date a change can be scheduled for ("YYYY-MM-DD", UTC)
+function tomorrowIso() {
+  return new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Mirrors annualLimitFor in backend/limits.js (402(g) limit + age-based catch-up)
+function annualLimitFor(limits, age) {
+  if (!limits) return null;
+  let catchUp = 0;
+  if (age >= limits.catchUpAge) {
+    const superEligible =
+      limits.superCatchUp != null &&
+      age >= limits.superCatchUpAges.min &&
+      age <= limits.superCatchUpAges.max;
+    catchUp = superEligible ? limits.superCatchUp : limits.catchUp;
+  }
+  return limits.electiveDeferral + catchUp;
+}
+
+// Error text under an input the server rejected
+function FieldError({ message }) {
+  return message ? <div className="field-error">{message}</div> : null;
+}
+
+// `max` is the plan's maximum election for the current contribution type.
+// `valueText` is what screen readers announce for the slider, e.g.
+// "10% — $500 per paycheck".
+function SourceSlider({ source, isPercent, max, value, valueText, onChange, invalid }) {
+  const id = `source-${source}`;
+  const labelId = `${id}-label`;
+  const step = isPercent ? "0.5" : "25";
+  return (
+    <div className="source-row">
+      <label className="source-label" id={labelId} htmlFor={id}>
+        {t(`source.${source}`)}
+      </label>
+      <div className="slider-row">
+        <input
+          type="range"
+          min="0"
+          max={max}
+          step={step}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          aria-labelledby={labelId}
+          aria-valuetext={valueText}
+        />
+        {!isPercent && (
+          <span id={`${id}-unit`} aria-label={t("slider.dollarUnit")}>
+            $
+          </span>
+        )}
+        <input
+          id={id}
+          type="number"
+          min="0"
+          max={max}
+          step={step}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={invalid ? "input-invalid" : undefined}
+          aria-invalid={invalid || undefined}
+          aria-describedby={`${id}-unit`}
+        />
+        {isPercent && (
+          <span id={`${id}-unit`} aria-label={t("slider.percentUnit")}>
+            %
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Editing and saving the election: per-source sliders, what the selection
+// means per paycheck and per year (match, take-home pay, the annual limit),
+// when it takes effect, and the save with its outcome. `election` and
+// `actions` come from useElection(); `livePercent` is the edited election as
+// a percent of salary. After a save App gets the refreshed record through
+// `onSaved`; a 409 goes to `onConflict` with the server's current state, and
+// `onTakeLatest` drops the edits in favour of it.
+function ContributionControls({
+  userId,
+  plan,
+  employerMatch,
+  snapshot,
+  limits,
+  remainingPaychecks,
+  election,
+  actions,
+  livePercent,
+  onSaved,
+  onConflict,
+  onTakeLatest
+}) {
+  useLanguage();
+
+  const { age, salary, payPeriodsPerYear: payPeriods, ytdContribution: ytd, filingStatus } = snapshot;
+  const {
+    contributionType,
+    sources,
+    numericSources,
+    numericContribution,
+    isPercent,
+    savedType,
+    savedSources,
+    fieldErrors
+  } = election;
+  const maxElection = isPercent ? plan.deferral.maxPercent : plan.deferral.maxDollar;
+
+  const perPaycheckDollar = useMemo(() => {
+    if (!salary || !payPeriods) return 0;
+    if (isPercent) {
+      return (salary * (numericContribution / 100)) / payPeriods;
+    }
+    return numericContribution;
+  }, [isPercent, numericContribution, salary, payPeriods]);
+
+  const yearlyContribution = payPeriods ? perPaycheckDollar * payPeriods : 0;
+
+  const yearlyMatch = useMemo(
+    () => annualEmployerMatch(employerMatch, salary ?? 0, livePercent),
+    [employerMatch, salary, livePercent]
+  );
+
+  const perPaycheckMatch = payPeriods ? yearlyMatch / payPeriods : 0;
+
+  // Match dollars the live selection leaves unclaimed each year
+  const missedMatch = useMemo(() => {
+    const full = annualEmployerMatch(employerMatch, salary ?? 0, employerMatch.fullMatchPercent);
+    return Math.max(0, full - yearlyMatch);
+  }, [employerMatch, salary, yearlyMatch]);
+
+  // Estimated net paycheck with the saved election vs the live one, on the
+  // same snapshot, so the difference is down to the election alone
+  const takeHome = useMemo(() => {
+    if (!salary || !payPeriods || !limits) return null;
+    const estimate = (type, electionSources) =>
+      estimatePaycheck({
+        salary,
+        payPeriodsPerYear: payPeriods,
+        filingStatus,
+        planYear: limits.planYear,
+        ...perPaycheckSources({
+          contributionType: type,
+          sources: electionSources,
+          salary,
+          payPeriodsPerYear: payPeriods
+        })
+      });
+    const current = estimate(savedType, savedSources);
+    const live = estimate(contributionType, {
+      traditional: numericSources.traditional,
+      roth: numericSources.roth
+    });
+    const noDeferral = estimate("dollar", { traditional: 0, roth: 0 });
+    return {
+      current,
+      live,
+      change: live.netPay - current.netPay,
+      taxSavings: noDeferral.federalIncomeTax - live.federalIncomeTax
+    };
+  }, [
+    salary,
+    payPeriods,
+    limits,
+    filingStatus,
+    savedType,
+    savedSources,
+    contributionType,
+    numericSources.traditional,
+    numericSources.roth
+  ]);
+
+  // When (if ever) the live selection runs into the annual deferral limit
+  const limitStatus = useMemo(() => {
+    if (!limits || remainingPaychecks == null || age == null) return null;
+    const limit = annualLimitFor(limits, age);
+    const room = Math.max(0, limit - (ytd ?? 0));
+    let hitOnPaycheck = null;
+    if (room === 0) {
+      hitOnPaycheck = 0;
+    } else if (perPaycheckDollar > 0 && perPaycheckDollar * remainingPaychecks > room) {
+      hitOnPaycheck = Math.ceil(room / perPaycheckDollar);
+    }
+    return { limit, hitOnPaycheck, planYear: limits.planYear };
+  }, [limits, remainingPaychecks, age, ytd, perPaycheckDollar]);
+
+  const showHighSavingsWarning = livePercent > 20;
+  const showLowSavingsNote = livePercent > 0 && livePercent < 5;
+
+  // An election amount in the units of the current contribution type
+  const formatElectionAmount = (value) =>
+    isPercent ? formatPercent(value) : formatCurrency(value);
+
+  // Spoken value of a source slider: the election plus what it comes to
+  function sourceValueText(value) {
+    if (isPercent) {
+      const perPaycheck = salary && payPeriods ? (salary * (value / 100)) / payPeriods : 0;
+      return t("slider.valuePercent", {
+        percent: formatPercent(value),
+        amount: money(perPaycheck)
+      });
+    }
+    const percent = salary ? ((value * payPeriods) / salary) * 100 : 0;
+    return t("slider.valueDollar", {
+      amount: formatCurrency(value, { noCents: true }),
+      percent: formatPercent(percent)
+    });
+  }
+
+  // Error message for the combined election (either source, or the total)
+  const electionError = fieldErrors.sources ?? fieldErrors.contributionValue;
+
+  async function handleSave() {
+    if (!election.hasChanges) {
+      actions.saveSkipped(t("contribution.noChanges"));
+      return;
+    }
+
+    const { effectiveDate } = election;
+    actions.saveStarted();
+    let result;
+    try {
+      // Only the election: snapshot edits are what-ifs, never saved
+      result = await api.saveContribution(
+        userId,
+        { contributionType, sources: numericSources, ...(effectiveDate && { effectiveDate }) },
+        { version: election.version }
+      );
+    } catch (e) {
+      if (e.code === "VERSION_CONFLICT") {
+        onConflict(e.body.current);
+        return;
+      }
+      console.error(e);
+      actions.saveFailed({
+        error:
+          e.code === "VALIDATION_FAILED"
+            ? t("contribution.fixFields")
+            : errorMessage(e, t("contribution.saveFailed")),
+        fieldErrors: fieldErrorsFrom(e.body),
+        maxAllowedValue:
+          e.code === "ANNUAL_LIMIT_EXCEEDED" ? e.body.annualLimit.maxContributionValue : null
+      });
+      return;
+    }
+
+    // Re-fetch to sync saved state + percent from server
+    try {
+      const refreshed = await api.contribution(userId);
+      const scheduled = Boolean(result.pending);
+      actions.saved(refreshed, {
+        scheduled,
+        message: scheduled
+          ? t("contribution.scheduled", { date: formatDate(effectiveDate) })
+          : t("contribution.saved")
+      });
+      onSaved(refreshed);
+    } catch (e) {
+      console.error(e);
+      actions.saveFailed({ error: t("contribution.refreshFailed") });
+    }
+  }
+
+  return (
+    <div className="section">
+      <div className="section-title">{t("contribution.title")}</div>
+      <div className="section-caption" style={{ display: "flex", alignItems: "center", gap: "0.35rem" }}>
+        <span>{t("contribution.savingBefore")}</span>
+        <input
+          type="number"
+          min="0"
+          max={plan.deferral.maxPercent}
+          step="0.1"
+          value={election.savedPercent}
+          onChange={(e) => actions.setSavedPercent(Number(e.target.value) || 0)}
+          aria-label={t("contribution.savedPercentLabel")}
+          style={{
+            width: "60px",
+            padding: "0.15rem 0.35rem",
+            border: "1px solid #ccc",
+            borderRadius: "6px",
+            fontSize: "0.85rem",
+            fontWeight: 500,
+            textAlign: "center"
+          }}
+        />
+        <span>{t("contribution.savingAfter")}</span>
+      </div>
+
+      {plan.contributionTypes.length > 1 && (
+        <ToggleGroup
+          label={t("contribution.type")}
+          options={plan.contributionTypes.map((type) => ({
+            value: type,
+            label: t(`contributionType.${type}`)
+          }))}
+          value={contributionType}
+          onChange={actions.setContributionType}
+        />
+      )}
+
+      {["traditional", "roth"].map((source) => (
+        <SourceSlider
+          key={source}
+          source={source}
+          isPercent={isPercent}
+          max={maxElection}
+          value={sources[source]}
+          valueText={sourceValueText(numericSources[source])}
+          onChange={(value) => actions.setSource(source, value)}
+          invalid={Boolean(fieldErrors[`sources.${source}`] || electionError)}
+        />
+      ))}
+      <FieldError
+        message={fieldErrors["sources.traditional"] ?? fieldErrors["sources.roth"] ?? electionError}
+      />
+
+      <div className="source-total">
+        {tRich("contribution.combined", {
+          total: formatElectionAmount(numericContribution),
+          traditional: formatElectionAmount(numericSources.traditional),
+          roth: formatElectionAmount(numericSources.roth)
+        })}
+      </div>
+
+      <div className="helper-text">
+        {tRich("contribution.summary", {
+          perPaycheck: money(perPaycheckDollar),
+          perYear: money(yearlyContribution),
+          percent: formatPercent(livePercent)
+        })}
+        {perPaycheckMatch > 0 && (
+          <>
+            {" "}
+            {tRich("contribution.match", {
+              perPaycheck: money(perPaycheckMatch),
+              perYear: money(yearlyMatch)
+            })}
+          </>
+        )}
+        {takeHome && (
+          <>
+            {" "}
+            {Math.round(takeHome.change) !== 0
+              ? tRich("contribution.takeHomeChange", {
+                  amount: money(takeHome.live.netPay),
+                  change: `${takeHome.change > 0 ? "+" : "−"}${money(Math.abs(takeHome.change))}`
+                })
+              : tRich("contribution.takeHome", { amount: money(takeHome.live.netPay) })}
+            {takeHome.taxSavings >= 1 && (
+              <>
+                {" "}
+                {tRich("contribution.taxSavings", { amount: money(takeHome.taxSavings) })}
+              </>
+            )}
+          </>
+        )}
+        {limitStatus?.hitOnPaycheck === 0 && (
+          <>
+            {" "}
+            {tRich("contribution.limitReached", {
+              limit: formatCurrency(limitStatus.limit, { noCents: true }),
+              year: limitStatus.planYear
+            })}
+          </>
+        )}
+        {limitStatus?.hitOnPaycheck > 0 && (
+          <>
+            {" "}
+            {tRich("contribution.limitAhead", {
+              limit: formatCurrency(limitStatus.limit, { noCents: true }),
+              paycheck: limitStatus.hitOnPaycheck,
+              count: remainingPaychecks
+            })}
+          </>
+        )}
+      </div>
+
+      {missedMatch >= 1 && (
+        <div className="warning-text">
+          {t("contribution.missedMatch", {
+            amount: money(missedMatch),
+            percent: formatPercent(employerMatch.fullMatchPercent)
+          })}
+        </div>
+      )}
+      {showHighSavingsWarning && (
+        <div className="warning-text">{t("contribution.highSavings")}</div>
+      )}
+      {showLowSavingsNote && !showHighSavingsWarning && (
+        <div className="warning-text">{t("contribution.lowSavings")}</div>
+      )}
+
+      <div className="effective-row">
+        <label htmlFor="effective-when">{t("contribution.takesEffect")}</label>
+        <select
+          id="effective-when"
+          value={election.effectiveDate ? "scheduled" : "now"}
+          onChange={(e) => actions.setEffectiveDate(e.target.value === "now" ? "" : tomorrowIso())}
+        >
+          <option value="now">{t("contribution.now")}</option>
+          <option value="scheduled">{t("contribution.later")}</option>
+        </select>
+        {election.effectiveDate && (
+          <input
+            type="date"
+            aria-label={t("contribution.effectiveDate")}
+            min={tomorrowIso()}
+            value={election.effectiveDate}
+            onChange={(e) => actions.setEffectiveDate(e.target.value)}
+            className={fieldErrors.effectiveDate ? "input-invalid" : undefined}
+            aria-invalid={Boolean(fieldErrors.effectiveDate) || undefined}
+          />
+        )}
+      </div>
+      <FieldError message={fieldErrors.effectiveDate} />
+
+      <div className="actions-row">
+        {plan.contributionTypes.includes("percent") && (
+          <button
+            type="button"
+            className="button-secondary"
+            onClick={() =>
+              actions.setElection({
+                contributionType: "percent",
+                sources: { traditional: plan.recommendedPercent, roth: 0 }
+              })
+            }
+          >
+            {t("contribution.resetRecommended", {
+              percent: formatPercent(plan.recommendedPercent, 0)
+            })}
+          </button>
+        )}
+        <button
+          className="button-primary"
+          disabled={election.saving || !election.hasChanges}
+          onClick={handleSave}
+        >
+          {election.saving ? t("contribution.saving") : t("contribution.save")}
+        </button>
+      </div>
+
+      {election.conflict && (
+        <div className="message conflict" role="alert">
+          {tRich("contribution.conflict", { election: formatElection(election.conflict) })}
+          <button type="button" className="button-secondary" onClick={onTakeLatest}>
+            {t("contribution.useLatest")}
+          </button>
+        </div>
+      )}
+      {/* Always rendered, so screen readers announce the message when it appears */}
+      <div role="status">
+        {election.message && <div className="message success">{election.message}</div>}
+      </div>
+      {election.error && (
+        <div className="message error" role="alert">
+          {election.error}
+        </div>
+      )}
+      {election.maxAllowedValue != null && (
+        <div className="actions-row">
+          <button type="button" className="button-secondary" onClick={actions.takeMaximumAllowed}>
+            {t("contribution.useMaximum", {
+              amount: isPercent
+                ? formatPercent(election.maxAllowedValue)
+                : formatCurrency(election.maxAllowedValue, { noCents: true })
+            })}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ContributionControls;
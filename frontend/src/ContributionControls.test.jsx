@@ -0,0 +1,249 @@
+import { useEffect } from "react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { api, ApiError } from "./api.js";
+import { formatPercent } from "./format.js";
+import { t } from "./i18n.js";
+import { useElection } from "./useElection.js";
+import ContributionControls from "./ContributionControls.jsx";
+import { axe } from "./test/axe.js";
+import { contribution, plan } from "./test/fixtures.js";
+
+const employerMatch = { ...plan.employerMatch, fullMatchPercent: 5 };
+const RECORD = contribution();
+
+// The controls wired up the way App wires them, for a participant whose
+// record is `record`
+function Controls({ record = RECORD, onSaved = () => {} }) {
+  const [election, actions] = useElection();
+  useEffect(() => {
+    actions.loaded(record);
+  }, [actions, record]);
+
+  if (election.version == null) return null;
+  const livePercent = election.isPercent
+    ? election.numericContribution
+    : (election.numericContribution * record.payPeriodsPerYear * 100) / record.salary;
+
+  return (
+    <ContributionControls
+      userId={record.userId}
+      plan={plan}
+      employerMatch={employerMatch}
+      snapshot={record}
+      limits={record.limits}
+      remainingPaychecks={record.annualLimit.remainingPayPeriods}
+      election={election}
+      actions={actions}
+      livePercent={livePercent}
+      onSaved={onSaved}
+      onConflict={actions.conflict}
+      onTakeLatest={actions.takeLatest}
+    />
+  );
+}
+
+const traditional = () => screen.getByRole("spinbutton", { name: t("source.traditional") });
+const roth = () => screen.getByRole("spinbutton", { name: t("source.roth") });
+const saveButton = () => screen.getByRole("button", { name: t("contribution.save") });
+
+async function renderControls(props) {
+  const view = render(<Controls {...props} />);
+  await screen.findByRole("slider", { name: t("source.roth") });
+  return view;
+}
+
+function editRoth(value) {
+  fireEvent.change(screen.getByRole("slider", { name: t("source.roth") }), {
+    target: { value }
+  });
+}
+
+describe("ContributionControls", () => {
+  it("starts from the saved election with nothing to save", async () => {
+    await renderControls();
+
+    expect(traditional()).toHaveProperty("value", "10");
+    expect(roth()).toHaveProperty("value", "0");
+    expect(saveButton()).toHaveProperty("disabled", true);
+  });
+
+  it("has no accessibility violations", async () => {
+    const { container } = await renderControls();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("keeps an empty status region ready and no alert until something fails", async () => {
+    await renderControls();
+
+    // Live regions are only announced if they exist before their text changes
+    expect(screen.getByRole("status").textContent).toBe("");
+    expect(screen.queryByRole("alert")).toBeNull();
+  });
+
+  it("labels each source slider and says what its value comes to", async () => {
+    await renderControls();
+
+    expect(
+      screen.getByRole("slider", { name: t("source.traditional") }).getAttribute("aria-valuetext")
+    ).toBe(t("slider.valuePercent", { percent: formatPercent(10), amount: "$500" }));
+  });
+
+  it("moves a source with its slider", async () => {
+    await renderControls();
+
+    editRoth("4");
+
+    expect(roth()).toHaveProperty("value", "4");
+    expect(screen.getByRole("slider", { name: t("source.roth") })).toHaveProperty(
+      "value",
+      "4"
+    );
+    expect(saveButton()).toHaveProperty("disabled", false);
+  });
+
+  it("saves the edited election over the loaded version", async () => {
+    const saved = contribution({
+      version: 2,
+      contributionValue: 14,
+      sources: { traditional: 10, roth: 4 },
+      currentPercent: 14
+    });
+    const saveContribution = vi.spyOn(api, "saveContribution").mockResolvedValue({ ok: true });
+    vi.spyOn(api, "contribution").mockResolvedValue(saved);
+    const onSaved = vi.fn();
+    await renderControls({ onSaved });
+
+    editRoth("4");
+    fireEvent.click(saveButton());
+
+    expect(await screen.findByText(t("contribution.saved"))).toBeTruthy();
+    expect(screen.getByRole("status").textContent).toBe(t("contribution.saved"));
+    expect(saveContribution).toHaveBeenCalledWith(
+      "mock-user-123",
+      { contributionType: "percent", sources: { traditional: 10, roth: 4 } },
+      { version: 1 }
+    );
+    expect(onSaved).toHaveBeenCalledWith(saved);
+    // Nothing left to save until the next edit
+    expect(saveButton()).toHaveProperty("disabled", true);
+  });
+
+  it("offers the latest election after a version conflict", async () => {
+    const current = contribution({
+      version: 2,
+      contributionValue: 12,
+      sources: { traditional: 12, roth: 0 },
+      currentPercent: 12
+    });
+    vi.spyOn(api, "saveContribution").mockRejectedValue(
+      new ApiError("Contribution was changed by someone else", {
+        status: 409,
+        code: "VERSION_CONFLICT",
+        body: {
+          error: "Contribution was changed by someone else",
+          code: "VERSION_CONFLICT",
+          current
+        }
+      })
+    );
+    const { container } = await renderControls();
+
+    editRoth("4");
+    fireEvent.click(saveButton());
+
+    const alert = await screen.findByRole("alert");
+    // The edits stay until the latest is taken
+    expect(roth()).toHaveProperty("value", "4");
+    expect(await axe(container)).toHaveNoViolations();
+
+    fireEvent.click(screen.getByRole("button", { name: t("contribution.useLatest") }));
+
+    expect(alert.isConnected).toBe(false);
+    expect(traditional()).toHaveProperty("value", "12");
+    expect(roth()).toHaveProperty("value", "0");
+  });
+
+  it("offers the maximum allowed when a save would go over the annual limit", async () => {
+    vi.spyOn(api, "saveContribution").mockRejectedValue(
+      new ApiError("Contribution would exceed the annual limit", {
+        status: 400,
+        code: "ANNUAL_LIMIT_EXCEEDED",
+        body: {
+          error: "Contribution would exceed the annual limit",
+          code: "ANNUAL_LIMIT_EXCEEDED",
+          annualLimit: { limit: 24500, maxContributionValue: 22 }
+        }
+      })
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    await renderControls();
+
+    fireEvent.change(traditional(), { target: { value: "30" } });
+    editRoth("10");
+    fireEvent.click(saveButton());
+
+    expect((await screen.findByRole("alert")).textContent).toBe(
+      t("error.ANNUAL_LIMIT_EXCEEDED")
+    );
+
+    fireEvent.click(
+      screen.getByRole("button", {
+        name: t("contribution.useMaximum", { amount: formatPercent(22) })
+      })
+    );
+
+    expect(traditional()).toHaveProperty("value", "16.5");
+    expect(roth()).toHaveProperty("value", "5.5");
+    expect(screen.queryByRole("alert")).toBeNull();
+  });
+
+  it("words rejected fields from their codes", async () => {
+    vi.spyOn(api, "saveContribution").mockRejectedValue(
+      new ApiError("Invalid sources.roth", {
+        status: 400,
+        code: "VALIDATION_FAILED",
+        body: {
+          error: "Invalid sources.roth",
+          code: "VALIDATION_FAILED",
+          fields: [
+            {
+              field: "sources.roth",
+              code: "too_large",
+              message: "Contributions cannot exceed 50% of salary",
+              params: { limit: 50, unit: "percent" }
+            }
+          ]
+        }
+      })
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const { container } = await renderControls();
+
+    editRoth("45");
+    fireEvent.click(saveButton());
+
+    expect((await screen.findByRole("alert")).textContent).toBe(t("contribution.fixFields"));
+    expect(
+      screen.getByText(t("fieldError.too_large.percent", { limit: formatPercent(50, 0) }))
+    ).toBeTruthy();
+    expect(roth().getAttribute("aria-invalid")).toBe("true");
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("reports a save that never reached the server", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new TypeError("Failed to fetch")));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    await renderControls();
+
+    editRoth("4");
+    fireEvent.click(saveButton());
+
+    expect((await screen.findByRole("alert")).textContent).toBe(t("contribution.saveFailed"));
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await waitFor(() => expect(saveButton()).toHaveProperty("disabled", false));
+    // The edits are still there to try again
+    expect(roth()).toHaveProperty("value", "4");
+  });
+});
@@ -0,0 +1,21 @@
+import { LANGUAGES, t, useLanguage } from "./i18n.js";
+
+// Language picker. `onChange` receives the language code; App saves it to
+// the account, the login screen only switches the page.
+function LanguageSwitcher({ onChange }) {
+  const language = useLanguage();
+  return (
+    <span className="language-switcher">
+      <label htmlFor="language-select">{t("language.label")}</label>
+      <select id="language-select" value={language} onChange={(e) => onChange(e.target.value)}>
+        {Object.entries(LANGUAGES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </span>
+  );
+}
+
+export default LanguageSwitcher;
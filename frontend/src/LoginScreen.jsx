@@ -0,0 +1,66 @@
+import { useState } from "react";
+import { api, errorMessage } from "./api.js";
+import { setLanguage, t, useLanguage } from "./i18n.js";
+import LanguageSwitcher from "./LanguageSwitcher.jsx";
+
+// Username/password sign-in. Hands the signed-in user and CSRF token to App.
+function LoginScreen({ onSignIn }) {
+  useLanguage();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setSubmitting(true);
+    try {
+      const data = await api.login({ username, password });
+      setPassword("");
+      onSignIn(data);
+    } catch (e) {
+      console.error(e);
+      setError(errorMessage(e, t("login.failed")));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="app-container">
+      <div className="participant-bar">
+        <LanguageSwitcher onChange={setLanguage} />
+      </div>
+
+      <h1>{t("app.title")}</h1>
+      <div className="subtitle">{t("login.subtitle")}</div>
+
+      <form className="section login-form" onSubmit={handleSubmit}>
+        <label htmlFor="login-username">{t("login.username")}</label>
+        <input
+          id="login-username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+        />
+        <label htmlFor="login-password">{t("login.password")}</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        {error && <div className="message error" role="alert">{error}</div>}
+        <button type="submit" className="button-primary" disabled={submitting}>
+          {submitting ? t("login.signingIn") : t("login.signIn")}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { api } from "./api.js";
+import { formatCurrency, formatDate, formatElection } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+
+const FREQUENCIES = ["weekly", "biweekly", "semi-monthly", "monthly"];
+
+// Remaining paychecks this plan year with the saved election (plus any
+// scheduled changes), and where the annual limit stops deferrals.
+// `refreshKey` changes after every save; `pending` / `autoEscalation` after
+// scheduled changes are edited.
+function PaycheckTable({ userId, refreshKey, pending, autoEscalation }) {
+  useLanguage();
+  const [frequency, setFrequency] = useState("");
+  const [calendar, setCalendar] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!userId) return;
+
+    async function fetchPaychecks() {
+      setError("");
+      try {
+        setCalendar(await api.paychecks(userId, { frequency }));
+      } catch (e) {
+        console.error(e);
+        setError(t("paychecks.loadFailed"));
+      }
+    }
+
+    fetchPaychecks();
+  }, [userId, frequency, refreshKey, pending, autoEscalation]);
+
+  return (
+    <div className="section">
+      <div className="section-title">
+        {t("paychecks.title", { year: calendar?.planYear ?? t("paychecks.theYear") })}
+      </div>
+      <div className="effective-row paycheck-controls">
+        <label htmlFor="paycheck-frequency">{t("paychecks.schedule")}</label>
+        <select
+          id="paycheck-frequency"
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+        >
+          <option value="">{t("paychecks.yourSchedule")}</option>
+          {FREQUENCIES.map((value) => (
+            <option key={value} value={value}>
+              {t(`frequency.${value}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="message error" role="alert">{error}</div>}
+
+      {calendar && !error && (
+        <>
+          <div className="section-caption">
+            {calendar.limitReachedOn
+              ? tRich("paychecks.limitOn", {
+                  limit: formatCurrency(calendar.annualLimit, { noCents: true }),
+                  date: formatDate(calendar.limitReachedOn)
+                })
+              : tRich("paychecks.underLimit", {
+                  amount: formatCurrency(calendar.projectedYearEnd, { noCents: true }),
+                  limit: formatCurrency(calendar.annualLimit, { noCents: true })
+                })}
+          </div>
+
+          {calendar.paychecks.length === 0 ? (
+            <div className="section-caption">{t("paychecks.none")}</div>
+          ) : (
+            <div className="paycheck-table-wrap">
+              <table className="paycheck-table">
+                <thead>
+                  <tr>
+                    <th>{t("paychecks.number")}</th>
+                    <th>{t("paychecks.payDate")}</th>
+                    <th>{t("paychecks.grossPay")}</th>
+                    <th>{t("paychecks.election")}</th>
+                    <th>{t("paychecks.contribution")}</th>
+                    <th>{t("paychecks.ytd")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {calendar.paychecks.map((check) => (
+                    <tr key={check.payDate} className={check.limited ? "paycheck-limited" : undefined}>
+                      <td>{check.number}</td>
+                      <td>{formatDate(check.payDate)}</td>
+                      <td>{formatCurrency(check.grossPay)}</td>
+                      <td>{formatElection(check)}</td>
+                      <td>
+                        {formatCurrency(check.deferral)}
+                        {check.limited && (
+                          <span className="paycheck-note">
+                            {" "}
+                            {t("paychecks.limited", { amount: formatCurrency(check.electedDeferral) })}
+                          </span>
+                        )}
+                      </td>
+                      <td>{formatCurrency(check.ytdAfter)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PaycheckTable;
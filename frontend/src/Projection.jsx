@@ -0,0 +1,309 @@
+import { useEffect, useMemo, useState } from "react";
+import { escalationFor, projectBalance } from "@shared/projection.js";
+import { api } from "./api.js";
+import { formatCurrency, formatNumber, formatPercent } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+import ProjectionChart from "./ProjectionChart.jsx";
+import RetirementGoal from "./RetirementGoal.jsx";
+import ToggleGroup from "./ToggleGroup.jsx";
+
+// Fixed seed so the range of outcomes doesn't jitter while the slider moves
+const SIMULATION_SEED = 401;
+
+// Option values; their labels are in the message catalogs
+const PROJECTION_MODES = ["expected", "range"];
+const DOLLAR_BASES = ["nominal", "real"];
+
+// How long the projection has to settle before screen readers hear it
+const ANNOUNCE_DELAY_MS = 1000;
+
+const money = (n) => formatCurrency(Math.round(n), { noCents: true });
+
+// Stat card value, or "-" while there's nothing to show
+const amountOrDash = (n) => (n != null ? money(n) : "-");
+
+// Where the balance is headed at retirement with the live election
+// (`livePercent`, as a percent of salary) next to the saved one, either as
+// one expected path or as the backend's range of outcomes, plus the
+// retirement goal solver. `onApplyGoal` receives the solver's answer.
+// `contributionType` and `savedType` are the two elections' types; only a
+// percent election follows `autoEscalation`.
+function Projection({
+  userId,
+  plan,
+  employerMatch,
+  snapshot,
+  livePercent,
+  savedPercent,
+  contributionType,
+  savedType,
+  autoEscalation,
+  onApplyGoal
+}) {
+  useLanguage();
+
+  const isPercent = contributionType === "percent";
+  const liveEscalation = escalationFor(contributionType, autoEscalation);
+  const savedEscalation = escalationFor(savedType, autoEscalation);
+
+  const { age, salary, currentBalance } = snapshot;
+
+  // "nominal" (future dollars) or "real" (today's dollars)
+  const [dollarBasis, setDollarBasis] = useState("nominal");
+  // "expected" (single deterministic path) or "range" (Monte Carlo percentiles)
+  const [projectionMode, setProjectionMode] = useState("expected");
+  const [simulation, setSimulation] = useState(null);
+
+  const assumptions = useMemo(
+    () => ({
+      retirementAge: plan.assumptions.retirementAge,
+      annualReturn: plan.assumptions.annualReturnPercent / 100,
+      salaryGrowth: plan.assumptions.salaryGrowthPercent / 100,
+      inflation: plan.assumptions.inflationPercent / 100
+    }),
+    [plan]
+  );
+
+  // Full projections (with year-by-year schedules) at a given contribution %
+  const projectAt = useMemo(
+    () => (contributionPercent, escalation) =>
+      projectBalance({
+        age,
+        retirementAge: assumptions.retirementAge,
+        annualReturn: assumptions.annualReturn,
+        salaryGrowth: assumptions.salaryGrowth,
+        inflation: assumptions.inflation,
+        currentBalance,
+        salary,
+        contributionPercent,
+        employerMatch,
+        escalation
+      }),
+    [assumptions, age, currentBalance, salary, employerMatch]
+  );
+
+  const liveResult = useMemo(
+    () => projectAt(livePercent, liveEscalation),
+    [projectAt, livePercent, liveEscalation]
+  );
+  const savedResult = useMemo(
+    () => projectAt(savedPercent, savedEscalation),
+    [projectAt, savedPercent, savedEscalation]
+  );
+
+  const { liveProjection, liveProjectionPlusOne, liveDelta } = useMemo(() => {
+    const plusOne = projectAt(livePercent + 1, liveEscalation);
+    const key = dollarBasis === "real" ? "finalBalanceReal" : "finalBalance";
+    return {
+      liveProjection: liveResult?.[key] ?? null,
+      liveProjectionPlusOne: plusOne?.[key] ?? null,
+      liveDelta: plusOne != null && liveResult != null ? plusOne[key] - liveResult[key] : null
+    };
+  }, [projectAt, liveResult, livePercent, liveEscalation, dollarBasis]);
+
+  // Range of outcomes comes from the backend simulation; debounced so
+  // dragging the slider doesn't fire a request per pixel
+  useEffect(() => {
+    if (projectionMode !== "range" || age == null || salary == null || currentBalance == null) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const data = await api.projection(
+          {
+            age,
+            salary,
+            currentBalance,
+            contributionPercent: livePercent,
+            // Same rule as the expected line, so both modes agree
+            autoEscalation: liveEscalation && {
+              incrementPercent: liveEscalation.incrementPercent,
+              capPercent: liveEscalation.capPercent
+            },
+            mode: "monteCarlo",
+            seed: SIMULATION_SEED
+          },
+          { signal: controller.signal }
+        );
+        setSimulation(data.simulation);
+      } catch (e) {
+        if (e.name === "AbortError") return;
+        console.error(e);
+        setSimulation(null);
+      }
+    }, 250);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [projectionMode, age, salary, currentBalance, livePercent, liveEscalation]);
+
+  const simulationFinal = simulation
+    ? dollarBasis === "real"
+      ? simulation.finalBalanceReal
+      : simulation.finalBalance
+    : null;
+
+  const simulationBand = useMemo(() => {
+    if (projectionMode !== "range" || !simulation) return null;
+    return simulation.schedule.map((row) => ({
+      age: row.age,
+      ...(dollarBasis === "real" ? row.real : row)
+    }));
+  }, [projectionMode, simulation, dollarBasis]);
+
+  // Spoken summary of the projection. It is announced once the numbers
+  // settle, so dragging a slider doesn't flood screen readers.
+  const basisText = dollarBasis === "real" ? t("basis.inToday") : t("basis.inFuture");
+  let projectionSummary = "";
+  if (projectionMode === "range" && simulationFinal) {
+    projectionSummary = t("projection.announceRange", {
+      median: money(simulationFinal.p50),
+      basis: basisText,
+      low: money(simulationFinal.p10),
+      high: money(simulationFinal.p90)
+    });
+  } else if (projectionMode === "expected" && liveProjection != null) {
+    projectionSummary = t("projection.announceExpected", {
+      percent: formatPercent(livePercent),
+      balance: money(liveProjection),
+      basis: basisText
+    });
+  }
+
+  const [projectionAnnouncement, setProjectionAnnouncement] = useState("");
+  useEffect(() => {
+    const timer = setTimeout(() => setProjectionAnnouncement(projectionSummary), ANNOUNCE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [projectionSummary]);
+
+  return (
+    <div className="section">
+      <div className="section-title">{t("projection.title")}</div>
+      <div className="section-caption">
+        {t(
+          employerMatch.tiers.length > 0
+            ? "projection.assumptionsWithMatch"
+            : "projection.assumptions",
+          {
+            raises: formatPercent(plan.assumptions.salaryGrowthPercent),
+            annualReturn: formatPercent(plan.assumptions.annualReturnPercent, 2),
+            retirementAge: plan.assumptions.retirementAge
+          }
+        )}{" "}
+        {dollarBasis === "real"
+          ? t("projection.basisReal", {
+              inflation: formatPercent(plan.assumptions.inflationPercent)
+            })
+          : t("projection.basisNominal")}
+        {projectionMode === "range" && simulation && (
+          <>
+            {" "}
+            {t("projection.simulation", {
+              count: simulation.trials,
+              trials: formatNumber(simulation.trials),
+              meanReturn: formatPercent(simulation.meanReturnPercent),
+              volatility: formatPercent(simulation.volatilityPercent)
+            })}
+          </>
+        )}
+      </div>
+
+      <ToggleGroup
+        label={t("projection.mode")}
+        options={PROJECTION_MODES.map((value) => ({ value, label: t(`projection.${value}`) }))}
+        value={projectionMode}
+        onChange={setProjectionMode}
+      />
+
+      <ToggleGroup
+        label={t("projection.basis")}
+        options={DOLLAR_BASES.map((value) => ({ value, label: t(`projection.${value}`) }))}
+        value={dollarBasis}
+        onChange={setDollarBasis}
+      />
+
+      <div className="visually-hidden" role="status">
+        {projectionAnnouncement}
+      </div>
+
+      <div className="section-projection-layout">
+        {projectionMode === "range" ? (
+          <div className="stats-grid">
+            <div className="stat-card">
+              <div className="stat-label">{t("projection.median")}</div>
+              <div className="stat-value">{amountOrDash(simulationFinal?.p50)}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">{t("projection.pessimistic")}</div>
+              <div className="stat-value">{amountOrDash(simulationFinal?.p10)}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">{t("projection.optimistic")}</div>
+              <div className="stat-value">{amountOrDash(simulationFinal?.p90)}</div>
+            </div>
+          </div>
+        ) : (
+          <div className="stats-grid">
+            <div className="stat-card">
+              <div className="stat-label">{t("projection.projected")}</div>
+              <div className="stat-value">{amountOrDash(liveProjection)}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">{t("projection.plusOne")}</div>
+              <div className="stat-value">{amountOrDash(liveProjectionPlusOne)}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">{t("projection.plusOneGain")}</div>
+              <div className="stat-value">{amountOrDash(liveDelta)}</div>
+            </div>
+          </div>
+        )}
+
+        <div className="stat-card">
+          <div className="stat-label">{t("projection.compareTitle")}</div>
+          <div className="stat-value" style={{ fontSize: "0.98rem" }}>
+            {tRich("projection.compareSaved", { percent: formatPercent(savedPercent) })}
+            <br />
+            {tRich("projection.compareLive", { percent: formatPercent(livePercent) })}
+          </div>
+          <div className="helper-text" style={{ marginTop: "0.5rem" }}>
+            {t("projection.tip")}
+          </div>
+        </div>
+      </div>
+
+      <ProjectionChart
+        startAge={age}
+        startBalance={currentBalance}
+        live={liveResult}
+        saved={savedResult}
+        livePercent={livePercent}
+        savedPercent={savedPercent}
+        basis={dollarBasis}
+        band={simulationBand}
+      />
+
+      <RetirementGoal
+        key={userId}
+        userId={userId}
+        snapshot={{
+          age,
+          salary,
+          currentBalance,
+          payPeriodsPerYear: snapshot.payPeriodsPerYear
+        }}
+        dollarBasis={dollarBasis}
+        liveBalance={liveProjection}
+        defaultWithdrawalRate={plan.assumptions.withdrawalRatePercent}
+        isPercent={isPercent}
+        onApply={onApplyGoal}
+      />
+    </div>
+  );
+}
+
+export default Projection;
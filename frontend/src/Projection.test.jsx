@@ -0,0 +1,123 @@
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { api } from "./api.js";
+import { formatCurrency, formatPercent } from "./format.js";
+import { t } from "./i18n.js";
+import Projection from "./Projection.jsx";
+import { axe } from "./test/axe.js";
+import { contribution, goal, plan } from "./test/fixtures.js";
+
+const money = (n) => formatCurrency(n, { noCents: true });
+
+const simulation = {
+  trials: 500,
+  meanReturnPercent: 5,
+  volatilityPercent: 12,
+  finalBalance: { p10: 900000, p50: 1400000, p90: 2100000 },
+  finalBalanceReal: { p10: 400000, p50: 600000, p90: 900000 },
+  schedule: [
+    {
+      age: 65,
+      p10: 900000,
+      p50: 1400000,
+      p90: 2100000,
+      real: { p10: 400000, p50: 600000, p90: 900000 }
+    }
+  ]
+};
+
+const escalation = { enabled: true, incrementPercent: 1, capPercent: 15, monthDay: "01-01" };
+
+function renderProjection(props) {
+  vi.spyOn(api, "goal").mockResolvedValue(goal);
+  return render(
+    <Projection
+      userId="mock-user-123"
+      plan={plan}
+      employerMatch={{ ...plan.employerMatch, fullMatchPercent: 5 }}
+      snapshot={contribution()}
+      livePercent={12}
+      savedPercent={10}
+      contributionType="percent"
+      savedType="percent"
+      autoEscalation={null}
+      onApplyGoal={() => {}}
+      {...props}
+    />
+  );
+}
+
+// The chart's summary for a render of Projection with `props`
+function chartSummary(props) {
+  const { unmount } = renderProjection(props);
+  const summary = screen.getByRole("img").getAttribute("aria-label");
+  unmount();
+  return summary;
+}
+
+describe("Projection", () => {
+  it("has no accessibility violations", async () => {
+    const { container } = renderProjection();
+    await screen.findByText(t("goal.title"));
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("describes the chart as one image", () => {
+    renderProjection();
+
+    const chart = screen.getByRole("img");
+    const [start] = t("chart.summary", { from: 30, to: 65 }).split("{live}");
+    expect(chart.tagName).toBe("svg");
+    expect(chart.getAttribute("aria-label").startsWith(start)).toBe(true);
+  });
+
+  it("escalates percent elections only", () => {
+    const flat = chartSummary();
+
+    expect(chartSummary({ autoEscalation: escalation })).not.toBe(flat);
+    expect(chartSummary({ contributionType: "dollar", savedType: "dollar" })).toBe(
+      chartSummary({ contributionType: "dollar", savedType: "dollar", autoEscalation: escalation })
+    );
+  });
+
+  it("summarises the range of outcomes once the simulation is in", async () => {
+    vi.spyOn(api, "projection").mockResolvedValue({ simulation });
+    renderProjection();
+
+    fireEvent.click(screen.getByRole("radio", { name: t("projection.range") }));
+
+    expect(
+      await screen.findByRole(
+        "img",
+        {
+          name: t("chart.summaryBand", {
+            from: 30,
+            to: 65,
+            median: money(1400000),
+            low: money(900000),
+            high: money(2100000)
+          })
+        },
+        { timeout: 2000 }
+      )
+    ).toBeTruthy();
+  });
+
+  it("announces the projection only once it settles", () => {
+    vi.useFakeTimers();
+    renderProjection();
+    const status = screen.getAllByRole("status")[0];
+
+    expect(status.textContent).toBe("");
+
+    act(() => vi.advanceTimersByTime(1000));
+
+    const [before, after] = t("projection.announceExpected", {
+      percent: formatPercent(12),
+      basis: t("basis.inFuture")
+    }).split("{balance}");
+    expect(status.textContent.startsWith(before)).toBe(true);
+    expect(status.textContent.endsWith(after)).toBe(true);
+  });
+});
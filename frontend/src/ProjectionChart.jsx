@@ -0,0 +1,297 @@
+import { useMemo, useState } from "react";
+import { formatCompactCurrency, formatCurrency, formatPercent } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 56 };
+
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+const money = (n) => formatCurrency(Math.round(n), { noCents: true });
+
+// Turns a projectBalance() schedule into chart points, starting from today.
+// Contributions and growth are running totals so the tooltip can split the
+// balance into "what you put in" vs "what the market added".
+function toPoints(projection, startAge, startBalance, basis) {
+  if (!projection) return [];
+
+  const points = [];
+  if (projection.schedule[0]?.age !== startAge) {
+    points.push({ age: startAge, balance: startBalance, contributions: 0, growth: 0 });
+  }
+
+  let contributions = 0;
+  let growth = 0;
+  for (const row of projection.schedule) {
+    // Deflate every figure by the same factor the engine used for the balance
+    const deflator =
+      basis === "real" && row.endingBalance ? row.realEndingBalance / row.endingBalance : 1;
+    contributions += row.employeeContributions + row.employerContributions;
+    growth += row.growth;
+    points.push({
+      age: row.age,
+      balance: row.endingBalance * deflator,
+      contributions: contributions * deflator,
+      growth: growth * deflator
+    });
+  }
+  return points;
+}
+
+// Rounds the axis top up to 1, 2 or 5 x 10^n so tick labels stay readable
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find((m) => m * magnitude >= value);
+  return step * magnitude;
+}
+
+function linePath(points, x, y, key = "balance") {
+  return points
+    .map((p, i) => `${i === 0 ? "M" : "L"}${x(p.age).toFixed(1)},${y(p[key]).toFixed(1)}`)
+    .join(" ");
+}
+
+// Closed shape between the 10th and 90th percentile lines
+function bandPath(points, x, y) {
+  const upper = linePath(points, x, y, "p90");
+  const lower = [...points]
+    .reverse()
+    .map((p) => `L${x(p.age).toFixed(1)},${y(p.p10).toFixed(1)}`)
+    .join(" ");
+  return `${upper} ${lower} Z`;
+}
+
+// `band` (optional) switches the chart to "range of outcomes": percentile
+// rows ({ age, p10, p50, p90 }) already in the chosen dollar basis.
+function ProjectionChart({
+  startAge,
+  startBalance,
+  live,
+  saved,
+  livePercent,
+  savedPercent,
+  basis,
+  band
+}) {
+  useLanguage();
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const livePoints = useMemo(
+    () => toPoints(live, startAge, startBalance, basis),
+    [live, startAge, startBalance, basis]
+  );
+  const savedPoints = useMemo(
+    () => toPoints(saved, startAge, startBalance, basis),
+    [saved, startAge, startBalance, basis]
+  );
+
+  const bandPoints = useMemo(() => {
+    if (!band?.length) return null;
+    const start = { age: startAge, p10: startBalance, p50: startBalance, p90: startBalance };
+    return band[0].age === startAge ? band : [start, ...band];
+  }, [band, startAge, startBalance]);
+
+  if (livePoints.length < 2) return null;
+
+  const minAge = livePoints[0].age;
+  const maxAge = livePoints[livePoints.length - 1].age;
+  const yMax = niceMax(
+    bandPoints
+      ? Math.max(...bandPoints.map((p) => p.p90))
+      : Math.max(...livePoints.map((p) => p.balance), ...savedPoints.map((p) => p.balance))
+  );
+
+  const x = (age) => PADDING.left + ((age - minAge) / (maxAge - minAge)) * PLOT_WIDTH;
+  const y = (balance) => PADDING.top + PLOT_HEIGHT - (balance / yMax) * PLOT_HEIGHT;
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * yMax);
+  const xTickEvery = maxAge - minAge > 20 ? 10 : 5;
+  const xTicks = livePoints
+    .map((p) => p.age)
+    .filter((age) => age === minAge || age === maxAge || age % xTickEvery === 0);
+
+  function handlePointerMove(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const svgX = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const age = minAge + ((svgX - PADDING.left) / PLOT_WIDTH) * (maxAge - minAge);
+    const index = Math.round(age - minAge);
+    setHoverIndex(Math.min(livePoints.length - 1, Math.max(0, index)));
+  }
+
+  // What the chart shows, for screen readers (the svg itself is one image)
+  const finalBand = bandPoints?.[bandPoints.length - 1];
+  const finalSaved = savedPoints[savedPoints.length - 1];
+  const summary = finalBand
+    ? t("chart.summaryBand", {
+        from: minAge,
+        to: maxAge,
+        median: money(finalBand.p50),
+        low: money(finalBand.p10),
+        high: money(finalBand.p90)
+      })
+    : t("chart.summary", {
+        from: minAge,
+        to: maxAge,
+        live: money(livePoints[livePoints.length - 1].balance),
+        livePercent: formatPercent(livePercent),
+        saved: money(finalSaved?.balance ?? startBalance),
+        savedPercent: formatPercent(savedPercent)
+      });
+
+  const hovered = hoverIndex != null ? livePoints[hoverIndex] : null;
+  const hoveredSaved = hoverIndex != null ? savedPoints[hoverIndex] : null;
+  const hoveredBand = hoverIndex != null && bandPoints ? bandPoints[hoverIndex] : null;
+
+  return (
+    <div className="projection-chart">
+      <div className="chart-legend">
+        {bandPoints ? (
+          <>
+            <span className="legend-item legend-band">{t("chart.band")}</span>
+            <span className="legend-item legend-live">
+              {t("chart.median", { percent: formatPercent(livePercent) })}
+            </span>
+          </>
+        ) : (
+          <>
+            <span className="legend-item legend-live">
+              {t("chart.live", { percent: formatPercent(livePercent) })}
+            </span>
+            <span className="legend-item legend-saved">
+              {t("chart.saved", { percent: formatPercent(savedPercent) })}
+            </span>
+          </>
+        )}
+      </div>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="chart-svg"
+        role="img"
+        aria-label={summary}
+        onPointerMove={handlePointerMove}
+        onPointerLeave={() => setHoverIndex(null)}
+      >
+        {yTicks.map((tick) => (
+          <g key={tick}>
+            <line
+              className="chart-grid"
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+            />
+            <text className="chart-axis-label" x={PADDING.left - 8} y={y(tick) + 4} textAnchor="end">
+              {formatCompactCurrency(tick)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((age) => (
+          <text
+            key={age}
+            className="chart-axis-label"
+            x={x(age)}
+            y={HEIGHT - 8}
+            textAnchor="middle"
+          >
+            {age}
+          </text>
+        ))}
+
+        {bandPoints ? (
+          <>
+            <path className="chart-band" d={bandPath(bandPoints, x, y)} />
+            <path className="chart-line chart-line-live" d={linePath(bandPoints, x, y, "p50")} />
+          </>
+        ) : (
+          <>
+            {savedPoints.length > 1 && (
+              <path className="chart-line chart-line-saved" d={linePath(savedPoints, x, y)} />
+            )}
+            <path className="chart-line chart-line-live" d={linePath(livePoints, x, y)} />
+          </>
+        )}
+
+        {hoveredBand && (
+          <g>
+            <line
+              className="chart-hover-line"
+              x1={x(hoveredBand.age)}
+              x2={x(hoveredBand.age)}
+              y1={PADDING.top}
+              y2={PADDING.top + PLOT_HEIGHT}
+            />
+            <circle className="chart-dot-live" cx={x(hoveredBand.age)} cy={y(hoveredBand.p50)} r="4" />
+          </g>
+        )}
+
+        {hovered && !bandPoints && (
+          <g>
+            <line
+              className="chart-hover-line"
+              x1={x(hovered.age)}
+              x2={x(hovered.age)}
+              y1={PADDING.top}
+              y2={PADDING.top + PLOT_HEIGHT}
+            />
+            {hoveredSaved && (
+              <circle className="chart-dot-saved" cx={x(hoveredSaved.age)} cy={y(hoveredSaved.balance)} r="4" />
+            )}
+            <circle className="chart-dot-live" cx={x(hovered.age)} cy={y(hovered.balance)} r="4" />
+          </g>
+        )}
+      </svg>
+
+      {hoveredBand && (
+        <div
+          className="chart-tooltip"
+          style={{
+            left: `${(x(hoveredBand.age) / WIDTH) * 100}%`,
+            transform: hoveredBand.age - minAge > (maxAge - minAge) / 2 ? "translateX(-105%)" : "translateX(5%)"
+          }}
+        >
+          <div className="chart-tooltip-title">{t("chart.age", { age: hoveredBand.age })}</div>
+          <div>{tRich("chart.tooltipMedian", { amount: money(hoveredBand.p50) })}</div>
+          <div className="chart-tooltip-detail">
+            {t("chart.tooltipRange", { low: money(hoveredBand.p10), high: money(hoveredBand.p90) })}
+          </div>
+        </div>
+      )}
+
+      {hovered && !bandPoints && (
+        <div
+          className="chart-tooltip"
+          style={{
+            left: `${(x(hovered.age) / WIDTH) * 100}%`,
+            transform: hovered.age - minAge > (maxAge - minAge) / 2 ? "translateX(-105%)" : "translateX(5%)"
+          }}
+        >
+          <div className="chart-tooltip-title">{t("chart.age", { age: hovered.age })}</div>
+          <div>{tRich("chart.tooltipLive", { amount: money(hovered.balance) })}</div>
+          <div className="chart-tooltip-detail">
+            {t("chart.breakdown", {
+              contributions: money(hovered.contributions),
+              growth: money(hovered.growth)
+            })}
+          </div>
+          {hoveredSaved && (
+            <>
+              <div>{tRich("chart.tooltipSaved", { amount: money(hoveredSaved.balance) })}</div>
+              <div className="chart-tooltip-detail">
+                {t("chart.breakdown", {
+                  contributions: money(hoveredSaved.contributions),
+                  growth: money(hoveredSaved.growth)
+                })}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProjectionChart;
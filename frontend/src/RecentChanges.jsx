@@ -0,0 +1,107 @@
+import { useEffect, useState } from "react";
+import { api } from "./api.js";
+import { formatDate, formatDateTime, formatElection, formatPercent } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+
+const PAGE_SIZE = 5;
+
+function electionChanged(entry) {
+  return entry.changedFields.some(
+    (field) => field === "contributionType" || field.startsWith("sources.")
+  );
+}
+
+// What an entry did, in one line
+function describeEntry(entry) {
+  if (entry.cancelled) {
+    return tRich("recent.scheduleCancelled", {
+      election: formatElection(entry.cancelled),
+      date: formatDate(entry.cancelled.effectiveDate)
+    });
+  }
+  if (electionChanged(entry)) {
+    const params = { from: formatElection(entry.previous), to: formatElection(entry.next) };
+    return entry.effectiveDate
+      ? tRich("recent.electionScheduled", { ...params, date: formatDate(entry.effectiveDate) })
+      : tRich("recent.electionChanged", params);
+  }
+  if (entry.autoEscalation) {
+    const rule = entry.autoEscalation.next;
+    return rule?.enabled
+      ? t("recent.escalationOn", {
+          increment: formatPercent(rule.incrementPercent),
+          cap: formatPercent(rule.capPercent)
+        })
+      : t("recent.escalationOff");
+  }
+  return t("recent.snapshotUpdated", {
+    fields: entry.changedFields.map((field) => t(`field.${field}`)).join(", ")
+  });
+}
+
+// `refreshKey` changes after every save so the newest entry shows up
+function RecentChanges({ userId, refreshKey }) {
+  useLanguage();
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!userId) return;
+
+    async function fetchHistory() {
+      setError("");
+      try {
+        const data = await api.history(userId, { limit: PAGE_SIZE });
+        setEntries(data.entries);
+        setTotal(data.total);
+      } catch (e) {
+        console.error(e);
+        setError(t("recent.loadFailed"));
+      }
+    }
+
+    fetchHistory();
+  }, [userId, refreshKey]);
+
+  async function handleShowMore() {
+    try {
+      const data = await api.history(userId, { limit: PAGE_SIZE, offset: entries.length });
+      setEntries((prev) => [...prev, ...data.entries]);
+      setTotal(data.total);
+    } catch (e) {
+      console.error(e);
+      setError(t("recent.loadMoreFailed"));
+    }
+  }
+
+  return (
+    <div className="section">
+      <div className="section-title">{t("recent.title")}</div>
+      {error && <div className="message error" role="alert">{error}</div>}
+      {!error && entries.length === 0 && (
+        <div className="section-caption">{t("recent.none")}</div>
+      )}
+      {entries.length > 0 && (
+        <ul className="history-list">
+          {entries.map((entry) => (
+            <li key={entry.id} className="history-item">
+              <div className="history-when">{formatDateTime(entry.changedAt)}</div>
+              <div>{describeEntry(entry)}</div>
+              <div className="history-meta">
+                {t("recent.by", { who: entry.changedBy, source: entry.source })}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {entries.length < total && (
+        <button type="button" className="button-secondary" onClick={handleShowMore}>
+          {t("recent.showMore")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default RecentChanges;
@@ -0,0 +1,48 @@
+import { render, screen } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { api } from "./api.js";
+import { setLanguage, t } from "./i18n.js";
+import RecentChanges from "./RecentChanges.jsx";
+
+const election = { contributionType: "percent", contributionValue: 10, sources: { traditional: 10, roth: 0 } };
+
+const snapshotEntry = {
+  id: "entry-1",
+  userId: "mock-user-123",
+  changedAt: "2026-10-19T15:00:00.000Z",
+  changedBy: "mock-user-123",
+  source: "web",
+  changedFields: ["salary", "ytdContribution"],
+  previous: election,
+  next: election
+};
+
+function renderRecent() {
+  vi.spyOn(api, "history").mockResolvedValue({
+    entries: [snapshotEntry],
+    total: 1,
+    limit: 5,
+    offset: 0
+  });
+  return render(<RecentChanges userId="mock-user-123" refreshKey={0} />);
+}
+
+// The line for `snapshotEntry` in the current language
+const snapshotUpdated = () =>
+  t("recent.snapshotUpdated", { fields: `${t("field.salary")}, ${t("field.ytdContribution")}` });
+
+describe("RecentChanges", () => {
+  it("names the snapshot fields a change touched", async () => {
+    renderRecent();
+
+    expect(await screen.findByText(snapshotUpdated())).toBeTruthy();
+  });
+
+  it("names them in the page's language", async () => {
+    setLanguage("es");
+    renderRecent();
+
+    expect(await screen.findByText(snapshotUpdated())).toBeTruthy();
+    expect(screen.queryByText(/ytdContribution/)).toBeNull();
+  });
+});
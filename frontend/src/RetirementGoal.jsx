@@ -0,0 +1,224 @@
+import { useEffect, useState } from "react";
+import { api, errorMessage, fieldErrorsFrom, labelledFieldError } from "./api.js";
+import { formatCurrency, formatPercent } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+
+const money = (n) => formatCurrency(Math.round(n), { noCents: true });
+
+// Gauge colour by how much of the goal the live selection reaches
+function readinessLevel(percent) {
+  if (percent >= 100) return "on-track";
+  if (percent >= 75) return "close";
+  return "behind";
+}
+
+// Retirement goal (a balance, or a monthly income at a withdrawal rate),
+// the contribution the server says it takes to get there, and a gauge of
+// how far the live selection gets. The goal is in the same dollars the page
+// is showing (`dollarBasis`); `snapshot` carries the page's what-if values
+// so the answer matches the projection above. `onApply` receives the
+// solver's answer when the user takes the suggested rate.
+function RetirementGoal({
+  userId,
+  snapshot,
+  dollarBasis,
+  liveBalance,
+  defaultWithdrawalRate,
+  isPercent,
+  onApply
+}) {
+  useLanguage();
+  const [goalType, setGoalType] = useState("income");
+  const [targetBalance, setTargetBalance] = useState("1000000");
+  const [monthlyIncome, setMonthlyIncome] = useState("5000");
+  const [withdrawalRate, setWithdrawalRate] = useState(String(defaultWithdrawalRate));
+  const [solution, setSolution] = useState(null);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const { age, salary, currentBalance, payPeriodsPerYear } = snapshot;
+
+  // Debounced like the range of outcomes, so typing doesn't fire a request per key
+  useEffect(() => {
+    if (!userId || age == null || salary == null || currentBalance == null) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const goal =
+          goalType === "income"
+            ? {
+                goalType,
+                monthlyIncome: Number(monthlyIncome),
+                withdrawalRatePercent: Number(withdrawalRate)
+              }
+            : { goalType, targetBalance: Number(targetBalance) };
+        const data = await api.goal(
+          userId,
+          { ...goal, dollarBasis, age, salary, currentBalance, payPeriodsPerYear },
+          { signal: controller.signal }
+        );
+        setSolution(data);
+        setFieldErrors({});
+        setError("");
+      } catch (e) {
+        if (e.name === "AbortError") return;
+        console.error(e);
+        setSolution(null);
+        setFieldErrors(fieldErrorsFrom(e.body));
+        setError(errorMessage(e, t("goal.failed")));
+      }
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [
+    userId,
+    goalType,
+    targetBalance,
+    monthlyIncome,
+    withdrawalRate,
+    dollarBasis,
+    age,
+    salary,
+    currentBalance,
+    payPeriodsPerYear
+  ]);
+
+  const invalidProps = (field) =>
+    fieldErrors[field] ? { className: "input-invalid", "aria-invalid": true } : {};
+
+  const readiness =
+    solution && liveBalance != null ? (liveBalance / solution.targetBalance) * 100 : null;
+  const basisNote = dollarBasis === "real" ? t("basis.inToday") : t("basis.inFuture");
+
+  return (
+    <div className="stat-card goal-card">
+      <div className="stat-label">{t("goal.title")}</div>
+      <div className="escalation-row">
+        <select
+          aria-label={t("goal.type")}
+          value={goalType}
+          onChange={(e) => setGoalType(e.target.value)}
+        >
+          <option value="income">{t("goal.typeIncome")}</option>
+          <option value="balance">{t("goal.typeBalance")}</option>
+        </select>
+        {goalType === "income" ? (
+          <>
+            $
+            <input
+              type="number"
+              aria-label={t("goal.monthlyIncome")}
+              min="0"
+              step="250"
+              value={monthlyIncome}
+              onChange={(e) => setMonthlyIncome(e.target.value)}
+              {...invalidProps("monthlyIncome")}
+            />
+            {t("goal.aMonthDrawing")}
+            <input
+              type="number"
+              aria-label={t("goal.withdrawalRate")}
+              min="1"
+              max="20"
+              step="0.5"
+              value={withdrawalRate}
+              onChange={(e) => setWithdrawalRate(e.target.value)}
+              {...invalidProps("withdrawalRatePercent")}
+            />
+            {t("goal.percentAYear")}
+          </>
+        ) : (
+          <>
+            $
+            <input
+              type="number"
+              aria-label={t("goal.targetBalance")}
+              className={`goal-balance-input${fieldErrors.targetBalance ? " input-invalid" : ""}`}
+              aria-invalid={Boolean(fieldErrors.targetBalance) || undefined}
+              min="0"
+              step="50000"
+              value={targetBalance}
+              onChange={(e) => setTargetBalance(e.target.value)}
+            />
+          </>
+        )}
+        ({basisNote})
+      </div>
+      {Object.entries(fieldErrors).map(([field, text]) => (
+        <div key={field} className="field-error">
+          {labelledFieldError(field, text)}
+        </div>
+      ))}
+
+      {solution && (
+        <>
+          <div className="helper-text">
+            {goalType === "income" && (
+              <>{tRich("goal.takes", { amount: money(solution.targetBalance) })} </>
+            )}
+            {solution.achievable ? (
+              solution.requiredPercent === 0 ? (
+                t("goal.alreadyThere")
+              ) : (
+                <>
+                  {tRich("goal.required", {
+                    percent: formatPercent(solution.requiredPercent),
+                    perPaycheck: money(solution.requiredDollarPerPaycheck)
+                  })}
+                  {!solution.withinAnnualLimit && <> {t("goal.overLimit")}</>}
+                </>
+              )
+            ) : (
+              tRich("goal.outOfReach", {
+                percent: formatPercent(solution.maximumPercent, 0),
+                amount: money(solution.projectedAtMaximum)
+              })
+            )}
+          </div>
+
+          {readiness != null && (
+            <div className="readiness">
+              <div className="readiness-label">
+                <span>{t("goal.readiness")}</span>
+                <strong>{formatPercent(readiness, 0)}</strong>
+              </div>
+              <div
+                className={`readiness-gauge ${readinessLevel(readiness)}`}
+                role="meter"
+                aria-label={t("goal.readinessLabel")}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(Math.min(100, readiness))}
+              >
+                <div className="readiness-fill" style={{ width: `${Math.min(100, readiness)}%` }} />
+              </div>
+            </div>
+          )}
+
+          {solution.achievable && solution.requiredPercent > 0 && (
+            <div className="actions-row">
+              <button type="button" className="button-secondary" onClick={() => onApply(solution)}>
+                {t("goal.apply", {
+                  value: isPercent
+                    ? formatPercent(solution.requiredPercent)
+                    : money(solution.requiredDollarPerPaycheck)
+                })}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+      {error && !Object.keys(fieldErrors).length && (
+        <div className="message error" role="alert">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RetirementGoal;
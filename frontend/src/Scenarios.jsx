@@ -0,0 +1,236 @@
+import { useEffect, useState } from "react";
+import { api, errorMessage, fieldErrorsFrom, labelledFieldError } from "./api.js";
+import { formatCurrency, formatElection, formatPercent } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+
+// The participant's real record, as a column in the comparison
+const CURRENT_ID = "current";
+const MAX_COMPARED = 3;
+
+const money = (n) => formatCurrency(Math.round(n), { noCents: true });
+
+// Rows of the side-by-side table: label key and how to show a compared scenario
+const COMPARE_ROWS = [
+  ["scenarios.row.contribution", (s) => formatElection(s.inputs)],
+  ["scenarios.row.percent", (s) => formatPercent(s.outcome.contributionPercent)],
+  ["scenarios.row.salary", (s) => money(s.inputs.salary)],
+  ["scenarios.row.perPaycheck", (s) => formatCurrency(s.outcome.perPaycheckContribution)],
+  ["scenarios.row.match", (s) => money(s.outcome.annualEmployerMatch)],
+  ["scenarios.row.takeHome", (s) => formatCurrency(s.outcome.takeHome.netPay)],
+  [
+    "scenarios.row.annualLimit",
+    (s) =>
+      s.outcome.annualLimit.exceeded
+        ? t("scenarios.limitReachedOn", { paycheck: s.outcome.annualLimit.limitReachedOnPaycheck })
+        : t("scenarios.limitNotReached")
+  ],
+  ["scenarios.row.balance", (s) => money(s.outcome.finalBalance)],
+  ["scenarios.row.real", (s) => money(s.outcome.finalBalanceReal)]
+];
+
+// Named what-ifs saved on the server. Saving one stores the page's working
+// values (`inputs`) as they are; nothing here touches the participant's
+// real election. `onLoad` puts a scenario's values back on the page.
+function Scenarios({ userId, inputs, onLoad }) {
+  useLanguage();
+  const [scenarios, setScenarios] = useState([]);
+  const [name, setName] = useState("");
+  const [selected, setSelected] = useState([CURRENT_ID]);
+  const [comparison, setComparison] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  // Inputs the server rejected, e.g. { name: "..." }
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    if (!userId) return;
+
+    async function fetchScenarios() {
+      setError("");
+      try {
+        const data = await api.scenarios(userId);
+        setScenarios(data.scenarios);
+      } catch (e) {
+        console.error(e);
+        setError(t("scenarios.loadFailed"));
+      }
+    }
+
+    fetchScenarios();
+  }, [userId]);
+
+  function toggleSelected(id) {
+    setComparison(null);
+    setSelected((prev) =>
+      prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id].slice(-MAX_COMPARED)
+    );
+  }
+
+  async function handleSave() {
+    setError("");
+    setFieldErrors({});
+    setMessage("");
+    setBusy(true);
+    try {
+      const scenario = await api.saveScenario(userId, { name, ...inputs });
+      setScenarios((prev) => [...prev, scenario]);
+      setName("");
+      setMessage(t("scenarios.saved", { name: scenario.name }));
+    } catch (e) {
+      console.error(e);
+      setFieldErrors(fieldErrorsFrom(e.body));
+      setError(errorMessage(e, t("scenarios.saveFailed")));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleDelete(id) {
+    setError("");
+    setMessage("");
+    try {
+      await api.deleteScenario(userId, id);
+      setScenarios((prev) => prev.filter((s) => s.id !== id));
+      setSelected((prev) => prev.filter((s) => s !== id));
+      setComparison(null);
+    } catch (e) {
+      console.error(e);
+      setError(errorMessage(e, t("scenarios.deleteFailed")));
+    }
+  }
+
+  async function handleCompare() {
+    setError("");
+    setMessage("");
+    try {
+      const data = await api.compareScenarios(userId, selected);
+      setComparison(data.scenarios);
+    } catch (e) {
+      console.error(e);
+      setError(errorMessage(e, t("scenarios.compareFailed")));
+    }
+  }
+
+  const canCompare = selected.length >= 2 && selected.length <= MAX_COMPARED;
+
+  return (
+    <div className="section">
+      <div className="section-title">{t("scenarios.title")}</div>
+      <div className="section-caption">{t("scenarios.caption", { max: MAX_COMPARED })}</div>
+
+      <div className="effective-row scenario-save-row">
+        <label htmlFor="scenario-name">{t("scenarios.name")}</label>
+        <input
+          id="scenario-name"
+          type="text"
+          maxLength="80"
+          placeholder={t("scenarios.namePlaceholder")}
+          value={name}
+          onChange={(e) => {
+            setName(e.target.value);
+            setFieldErrors({});
+          }}
+          className={fieldErrors.name ? "input-invalid" : undefined}
+          aria-invalid={Boolean(fieldErrors.name) || undefined}
+        />
+        <button
+          type="button"
+          className="button-primary"
+          disabled={busy || !name.trim()}
+          onClick={handleSave}
+        >
+          {t("scenarios.save")}
+        </button>
+      </div>
+      {Object.entries(fieldErrors).map(([field, text]) => (
+        <div key={field} className="field-error">
+          {labelledFieldError(field, text)}
+        </div>
+      ))}
+
+      <ul className="history-list">
+        <li className="history-item scenario-item">
+          <label>
+            <input
+              type="checkbox"
+              checked={selected.includes(CURRENT_ID)}
+              onChange={() => toggleSelected(CURRENT_ID)}
+            />{" "}
+            {tRich("scenarios.current")}
+          </label>
+        </li>
+        {scenarios.map((scenario) => (
+          <li key={scenario.id} className="history-item scenario-item">
+            <label>
+              <input
+                type="checkbox"
+                checked={selected.includes(scenario.id)}
+                onChange={() => toggleSelected(scenario.id)}
+              />{" "}
+              {tRich("scenarios.item", {
+                name: scenario.name,
+                election: formatElection(scenario.inputs),
+                salary: money(scenario.inputs.salary),
+                balance: money(scenario.outcome.finalBalance)
+              })}
+            </label>
+            <div className="scenario-actions">
+              <button type="button" className="button-secondary" onClick={() => onLoad(scenario.inputs)}>
+                {t("scenarios.load")}
+              </button>
+              <button
+                type="button"
+                className="button-secondary"
+                onClick={() => handleDelete(scenario.id)}
+              >
+                {t("scenarios.delete")}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <button
+        type="button"
+        className="button-secondary"
+        disabled={!canCompare}
+        onClick={handleCompare}
+      >
+        {t("scenarios.compare")}
+      </button>
+
+      {comparison && (
+        <div className="paycheck-table-wrap">
+          <table className="paycheck-table scenario-table">
+            <thead>
+              <tr>
+                <th />
+                {comparison.map((scenario) => (
+                  <th key={scenario.id}>
+                    {scenario.id === CURRENT_ID ? t("scenarios.currentName") : scenario.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_ROWS.map(([label, show]) => (
+                <tr key={label}>
+                  <td>{t(label)}</td>
+                  {comparison.map((scenario) => (
+                    <td key={scenario.id}>{show(scenario)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div role="status">{message && <div className="message success">{message}</div>}</div>
+      {error && <div className="message error" role="alert">{error}</div>}
+    </div>
+  );
+}
+
+export default Scenarios;
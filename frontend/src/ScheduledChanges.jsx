@@ -0,0 +1,224 @@
+import { useState } from "react";
+import { api, errorMessage, fieldErrorsFrom, labelledFieldError } from "./api.js";
+import { formatDate, formatElection, formatPercent, monthNames } from "./format.js";
+import { t, tRich, useLanguage } from "./i18n.js";
+
+const DEFAULT_RULE = { incrementPercent: 1, capPercent: 15, monthDay: "01-01" };
+
+// Pending (effective-dated) elections plus the auto-escalation opt-in.
+// Changes are saved straight away and handed back to App through the
+// on*Change callbacks so the projection can pick them up. Saving the rule
+// and cancelling a change are checked against `version` like any other
+// update; a conflict goes to `onConflict` with the server's current state,
+// and a successful save calls `onSaved` so the panels that follow reload.
+// `maxPercent` is the plan's maximum election, the highest cap the rule can
+// have.
+function ScheduledChanges({
+  userId,
+  pending,
+  onPendingChange,
+  autoEscalation,
+  onAutoEscalationChange,
+  maxPercent,
+  version,
+  onVersionChange,
+  onConflict,
+  onSaved
+}) {
+  useLanguage();
+  const [rule, setRule] = useState(() => ({ ...DEFAULT_RULE, ...autoEscalation }));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  // Rule fields the server rejected, e.g. { capPercent: "..." }
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  function updateRule(field, value) {
+    setRule({ ...rule, [field]: value });
+    setFieldErrors((prev) => {
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  }
+
+  const invalidProps = (field) =>
+    fieldErrors[field] ? { className: "input-invalid", "aria-invalid": true } : {};
+
+  async function handleCancel(id) {
+    setError("");
+    setMessage("");
+    try {
+      const data = await api.cancelPending(userId, id, { version });
+      onPendingChange(pending.filter((p) => p.id !== id));
+      onVersionChange(data.version);
+      onSaved();
+      setMessage(t("scheduled.cancelled"));
+    } catch (e) {
+      console.error(e);
+      if (e.code === "VERSION_CONFLICT") {
+        onConflict(e.body.current);
+        setError(t("scheduled.conflict"));
+      } else {
+        setError(errorMessage(e, t("scheduled.cancelFailed")));
+      }
+    }
+  }
+
+  async function saveEscalation(enabled) {
+    setError("");
+    setFieldErrors({});
+    setMessage("");
+    setBusy(true);
+    try {
+      const data = await api.saveAutoEscalation(
+        userId,
+        {
+          enabled,
+          incrementPercent: Number(rule.incrementPercent),
+          capPercent: Number(rule.capPercent),
+          monthDay: rule.monthDay
+        },
+        { version }
+      );
+      onAutoEscalationChange(data.autoEscalation);
+      onVersionChange(data.version);
+      onSaved();
+      setMessage(enabled ? t("escalation.saved") : t("escalation.turnedOff"));
+    } catch (e) {
+      console.error(e);
+      if (e.code === "VERSION_CONFLICT") {
+        onConflict(e.body.current);
+        setError(t("escalation.conflict"));
+      } else {
+        setFieldErrors(fieldErrorsFrom(e.body));
+        setError(errorMessage(e, t("escalation.saveFailed")));
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const [month, day] = rule.monthDay.split("-");
+  const enabled = Boolean(autoEscalation?.enabled);
+
+  return (
+    <div className="section">
+      <div className="section-title">{t("scheduled.title")}</div>
+
+      {pending.length === 0 ? (
+        <div className="section-caption">{t("scheduled.none")}</div>
+      ) : (
+        <ul className="history-list">
+          {pending.map((p) => (
+            <li key={p.id} className="history-item pending-item">
+              <div>
+                {tRich("scheduled.item", {
+                  election: formatElection(p),
+                  date: formatDate(p.effectiveDate)
+                })}
+              </div>
+              <button type="button" className="button-secondary" onClick={() => handleCancel(p.id)}>
+                {t("scheduled.cancel")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="escalation-card stat-card">
+        <div className="stat-label">{t("escalation.title")}</div>
+        <div className="escalation-row">
+          {t("escalation.increaseBy")}
+          <input
+            type="number"
+            min="0.5"
+            max="5"
+            step="0.5"
+            value={rule.incrementPercent}
+            aria-label={t("escalation.incrementLabel")}
+            onChange={(e) => updateRule("incrementPercent", e.target.value)}
+            {...invalidProps("incrementPercent")}
+          />
+          {t("escalation.everyYearOn")}
+          <select
+            value={month}
+            aria-label={t("escalation.monthLabel")}
+            onChange={(e) => updateRule("monthDay", `${e.target.value}-${day}`)}
+            {...invalidProps("monthDay")}
+          >
+            {monthNames().map((name, i) => {
+              const value = String(i + 1).padStart(2, "0");
+              return (
+                <option key={value} value={value}>
+                  {name}
+                </option>
+              );
+            })}
+          </select>
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={Number(day)}
+            aria-label={t("escalation.dayLabel")}
+            onChange={(e) =>
+              updateRule("monthDay", `${month}-${String(e.target.value).padStart(2, "0")}`)
+            }
+            {...invalidProps("monthDay")}
+          />
+          {t("escalation.untilReach")}
+          <input
+            type="number"
+            min="1"
+            max={maxPercent}
+            step="1"
+            value={rule.capPercent}
+            aria-label={t("escalation.capLabel")}
+            onChange={(e) => updateRule("capPercent", e.target.value)}
+            {...invalidProps("capPercent")}
+          />
+          {t("escalation.end")}
+        </div>
+        {Object.entries(fieldErrors).map(([field, text]) => (
+          <div key={field} className="field-error">
+            {labelledFieldError(field, text)}
+          </div>
+        ))}
+        <div className="helper-text">
+          {enabled
+            ? t("escalation.on", {
+                increment: formatPercent(autoEscalation.incrementPercent),
+                cap: formatPercent(autoEscalation.capPercent)
+              })
+            : t("escalation.off")}
+        </div>
+        <div className="actions-row">
+          {enabled && (
+            <button
+              type="button"
+              className="button-secondary"
+              disabled={busy}
+              onClick={() => saveEscalation(false)}
+            >
+              {t("escalation.turnOff")}
+            </button>
+          )}
+          <button
+            type="button"
+            className="button-primary"
+            disabled={busy}
+            onClick={() => saveEscalation(true)}
+          >
+            {enabled ? t("escalation.update") : t("escalation.turnOn")}
+          </button>
+        </div>
+      </div>
+
+      <div role="status">{message && <div className="message success">{message}</div>}</div>
+      {error && <div className="message error" role="alert">{error}</div>}
+    </div>
+  );
+}
+
+export default ScheduledChanges;
@@ -0,0 +1,96 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { api, ApiError } from "./api.js";
+import { t } from "./i18n.js";
+import ScheduledChanges from "./ScheduledChanges.jsx";
+import { contribution } from "./test/fixtures.js";
+
+const PENDING = {
+  id: "pending-1",
+  userId: "mock-user-123",
+  effectiveDate: "2026-12-01",
+  contributionType: "percent",
+  contributionValue: 12,
+  sources: { traditional: 12, roth: 0 },
+  status: "pending"
+};
+
+function renderScheduled(props) {
+  return render(
+    <ScheduledChanges
+      userId="mock-user-123"
+      pending={[PENDING]}
+      onPendingChange={() => {}}
+      autoEscalation={null}
+      onAutoEscalationChange={() => {}}
+      maxPercent={50}
+      version={3}
+      onVersionChange={() => {}}
+      onConflict={() => {}}
+      onSaved={() => {}}
+      {...props}
+    />
+  );
+}
+
+const cancelButton = () => screen.getByRole("button", { name: t("scheduled.cancel") });
+
+describe("ScheduledChanges", () => {
+  it("cancels a scheduled change over the loaded version", async () => {
+    const cancelPending = vi
+      .spyOn(api, "cancelPending")
+      .mockResolvedValue({ ok: true, pending: { ...PENDING, status: "cancelled" }, version: 4 });
+    const onPendingChange = vi.fn();
+    const onVersionChange = vi.fn();
+    const onSaved = vi.fn();
+    renderScheduled({ onPendingChange, onVersionChange, onSaved });
+
+    fireEvent.click(cancelButton());
+
+    expect(await screen.findByText(t("scheduled.cancelled"))).toBeTruthy();
+    expect(cancelPending).toHaveBeenCalledWith("mock-user-123", "pending-1", { version: 3 });
+    expect(onPendingChange).toHaveBeenCalledWith([]);
+    expect(onVersionChange).toHaveBeenCalledWith(4);
+    expect(onSaved).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports a saved automatic increase", async () => {
+    const rule = { enabled: true, incrementPercent: 1, capPercent: 15, monthDay: "01-01" };
+    vi.spyOn(api, "saveAutoEscalation").mockResolvedValue({
+      ok: true,
+      autoEscalation: { ...rule, since: "2026-10-19" },
+      version: 4
+    });
+    const onSaved = vi.fn();
+    renderScheduled({ pending: [], onSaved });
+
+    fireEvent.click(screen.getByRole("button", { name: t("escalation.turnOn") }));
+
+    expect(await screen.findByText(t("escalation.saved"))).toBeTruthy();
+    expect(api.saveAutoEscalation).toHaveBeenCalledWith("mock-user-123", rule, { version: 3 });
+    expect(onSaved).toHaveBeenCalledTimes(1);
+  });
+
+  it("hands a version conflict on a cancel to onConflict", async () => {
+    const current = contribution({ version: 4, pending: [PENDING] });
+    vi.spyOn(api, "cancelPending").mockRejectedValue(
+      new ApiError("This contribution was changed elsewhere", {
+        status: 409,
+        code: "VERSION_CONFLICT",
+        body: { error: "This contribution was changed elsewhere", code: "VERSION_CONFLICT", current }
+      })
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const onPendingChange = vi.fn();
+    const onConflict = vi.fn();
+    const onSaved = vi.fn();
+    renderScheduled({ onPendingChange, onConflict, onSaved });
+
+    fireEvent.click(cancelButton());
+
+    expect((await screen.findByRole("alert")).textContent).toBe(t("scheduled.conflict"));
+    expect(onConflict).toHaveBeenCalledWith(current);
+    expect(onPendingChange).not.toHaveBeenCalled();
+    expect(onSaved).not.toHaveBeenCalled();
+  });
+});
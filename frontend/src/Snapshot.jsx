@@ -0,0 +1,97 @@
+import { t, useLanguage } from "./i18n.js";
+
+const FILING_STATUSES = ["single", "married", "headOfHousehold"];
+
+// Money inputs of the snapshot: field, caption id, label key, input step
+const MONEY_FIELDS = [
+  ["salary", "snapshot-salary", "snapshot.salary", "1000"],
+  ["ytdContribution", "snapshot-ytd", "snapshot.ytd", "500"],
+  ["currentBalance", "snapshot-balance", "snapshot.balance", "1000"]
+];
+
+// The participant's numbers (age, salary, year-to-date contributions,
+// balance, filing status). They start from the account (`account`) and can
+// be edited to explore what-ifs, but are never saved back; `onChange`
+// receives { field: value } and `onReset` puts the account's values back.
+function Snapshot({ snapshot, account, onChange, onReset }) {
+  useLanguage();
+
+  // True once any input differs from the account
+  const exploring = ["age", "salary", "ytdContribution", "currentBalance", "filingStatus"].some(
+    (field) => snapshot[field] !== account[field]
+  );
+
+  return (
+    <div className="section">
+      <div className="section-title">{t("snapshot.title")}</div>
+      <div className="section-caption">
+        {t("snapshot.caption")}
+        {exploring && (
+          <>
+            {" "}
+            <button type="button" className="button-secondary" onClick={onReset}>
+              {t("snapshot.reset")}
+            </button>
+          </>
+        )}
+      </div>
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-label" id="snapshot-age">{t("snapshot.age")}</div>
+          <div className="stat-value">
+            <input
+              type="number"
+              min="18"
+              max="70"
+              value={snapshot.age ?? ""}
+              onChange={(e) => onChange({ age: Number(e.target.value) || 0 })}
+              className="stat-input"
+              aria-labelledby="snapshot-age"
+            />
+          </div>
+        </div>
+
+        {MONEY_FIELDS.map(([field, labelId, label, step]) => (
+          <div key={field} className="stat-card">
+            <div className="stat-label" id={labelId}>{t(label)}</div>
+            <div className="stat-value">
+              <div className="stat-input-prefix">$</div>
+              <input
+                type="number"
+                min="0"
+                step={step}
+                value={snapshot[field] ?? ""}
+                onChange={(e) => onChange({ [field]: Number(e.target.value) || 0 })}
+                className="stat-input stat-input-money"
+                aria-labelledby={labelId}
+              />
+            </div>
+          </div>
+        ))}
+
+        {/* Filing status (for the take-home pay estimate) */}
+        <div className="stat-card">
+          <div className="stat-label" id="snapshot-filing-status">
+            {t("snapshot.filingStatus")}
+          </div>
+          <div className="stat-value">
+            <select
+              value={snapshot.filingStatus}
+              onChange={(e) => onChange({ filingStatus: e.target.value })}
+              className="stat-input stat-select"
+              aria-labelledby="snapshot-filing-status"
+            >
+              {FILING_STATUSES.map((value) => (
+                <option key={value} value={value}>
+                  {t(`filingStatus.${value}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Snapshot;
@@ -0,0 +1,66 @@
+import { useState } from "react";
+import { api } from "./api.js";
+import { t, useLanguage } from "./i18n.js";
+
+const FORMATS = [
+  { format: "csv", label: "statement.csv" },
+  { format: "pdf", label: "statement.pdf" }
+];
+
+// "attachment; filename="401k-statement-….pdf"" -> the file name
+function filenameFrom(disposition, fallback) {
+  const match = /filename="([^"]+)"/.exec(disposition ?? "");
+  return match ? match[1] : fallback;
+}
+
+// The statement needs the session cookie, so it is fetched and handed to
+// the browser as a blob instead of linking to the URL directly
+function StatementDownload({ userId }) {
+  useLanguage();
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState("");
+
+  async function handleDownload(format) {
+    setDownloading(format);
+    setError("");
+    try {
+      const { blob, headers } = await api.statement(userId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filenameFrom(headers.get("Content-Disposition"), `401k-statement.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error(e);
+      setError(t("statement.failed"));
+    } finally {
+      setDownloading(null);
+    }
+  }
+
+  return (
+    <div className="section">
+      <div className="section-title">{t("statement.title")}</div>
+      <div className="section-caption">{t("statement.caption")}</div>
+      <div className="statement-actions">
+        {FORMATS.map(({ format, label }) => (
+          <button
+            key={format}
+            type="button"
+            className="button-secondary"
+            disabled={downloading !== null}
+            onClick={() => handleDownload(format)}
+          >
+            {downloading === format ? t("statement.preparing") : t(label)}
+          </button>
+        ))}
+      </div>
+      {error && <div className="message error" role="alert">{error}</div>}
+    </div>
+  );
+}
+
+export default StatementDownload;
@@ -0,0 +1,56 @@
+import { useRef } from "react";
+
+const NEXT_KEYS = ["ArrowRight", "ArrowDown"];
+const PREVIOUS_KEYS = ["ArrowLeft", "ArrowUp"];
+
+// Mutually exclusive options shown as a row of buttons and exposed as a
+// radio group: only the selected option is in the tab order, and the arrow
+// keys (or Home / End) move the selection, as with native radio buttons.
+// `options` is [{ value, label }].
+function ToggleGroup({ label, options, value, onChange }) {
+  const buttons = useRef([]);
+  const selectedIndex = Math.max(
+    0,
+    options.findIndex((option) => option.value === value)
+  );
+
+  function handleKeyDown(e, index) {
+    let next;
+    if (NEXT_KEYS.includes(e.key)) next = (index + 1) % options.length;
+    else if (PREVIOUS_KEYS.includes(e.key)) next = (index - 1 + options.length) % options.length;
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = options.length - 1;
+    else return;
+
+    e.preventDefault();
+    onChange(options[next].value);
+    buttons.current[next]?.focus();
+  }
+
+  return (
+    <div className="toggle-group" role="radiogroup" aria-label={label}>
+      {options.map((option, index) => {
+        const checked = option.value === value;
+        return (
+          <button
+            key={option.value}
+            ref={(el) => {
+              buttons.current[index] = el;
+            }}
+            type="button"
+            role="radio"
+            aria-checked={checked}
+            tabIndex={index === selectedIndex ? 0 : -1}
+            className={`toggle-button ${checked ? "active" : ""}`}
+            onClick={() => onChange(option.value)}
+            onKeyDown={(e) => handleKeyDown(e, index)}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ToggleGroup;
@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import ToggleGroup from "./ToggleGroup.jsx";
+import { axe } from "./test/axe.js";
+
+const OPTIONS = [
+  { value: "nominal", label: "Future dollars" },
+  { value: "real", label: "Today’s dollars" },
+  { value: "both", label: "Both" }
+];
+
+function Toggle({ initial = "nominal" }) {
+  const [value, setValue] = useState(initial);
+  return <ToggleGroup label="Dollar basis" options={OPTIONS} value={value} onChange={setValue} />;
+}
+
+const radio = (name) => screen.getByRole("radio", { name });
+
+// The selected option, checking it is also the only one in the tab order
+function selected() {
+  const radios = screen.getAllByRole("radio");
+  const checked = radios.filter((el) => el.getAttribute("aria-checked") === "true");
+  expect(checked).toHaveLength(1);
+  expect(radios.map((el) => el.tabIndex)).toEqual(
+    radios.map((el) => (el === checked[0] ? 0 : -1))
+  );
+  return checked[0].textContent;
+}
+
+function press(name, key) {
+  fireEvent.keyDown(radio(name), { key });
+}
+
+describe("ToggleGroup", () => {
+  it("has no accessibility violations", async () => {
+    const { container } = render(<Toggle />);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("is a labelled radio group with only the selected option tabbable", () => {
+    render(<Toggle initial="real" />);
+
+    expect(screen.getByRole("radiogroup", { name: "Dollar basis" })).toBeTruthy();
+    expect(selected()).toBe("Today’s dollars");
+  });
+
+  it("moves the selection and focus with the arrow keys, wrapping around", () => {
+    render(<Toggle />);
+
+    press("Future dollars", "ArrowRight");
+    expect(selected()).toBe("Today’s dollars");
+    expect(document.activeElement).toBe(radio("Today’s dollars"));
+
+    press("Today’s dollars", "ArrowDown");
+    press("Both", "ArrowRight");
+    expect(selected()).toBe("Future dollars");
+    expect(document.activeElement).toBe(radio("Future dollars"));
+
+    press("Future dollars", "ArrowLeft");
+    expect(selected()).toBe("Both");
+    press("Both", "ArrowUp");
+    expect(selected()).toBe("Today’s dollars");
+    expect(document.activeElement).toBe(radio("Today’s dollars"));
+  });
+
+  it("jumps to the first and last options with Home and End", () => {
+    render(<Toggle initial="real" />);
+
+    press("Today’s dollars", "End");
+    expect(selected()).toBe("Both");
+    expect(document.activeElement).toBe(radio("Both"));
+
+    press("Both", "Home");
+    expect(selected()).toBe("Future dollars");
+    expect(document.activeElement).toBe(radio("Future dollars"));
+  });
+
+  it("leaves other keys alone", () => {
+    render(<Toggle />);
+
+    press("Future dollars", "a");
+    press("Future dollars", "Tab");
+
+    expect(selected()).toBe("Future dollars");
+  });
+
+  it("selects an option on click", () => {
+    render(<Toggle />);
+
+    fireEvent.click(radio("Both"));
+
+    expect(selected()).toBe("Both");
+  });
+});
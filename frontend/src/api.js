@@ -0,0 +1,274 @@
+import { formatCurrency, formatNumber, formatPercent } from "./format.js";
+import { hasMessage, t } from "./i18n.js";
+
+// Where the backend runs. Set VITE_API_BASE (e.g. in frontend/.env.local)
+// to point the page at another server.
+export const API_BASE = import.meta.env.VITE_API_BASE ?? "http://localhost:4000";
+
+export function contributionUrl(userId) {
+  return `${API_BASE}/api/users/${encodeURIComponent(userId)}/contribution`;
+}
+
+export function paychecksUrl(userId) {
+  return `${API_BASE}/api/users/${encodeURIComponent(userId)}/paychecks`;
+}
+
+export function scenariosUrl(userId) {
+  return `${API_BASE}/api/users/${encodeURIComponent(userId)}/scenarios`;
+}
+
+// ---- Session ----
+//
+// The backend keeps the session in an HttpOnly cookie, so every request has
+// to be sent with credentials. Writes also carry the session's CSRF token,
+// which the page gets when it signs in (or restores the session).
+
+let csrfToken = null;
+let onUnauthorized = () => {};
+
+export function setCsrfToken(token) {
+  csrfToken = token;
+}
+
+// Called whenever the API answers 401 (e.g. the session expired)
+export function setUnauthorizedHandler(handler) {
+  onUnauthorized = handler;
+}
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// fetch() with the session cookie and, for writes, the CSRF header
+export async function apiFetch(url, options = {}) {
+  const method = (options.method ?? "GET").toUpperCase();
+  const headers = { ...options.headers };
+  if (!SAFE_METHODS.includes(method) && csrfToken) {
+    headers["X-CSRF-Token"] = csrfToken;
+  }
+
+  const res = await fetch(url, { ...options, headers, credentials: "include" });
+  if (res.status === 401) {
+    onUnauthorized();
+  }
+  return res;
+}
+
+// ---- Error messages ----
+//
+// The server's messages are in English, so the page words errors itself
+// from their codes (error.<CODE> and fieldError.<code> in the catalogs) and
+// shows the server's text only for codes it has no message for.
+
+// The bound in a field issue's params, in its unit
+function formatLimit({ limit, unit }) {
+  if (unit === "percent") return formatPercent(limit, 0);
+  if (unit === "dollar") return formatCurrency(limit, { noCents: true });
+  return formatNumber(limit);
+}
+
+// Message for one issue of a VALIDATION_FAILED body: the most specific of
+// fieldError.<code>.<unit>, fieldError.<code>.exclusive and fieldError.<code>
+function fieldMessage({ code, message, params }) {
+  const key = [
+    params?.unit && `fieldError.${code}.${params.unit}`,
+    params?.exclusive && `fieldError.${code}.exclusive`,
+    `fieldError.${code}`
+  ].find((candidate) => candidate && hasMessage(candidate));
+  if (!key) return message;
+  if (params?.limit === undefined) {
+    // Bound codes can't be worded without their bound
+    return ["too_small", "too_large", "too_short", "too_long"].includes(code)
+      ? message
+      : t(key);
+  }
+  return t(key, { limit: formatLimit(params) });
+}
+
+// { field: message } from a VALIDATION_FAILED error body, for highlighting
+// the inputs that were rejected
+export function fieldErrorsFrom(body) {
+  if (body?.code !== "VALIDATION_FAILED") return {};
+  return Object.fromEntries(body.fields.map((found) => [found.field, fieldMessage(found)]));
+}
+
+// A field error shown in a list under several inputs, led by the field's
+// name where the catalogs have one (field.<name>)
+export function labelledFieldError(field, message) {
+  if (!hasMessage(`field.${field}`)) return message;
+  return t("fieldError.labelled", { label: t(`field.${field}`), message });
+}
+
+// ---- JSON requests ----
+//
+// apiRequest() resolves with the parsed response body and turns every
+// failure into an ApiError, whether the server answered with an error or
+// couldn't be reached at all. Reads are retried on network errors and
+// 502/503/504 after a short wait; writes never are, since the first attempt
+// may already have gone through.
+
+const RETRY_STATUSES = [502, 503, 504];
+const RETRY_DELAYS_MS = [300, 1000];
+
+export class ApiError extends Error {
+  // `status` is 0 when there was no response. `code` and `body` are the
+  // server's error code and whole error body (fields, current, annualLimit…).
+  constructor(message, { status = 0, code = null, body = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+  }
+}
+
+// Message for a failed call: the catalog's for its code (error.<CODE>, with
+// the error body as params), else the server's own, else `fallback` (network
+// failures, bodies without `error`)
+export function errorMessage(error, fallback) {
+  if (!(error instanceof ApiError)) return fallback;
+  if (error.code && hasMessage(`error.${error.code}`)) {
+    return t(`error.${error.code}`, error.body ?? {});
+  }
+  return error.body?.error ? error.message : fallback;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// `json` is sent as the request body. Aborting (`signal`) rejects with the
+// usual AbortError, not an ApiError. With `responseType: "blob"` a
+// successful response resolves with { blob, headers } instead of its JSON.
+export async function apiRequest(
+  url,
+  { method = "GET", json, headers, signal, responseType = "json" } = {}
+) {
+  const delays = SAFE_METHODS.includes(method.toUpperCase()) ? RETRY_DELAYS_MS : [];
+  const options = {
+    method,
+    headers: json === undefined ? headers : { "Content-Type": "application/json", ...headers },
+    body: json === undefined ? undefined : JSON.stringify(json),
+    signal
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await apiFetch(url, options);
+    } catch (e) {
+      if (e.name === "AbortError") throw e;
+      if (attempt < delays.length) {
+        await wait(delays[attempt]);
+        continue;
+      }
+      throw new ApiError(`Could not reach the server (${e.message})`, { code: "NETWORK_ERROR" });
+    }
+
+    if (RETRY_STATUSES.includes(res.status) && attempt < delays.length) {
+      await wait(delays[attempt]);
+      continue;
+    }
+
+    if (res.ok && responseType === "blob") {
+      return { blob: await res.blob(), headers: res.headers };
+    }
+    const body = await res.json().catch(() => null);
+    if (!res.ok) {
+      throw new ApiError(body?.error ?? `Request failed (${res.status})`, {
+        status: res.status,
+        code: body?.code ?? null,
+        body
+      });
+    }
+    return body;
+  }
+}
+
+// ---- Endpoints ----
+//
+// The calls the page makes. Each resolves with the response body described
+// in the README's API section, or rejects with an ApiError.
+
+export const api = {
+  // { user, preferences, csrfToken }
+  session: () => apiRequest(`${API_BASE}/api/auth/session`),
+
+  // { ok, user, preferences, csrfToken }
+  login: ({ username, password }) =>
+    apiRequest(`${API_BASE}/api/auth/login`, { method: "POST", json: { username, password } }),
+
+  logout: () => apiRequest(`${API_BASE}/api/auth/logout`, { method: "POST" }),
+
+  // { preferences }
+  savePreferences: (preferences) =>
+    apiRequest(`${API_BASE}/api/auth/preferences`, { method: "PUT", json: preferences }),
+
+  // { users: [{ userId, name }] }
+  users: () => apiRequest(`${API_BASE}/api/users`),
+
+  // Plan configuration: assumptions, deferral bounds, match formula, …
+  plan: () => apiRequest(`${API_BASE}/api/plan`),
+
+  // The participant's state: snapshot, election, version, pending, limits, …
+  contribution: (userId) => apiRequest(contributionUrl(userId)),
+
+  // Saves `election` ({ contributionType, sources, effectiveDate? }) over
+  // `version`. A change scheduled for later comes back with its `pending`
+  // entry.
+  saveContribution: (userId, election, { version }) =>
+    apiRequest(contributionUrl(userId), {
+      method: "POST",
+      headers: { "X-Change-Source": "web", "If-Match": `"${version}"` },
+      json: election
+    }),
+
+  // { entries, total, limit, offset }, newest first
+  history: (userId, { limit, offset = 0 }) =>
+    apiRequest(`${contributionUrl(userId)}/history?limit=${limit}&offset=${offset}`),
+
+  // Cancels a scheduled change over `version`: { ok, pending, version }
+  cancelPending: (userId, pendingId, { version }) =>
+    apiRequest(`${contributionUrl(userId)}/pending/${encodeURIComponent(pendingId)}`, {
+      method: "DELETE",
+      headers: { "X-Change-Source": "web", "If-Match": `"${version}"` }
+    }),
+
+  // Saves the auto-escalation `rule` ({ enabled, incrementPercent,
+  // capPercent, monthDay }) over `version`: { ok, autoEscalation, version }
+  saveAutoEscalation: (userId, rule, { version }) =>
+    apiRequest(`${contributionUrl(userId)}/auto-escalation`, {
+      method: "PUT",
+      headers: { "X-Change-Source": "web", "If-Match": `"${version}"` },
+      json: rule
+    }),
+
+  // Contribution that reaches `goal`: { requiredPercent, requiredDollarPerPaycheck, … }
+  goal: (userId, goal, { signal } = {}) =>
+    apiRequest(`${contributionUrl(userId)}/goal`, { method: "POST", json: goal, signal }),
+
+  // The statement file: { blob, headers } (the file name is in Content-Disposition)
+  statement: (userId, format) =>
+    apiRequest(`${contributionUrl(userId)}/export?format=${format}`, { responseType: "blob" }),
+
+  // { planYear, frequency, paychecks, … }; `frequency` overrides the
+  // participant's own pay schedule
+  paychecks: (userId, { frequency } = {}) =>
+    apiRequest(`${paychecksUrl(userId)}${frequency ? `?frequency=${frequency}` : ""}`),
+
+  // { scenarios }
+  scenarios: (userId) => apiRequest(scenariosUrl(userId)),
+
+  // The saved scenario, with its outcome
+  saveScenario: (userId, scenario) =>
+    apiRequest(scenariosUrl(userId), { method: "POST", json: scenario }),
+
+  deleteScenario: (userId, scenarioId) =>
+    apiRequest(`${scenariosUrl(userId)}/${encodeURIComponent(scenarioId)}`, { method: "DELETE" }),
+
+  // { scenarios } in the order of `ids` ("current" is the saved record)
+  compareScenarios: (userId, ids) =>
+    apiRequest(`${scenariosUrl(userId)}/compare?ids=${ids.map(encodeURIComponent).join(",")}`),
+
+  // { inputs, mode, finalBalance, finalBalanceReal, schedule, simulation? }
+  projection: (inputs, { signal } = {}) =>
+    apiRequest(`${API_BASE}/api/projection`, { method: "POST", json: inputs, signal })
+};
@@ -0,0 +1,78 @@
+import { getLocale, t } from "./i18n.js";
+
+// All formatting follows the current language's locale (see i18n.js);
+// amounts are always US dollars
+
+export function formatCurrency(n, { noCents = false } = {}) {
+  if (n == null || Number.isNaN(n)) return "-";
+  return n.toLocaleString(getLocale(), {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: noCents ? 0 : 2
+  });
+}
+
+// Short form for chart axes, e.g. "$1.2M"
+export function formatCompactCurrency(n) {
+  if (n == null || Number.isNaN(n)) return "-";
+  return n.toLocaleString(getLocale(), {
+    style: "currency",
+    currency: "USD",
+    notation: "compact",
+    maximumFractionDigits: 1
+  });
+}
+
+export function formatNumber(n) {
+  if (n == null || Number.isNaN(n)) return "-";
+  return n.toLocaleString(getLocale());
+}
+
+// `p` is already a percentage (10.5 -> "10.5%")
+export function formatPercent(p, digits = 1) {
+  if (p == null || Number.isNaN(p)) return "-";
+  return (p / 100).toLocaleString(getLocale(), {
+    style: "percent",
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+}
+
+export function formatDateTime(iso) {
+  if (!iso) return "-";
+  return new Date(iso).toLocaleString(getLocale(), {
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
+
+// "6% + 4% Roth", "$200", "5% Roth" - a saved or scheduled election
+export function formatElection({ contributionType, sources }) {
+  const format = (v) =>
+    contributionType === "percent" ? formatPercent(v) : formatCurrency(v, { noCents: true });
+  if (!sources.roth) return format(sources.traditional);
+  if (!sources.traditional) return t("election.rothOnly", { roth: format(sources.roth) });
+  return t("election.split", {
+    traditional: format(sources.traditional),
+    roth: format(sources.roth)
+  });
+}
+
+// "YYYY-MM-DD" calendar dates; formatted in UTC so they never shift a day
+export function formatDate(isoDate) {
+  if (!isoDate) return "-";
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(getLocale(), {
+    dateStyle: "medium",
+    timeZone: "UTC"
+  });
+}
+
+// Month names, January first
+export function monthNames() {
+  return Array.from({ length: 12 }, (_, i) =>
+    new Date(Date.UTC(2000, i, 1)).toLocaleDateString(getLocale(), {
+      month: "long",
+      timeZone: "UTC"
+    })
+  );
+}
@@ -0,0 +1,101 @@
+import { createElement, Fragment, useSyncExternalStore } from "react";
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+// ---- Languages ----
+//
+// Every piece of UI text comes from a message catalog in ./locales, and
+// every number and date is formatted for the current language's locale
+// (format.js asks getLocale()). English is the reference catalog: a key
+// missing from another catalog falls back to it, and an unknown key shows
+// as itself so it is easy to spot.
+//
+// Messages can contain
+//   {name}             replaced with params.name
+//   <b>…</b>           bold text; only tRich() renders it
+//   { one, other, … }  plural forms (Intl.PluralRules), picked by params.count
+
+export const LANGUAGES = {
+  en: { label: "English", locale: "en-US", messages: en },
+  es: { label: "Español", locale: "es-US", messages: es }
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+// First of the browser's preferred languages we have a catalog for
+function browserLanguage() {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const codes = preferred.map((tag) => tag?.split("-")[0].toLowerCase());
+  return codes.find((code) => code in LANGUAGES) ?? DEFAULT_LANGUAGE;
+}
+
+let language = browserLanguage();
+document.documentElement.lang = language;
+
+const listeners = new Set();
+
+export function getLanguage() {
+  return language;
+}
+
+export function getLocale() {
+  return LANGUAGES[language].locale;
+}
+
+// Switches the whole page; unknown codes (or null, "no preference") fall
+// back to the browser's language
+export function setLanguage(code) {
+  const next = code in LANGUAGES ? code : browserLanguage();
+  if (next === language) return;
+  language = next;
+  document.documentElement.lang = next;
+  for (const listener of listeners) listener();
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function lookup(key, params) {
+  const message = LANGUAGES[language].messages[key] ?? LANGUAGES.en.messages[key] ?? key;
+  if (typeof message === "string") return message;
+  const form = new Intl.PluralRules(getLocale()).select(params.count ?? 0);
+  return message[form] ?? message.other;
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+// Whether the reference catalog has `key`, for text that may or may not
+// have a translation (server error codes)
+export function hasMessage(key) {
+  return key in LANGUAGES.en.messages;
+}
+
+// Message text for `key`
+export function t(key, params = {}) {
+  return interpolate(lookup(key, params), params);
+}
+
+// Message for `key` as React nodes, with <b>…</b> rendered as <strong>.
+// The markup is split out before params are filled in, so values typed by
+// the user (a scenario name) can never add markup.
+export function tRich(key, params = {}) {
+  const parts = lookup(key, params)
+    .split(/<b>(.*?)<\/b>/)
+    .map((text, i) =>
+      i % 2 === 1 ? createElement("strong", null, interpolate(text, params)) : interpolate(text, params)
+    );
+  return createElement(Fragment, null, ...parts);
+}
+
+// The current language code. Every component that shows text calls it, so
+// switching languages re-renders the page; t() and tRich() themselves are
+// plain functions and are just as usable in effects and event handlers.
+export function useLanguage() {
+  return useSyncExternalStore(subscribe, getLanguage);
+}
@@ -0,0 +1,324 @@
+// English, the reference catalog: every key the UI uses is defined here.
+// See i18n.js for placeholders, <b> markup and plural forms.
+export default {
+  "language.label": "Language",
+
+  "election.rothOnly": "{roth} Roth",
+  "election.split": "{traditional} + {roth} Roth",
+
+  "basis.inToday": "in today’s dollars",
+  "basis.inFuture": "in future dollars",
+
+  // ---- Sign-in ----
+  "login.subtitle": "Sign in to view and change your contribution.",
+  "login.username": "Username",
+  "login.password": "Password",
+  "login.signIn": "Sign in",
+  "login.signingIn": "Signing in…",
+  "login.failed": "Sign-in failed.",
+
+  // ---- Page ----
+  "app.title": "401(k) Contribution",
+  "app.subtitle": "Choose how much you’d like to contribute from each paycheck toward your retirement.",
+  "app.loading": "Loading…",
+  "app.participant": "Participant",
+  "app.signedInAs": "Signed in as {username}",
+  "app.signOut": "Sign out",
+  "app.loadParticipantsFailed": "Failed to load participants.",
+  "app.loadPlanFailed": "Failed to load the plan settings.",
+  "app.loadContributionFailed": "Failed to load contribution data.",
+
+  // ---- Snapshot ----
+  "snapshot.title": "Your snapshot",
+  "snapshot.caption":
+    "These numbers start from your account. Change them to explore what-if scenarios; they are never saved to your account, but you can save them as a scenario below.",
+  "snapshot.reset": "Reset to my account",
+  "snapshot.age": "Age",
+  "snapshot.salary": "Annual salary",
+  "snapshot.ytd": "YTD contributions",
+  "snapshot.balance": "Current 401(k) balance",
+  "snapshot.filingStatus": "Tax filing status",
+
+  "filingStatus.single": "Single",
+  "filingStatus.married": "Married filing jointly",
+  "filingStatus.headOfHousehold": "Head of household",
+
+  // ---- Contribution ----
+  "contribution.title": "Contribution per paycheck",
+  "contribution.savingBefore": "You’re currently saving",
+  "contribution.savingAfter": "% of your salary in your 401(k).",
+  "contribution.savedPercentLabel": "Your current contribution, % of salary",
+  "contribution.type": "Contribution type",
+  "contributionType.percent": "Percentage of paycheck",
+  "contributionType.dollar": "Fixed dollar amount",
+  "source.traditional": "Traditional (pre-tax)",
+  "source.roth": "Roth (after-tax)",
+  "slider.dollarUnit": "dollars per paycheck",
+  "slider.percentUnit": "percent of salary",
+  "slider.valuePercent": "{percent} — {amount} per paycheck",
+  "slider.valueDollar": "{amount} per paycheck — {percent} of your salary",
+  "contribution.combined": "Combined: <b>{total}</b> ({traditional} traditional + {roth} Roth)",
+  "contribution.summary":
+    "This selection is approximately <b>{perPaycheck}</b> per paycheck, or <b>{perYear}</b> per year (<b>{percent}</b> of your salary).",
+  "contribution.match":
+    "Your employer adds about <b>{perPaycheck}</b> per paycheck (<b>{perYear}</b> per year) in matching contributions.",
+  "contribution.takeHome":
+    "After estimated federal taxes and FICA, you’d take home about <b>{amount}</b> per paycheck.",
+  "contribution.takeHomeChange":
+    "After estimated federal taxes and FICA, you’d take home about <b>{amount}</b> per paycheck (<b>{change}</b> vs. today).",
+  "contribution.taxSavings":
+    "Your pre-tax contributions lower your federal income tax by about <b>{amount}</b> per paycheck; Roth contributions don’t.",
+  "contribution.limitReached": "You’ve already reached the <b>{limit}</b> annual limit for {year}.",
+  "contribution.limitAhead":
+    "At this rate you’ll hit the <b>{limit}</b> annual limit on paycheck <b>{paycheck}</b> of your {count} remaining this year.",
+  "contribution.missedMatch":
+    "You’re leaving about {amount} a year of employer match on the table. Contribute at least {percent} to get the full match.",
+  "contribution.highSavings":
+    "This is a relatively high savings rate. Make sure it fits your day-to-day budget.",
+  "contribution.lowSavings":
+    "Even small increases can make a big difference over time. Try sliding up 1–2% to see the impact.",
+  "contribution.takesEffect": "Takes effect",
+  "contribution.now": "With the next paycheck",
+  "contribution.later": "On a later date…",
+  "contribution.effectiveDate": "Effective date",
+  "contribution.resetRecommended": "Reset to {percent} (recommended)",
+  "contribution.save": "Save contribution rate",
+  "contribution.saving": "Saving…",
+  "contribution.noChanges": "No changes to save.",
+  "contribution.saved": "Your contribution rate has been saved.",
+  "contribution.scheduled": "Your new contribution rate will take effect on {date}.",
+  "contribution.fixFields": "Please fix the highlighted fields.",
+  "contribution.saveFailed": "Failed to save.",
+  "contribution.refreshFailed": "Saved, but failed to refresh data.",
+  "contribution.conflict":
+    "This contribution was changed elsewhere (in another tab, by an administrator or by a scheduled change) and is now <b>{election}</b>. Review your choice and save again to replace it, or",
+  "contribution.useLatest": "Use the latest",
+  "contribution.useMaximum": "Use the maximum allowed ({amount})",
+
+  // ---- Projection ----
+  "projection.title": "How this impacts your retirement",
+  "projection.assumptions":
+    "Projections assume {raises} annual raises, {annualReturn} annual return, and contributions until age {retirementAge}.",
+  "projection.assumptionsWithMatch":
+    "Projections assume {raises} annual raises, {annualReturn} annual return, and contributions until age {retirementAge}, and include your employer match.",
+  "projection.basisReal": "Amounts are in today’s dollars, assuming {inflation} inflation.",
+  "projection.basisNominal": "Amounts are in future (nominal) dollars.",
+  "projection.simulation": {
+    one: "The range of outcomes simulates {trials} market scenario averaging {meanReturn} a year with {volatility} volatility; 8 in 10 end up between the pessimistic and optimistic values.",
+    other:
+      "The range of outcomes simulates {trials} market scenarios averaging {meanReturn} a year with {volatility} volatility; 8 in 10 end up between the pessimistic and optimistic values."
+  },
+  "projection.mode": "Projection",
+  "projection.expected": "Expected",
+  "projection.range": "Range of outcomes",
+  "projection.basis": "Dollar basis",
+  "projection.nominal": "Future dollars",
+  "projection.real": "Today’s dollars",
+  "projection.median": "Median balance at retirement",
+  "projection.pessimistic": "Pessimistic (10th percentile)",
+  "projection.optimistic": "Optimistic (90th percentile)",
+  "projection.projected": "Projected balance at retirement",
+  "projection.plusOne": "If you increased your contribution by +1%",
+  "projection.plusOneGain": "Extra savings from +1%",
+  "projection.compareTitle": "Today vs new choice",
+  "projection.compareSaved": "You’re currently saving <b>{percent}</b> of your salary.",
+  "projection.compareLive": "With this new selection, you’d save <b>{percent}</b>.",
+  "projection.tip":
+    "Try dragging the slider slowly to see how small changes ripple out to retirement. The numbers update instantly as you adjust.",
+  "projection.announceRange":
+    "Median balance at retirement {median} {basis}, likely between {low} and {high}.",
+  "projection.announceExpected":
+    "Saving {percent} of your salary, your projected balance at retirement is {balance} {basis}.",
+
+  "chart.band": "Middle 80% of outcomes",
+  "chart.median": "Median at {percent}",
+  "chart.live": "New choice ({percent})",
+  "chart.saved": "Current rate ({percent})",
+  "chart.age": "Age {age}",
+  "chart.tooltipMedian": "Median: <b>{amount}</b>",
+  "chart.tooltipRange": "{low} (10th) – {high} (90th)",
+  "chart.tooltipLive": "New choice: <b>{amount}</b>",
+  "chart.tooltipSaved": "Current rate: <b>{amount}</b>",
+  "chart.breakdown": "{contributions} contributions · {growth} growth",
+  "chart.summary":
+    "Projected balance from age {from} to {to}: {live} with the new choice ({livePercent}), {saved} at the current rate ({savedPercent}).",
+  "chart.summaryBand":
+    "Range of outcomes from age {from} to {to}: a median of {median} at retirement, between {low} (10th percentile) and {high} (90th percentile).",
+
+  // ---- Retirement goal ----
+  "goal.title": "Retirement goal",
+  "goal.type": "Goal type",
+  "goal.typeIncome": "Monthly income in retirement",
+  "goal.typeBalance": "Balance at retirement",
+  "goal.monthlyIncome": "Monthly income",
+  "goal.aMonthDrawing": "a month, drawing",
+  "goal.withdrawalRate": "Withdrawal rate",
+  "goal.percentAYear": "% a year",
+  "goal.targetBalance": "Target balance",
+  "goal.failed": "Failed to work out your goal.",
+  "goal.takes": "That takes about <b>{amount}</b> at retirement.",
+  "goal.alreadyThere": "Your current balance gets you there even without new contributions.",
+  "goal.required":
+    "You’d need to contribute at least <b>{percent}</b> of your salary (about <b>{perPaycheck}</b> per paycheck).",
+  "goal.overLimit": "That is more than this year’s annual contribution limit allows.",
+  "goal.outOfReach":
+    "Even the maximum of {percent} would only reach about <b>{amount}</b>, so this goal is out of reach with these assumptions.",
+  "goal.readiness": "Readiness with this selection",
+  "goal.readinessLabel": "Retirement readiness",
+  "goal.apply": "Set to this rate ({value})",
+
+  // ---- Scheduled changes ----
+  "scheduled.title": "Scheduled changes",
+  "scheduled.none": "No changes are waiting to take effect.",
+  "scheduled.item": "<b>{election}</b> starting <b>{date}</b>",
+  "scheduled.cancel": "Cancel",
+  "scheduled.cancelled": "Scheduled change cancelled.",
+  "scheduled.cancelFailed": "Failed to cancel the scheduled change.",
+  "scheduled.conflict":
+    "Your contribution was changed elsewhere. Check the scheduled changes and try again.",
+  "escalation.title": "Automatic annual increase",
+  "escalation.increaseBy": "Increase my contribution by",
+  "escalation.everyYearOn": "% every year on",
+  "escalation.untilReach": "until I reach",
+  "escalation.end": "%.",
+  "escalation.incrementLabel": "Yearly increase, in percent",
+  "escalation.monthLabel": "Month of the increase",
+  "escalation.dayLabel": "Day of the increase",
+  "escalation.capLabel": "Contribution to stop at, in percent",
+  "escalation.on":
+    "On: +{increment} each year up to {cap}. Only applies to percentage contributions.",
+  "escalation.off":
+    "Off. Small automatic increases are an easy way to keep saving more as your pay grows.",
+  "escalation.turnOff": "Turn off",
+  "escalation.turnOn": "Turn on automatic increases",
+  "escalation.update": "Update automatic increases",
+  "escalation.saved": "Automatic increases saved.",
+  "escalation.turnedOff": "Automatic increases turned off.",
+  "escalation.saveFailed": "Failed to save automatic increases.",
+  "escalation.conflict": "Your contribution was changed elsewhere. Check the rule and save again.",
+
+  // ---- Scenarios ----
+  "scenarios.title": "What-if scenarios",
+  "scenarios.caption":
+    "Save the values on this page as a named scenario, then compare up to {max} side by side. Scenarios are kept separately and never change your actual contribution or account details.",
+  "scenarios.name": "Scenario name",
+  "scenarios.namePlaceholder": "e.g. Max out Roth",
+  "scenarios.save": "Save as scenario",
+  "scenarios.saved": "Saved “{name}”. Your account was not changed.",
+  "scenarios.currentName": "Current election",
+  "scenarios.current": "<b>Current election</b> (what’s saved on your account)",
+  "scenarios.item": "<b>{name}</b>: {election} on {salary} a year, about {balance} at retirement",
+  "scenarios.load": "Load",
+  "scenarios.delete": "Delete",
+  "scenarios.compare": "Compare selected",
+  "scenarios.loadFailed": "Failed to load saved scenarios.",
+  "scenarios.saveFailed": "Failed to save the scenario.",
+  "scenarios.deleteFailed": "Failed to delete the scenario.",
+  "scenarios.compareFailed": "Failed to compare scenarios.",
+  "scenarios.row.contribution": "Contribution",
+  "scenarios.row.percent": "% of salary",
+  "scenarios.row.salary": "Salary",
+  "scenarios.row.perPaycheck": "Per paycheck",
+  "scenarios.row.match": "Employer match per year",
+  "scenarios.row.takeHome": "Take-home per paycheck",
+  "scenarios.row.annualLimit": "Annual limit",
+  "scenarios.row.balance": "Balance at retirement",
+  "scenarios.row.real": "In today’s dollars",
+  "scenarios.limitReachedOn": "Reached on paycheck {paycheck}",
+  "scenarios.limitNotReached": "Not reached",
+
+  // ---- Paychecks ----
+  "paychecks.title": "Paychecks for the rest of {year}",
+  "paychecks.theYear": "the year",
+  "paychecks.schedule": "Pay schedule",
+  "paychecks.yourSchedule": "Your schedule",
+  "paychecks.loadFailed": "Failed to load the paycheck schedule.",
+  "paychecks.limitOn":
+    "You’d reach the {limit} limit on <b>{date}</b>; contributions stop after that and resume in January.",
+  "paychecks.underLimit":
+    "You’d finish the year with <b>{amount}</b> contributed, under the {limit} limit.",
+  "paychecks.none": "No paychecks left this plan year.",
+  "paychecks.number": "#",
+  "paychecks.payDate": "Pay date",
+  "paychecks.grossPay": "Gross pay",
+  "paychecks.election": "Election",
+  "paychecks.contribution": "Contribution",
+  "paychecks.ytd": "Year to date",
+  "paychecks.limited": "(limit; elected {amount})",
+  "frequency.weekly": "Weekly",
+  "frequency.biweekly": "Every two weeks",
+  "frequency.semi-monthly": "Twice a month",
+  "frequency.monthly": "Monthly",
+
+  // ---- Statement ----
+  "statement.title": "Statement",
+  "statement.caption":
+    "Your saved election, per-paycheck and annual amounts, the assumptions used and the year-by-year projection, for your records. Unsaved changes on this page are not included.",
+  "statement.csv": "Download CSV",
+  "statement.pdf": "Download PDF",
+  "statement.preparing": "Preparing…",
+  "statement.failed": "Failed to download statement.",
+
+  // ---- Recent changes ----
+  "recent.title": "Recent changes",
+  "recent.none": "No changes have been saved yet.",
+  "recent.electionChanged": "Contribution changed from <b>{from}</b> to <b>{to}</b>",
+  "recent.electionScheduled": "Contribution change from <b>{from}</b> to <b>{to}</b> scheduled for {date}",
+  "recent.scheduleCancelled": "Scheduled change to <b>{election}</b> on {date} cancelled",
+  "recent.escalationOn": "Automatic increases turned on: +{increment} a year, up to {cap}",
+  "recent.escalationOff": "Automatic increases turned off",
+  "recent.snapshotUpdated": "Snapshot updated ({fields})",
+  "recent.by": "by {who} via {source}",
+  "recent.showMore": "Show older changes",
+  "recent.loadFailed": "Failed to load recent changes.",
+  "recent.loadMoreFailed": "Failed to load more changes.",
+
+  // ---- Errors (worded from the server's codes, see api.js) ----
+  "error.INVALID_CREDENTIALS": "Incorrect username or password.",
+  "error.UNAUTHENTICATED": "Your session has ended. Please sign in again.",
+  "error.CSRF_TOKEN_INVALID": "Your session could not be verified. Please sign in again.",
+  "error.FORBIDDEN": "You don't have access to this.",
+  "error.NOT_FOUND": "That item no longer exists. Reload the page to see the latest.",
+  "error.USER_EXISTS": "That user already exists.",
+  "error.INVALID_JSON": "The request could not be read. Please try again.",
+  "error.PRECONDITION_REQUIRED": "Please reload the page and try again.",
+  "error.VERSION_CONFLICT": "This contribution was changed elsewhere. Review the latest and try again.",
+  "error.ANNUAL_LIMIT_EXCEEDED": "This contribution would go over the annual deferral limit.",
+  "error.SCENARIO_LIMIT_REACHED": "You can save up to {max} scenarios. Delete one to save another.",
+  "error.VALIDATION_FAILED": "Please fix the highlighted fields.",
+  "fieldError.labelled": "{label}: {message}",
+  "fieldError.required": "Required.",
+  "fieldError.invalid_type": "Enter a valid value.",
+  "fieldError.invalid_format": "Check the format of this value.",
+  "fieldError.invalid_option": "Choose one of the options.",
+  "fieldError.invalid_order": "These values are out of order.",
+  "fieldError.invalid_length": "Wrong number of items.",
+  "fieldError.invalid_json": "The request could not be read.",
+  "fieldError.too_small": "Must be at least {limit}.",
+  "fieldError.too_small.exclusive": "Must be more than {limit}.",
+  "fieldError.too_small.percent": "Contributions must be at least {limit} of salary.",
+  "fieldError.too_small.dollar": "Contributions must be at least {limit} per paycheck.",
+  "fieldError.too_large": "Must be at most {limit}.",
+  "fieldError.too_large.exclusive": "Must be less than {limit}.",
+  "fieldError.too_large.percent": "Contributions can be at most {limit} of salary.",
+  "fieldError.too_large.dollar": "Contributions can be at most {limit} per paycheck.",
+  "fieldError.too_short": "Too short (at least {limit}).",
+  "fieldError.too_long": "Too long (at most {limit}).",
+  "field.name": "Name",
+  "field.age": "Age",
+  "field.salary": "Salary",
+  "field.payPeriodsPerYear": "Pay periods",
+  "field.ytdContribution": "Contributed this year",
+  "field.currentBalance": "Balance",
+  "field.filingStatus": "Filing status",
+  "field.sources": "Contribution",
+  "field.sources.traditional": "Traditional",
+  "field.sources.roth": "Roth",
+  "field.contributionValue": "Contribution",
+  "field.incrementPercent": "Yearly increase",
+  "field.capPercent": "Cap",
+  "field.monthDay": "Date",
+  "field.targetBalance": "Target balance",
+  "field.monthlyIncome": "Monthly income",
+  "field.withdrawalRatePercent": "Withdrawal rate"
+};
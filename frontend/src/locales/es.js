@@ -0,0 +1,328 @@
+// Spanish (US). Keys mirror en.js; any key missing here shows in English.
+export default {
+  "language.label": "Idioma",
+
+  "election.rothOnly": "{roth} Roth",
+  "election.split": "{traditional} + {roth} Roth",
+
+  "basis.inToday": "en dólares de hoy",
+  "basis.inFuture": "en dólares futuros",
+
+  // ---- Sign-in ----
+  "login.subtitle": "Inicia sesión para ver y cambiar tu aportación.",
+  "login.username": "Usuario",
+  "login.password": "Contraseña",
+  "login.signIn": "Iniciar sesión",
+  "login.signingIn": "Iniciando sesión…",
+  "login.failed": "No se pudo iniciar sesión.",
+
+  // ---- Page ----
+  "app.title": "Aportación al 401(k)",
+  "app.subtitle": "Elige cuánto quieres aportar de cada cheque de pago para tu jubilación.",
+  "app.loading": "Cargando…",
+  "app.participant": "Participante",
+  "app.signedInAs": "Sesión iniciada como {username}",
+  "app.signOut": "Cerrar sesión",
+  "app.loadParticipantsFailed": "No se pudieron cargar los participantes.",
+  "app.loadPlanFailed": "No se pudo cargar la configuración del plan.",
+  "app.loadContributionFailed": "No se pudieron cargar los datos de la aportación.",
+
+  // ---- Snapshot ----
+  "snapshot.title": "Tu situación",
+  "snapshot.caption":
+    "Estos números parten de tu cuenta. Cámbialos para explorar escenarios hipotéticos; nunca se guardan en tu cuenta, pero puedes guardarlos como escenario más abajo.",
+  "snapshot.reset": "Volver a los datos de mi cuenta",
+  "snapshot.age": "Edad",
+  "snapshot.salary": "Salario anual",
+  "snapshot.ytd": "Aportado en el año",
+  "snapshot.balance": "Saldo actual del 401(k)",
+  "snapshot.filingStatus": "Estado civil para impuestos",
+
+  "filingStatus.single": "Soltero/a",
+  "filingStatus.married": "Casado/a, declaración conjunta",
+  "filingStatus.headOfHousehold": "Cabeza de familia",
+
+  // ---- Contribution ----
+  "contribution.title": "Aportación por cheque de pago",
+  "contribution.savingBefore": "Actualmente ahorras el",
+  "contribution.savingAfter": "% de tu salario en tu 401(k).",
+  "contribution.savedPercentLabel": "Tu aportación actual, % del salario",
+  "contribution.type": "Tipo de aportación",
+  "contributionType.percent": "Porcentaje del pago",
+  "contributionType.dollar": "Cantidad fija en dólares",
+  "source.traditional": "Tradicional (antes de impuestos)",
+  "source.roth": "Roth (después de impuestos)",
+  "slider.dollarUnit": "dólares por cheque de pago",
+  "slider.percentUnit": "por ciento del salario",
+  "slider.valuePercent": "{percent} — {amount} por cheque de pago",
+  "slider.valueDollar": "{amount} por cheque de pago — {percent} de tu salario",
+  "contribution.combined": "Total: <b>{total}</b> ({traditional} tradicional + {roth} Roth)",
+  "contribution.summary":
+    "Esta selección equivale aproximadamente a <b>{perPaycheck}</b> por cheque de pago, o <b>{perYear}</b> al año (<b>{percent}</b> de tu salario).",
+  "contribution.match":
+    "Tu empleador añade unos <b>{perPaycheck}</b> por cheque de pago (<b>{perYear}</b> al año) en aportaciones equivalentes.",
+  "contribution.takeHome":
+    "Después de los impuestos federales y FICA estimados, recibirías unos <b>{amount}</b> por cheque de pago.",
+  "contribution.takeHomeChange":
+    "Después de los impuestos federales y FICA estimados, recibirías unos <b>{amount}</b> por cheque de pago (<b>{change}</b> respecto a hoy).",
+  "contribution.taxSavings":
+    "Tus aportaciones antes de impuestos reducen tu impuesto federal sobre la renta en unos <b>{amount}</b> por cheque de pago; las aportaciones Roth no.",
+  "contribution.limitReached": "Ya alcanzaste el límite anual de <b>{limit}</b> para {year}.",
+  "contribution.limitAhead": {
+    one: "A este ritmo llegarás al límite anual de <b>{limit}</b> en el cheque de pago <b>{paycheck}</b> del único que te queda este año.",
+    other:
+      "A este ritmo llegarás al límite anual de <b>{limit}</b> en el cheque de pago <b>{paycheck}</b> de los {count} que te quedan este año."
+  },
+  "contribution.missedMatch":
+    "Estás dejando sin aprovechar unos {amount} al año de aportación equivalente del empleador. Aporta al menos el {percent} para recibirla completa.",
+  "contribution.highSavings":
+    "Es una tasa de ahorro relativamente alta. Asegúrate de que encaja en tu presupuesto diario.",
+  "contribution.lowSavings":
+    "Incluso los pequeños aumentos marcan una gran diferencia con el tiempo. Prueba a subir un 1–2% para ver el efecto.",
+  "contribution.takesEffect": "Entra en vigor",
+  "contribution.now": "Con el próximo cheque de pago",
+  "contribution.later": "En una fecha posterior…",
+  "contribution.effectiveDate": "Fecha de entrada en vigor",
+  "contribution.resetRecommended": "Volver al {percent} (recomendado)",
+  "contribution.save": "Guardar tasa de aportación",
+  "contribution.saving": "Guardando…",
+  "contribution.noChanges": "No hay cambios que guardar.",
+  "contribution.saved": "Se guardó tu tasa de aportación.",
+  "contribution.scheduled": "Tu nueva tasa de aportación entrará en vigor el {date}.",
+  "contribution.fixFields": "Corrige los campos marcados.",
+  "contribution.saveFailed": "No se pudo guardar.",
+  "contribution.refreshFailed": "Se guardó, pero no se pudieron actualizar los datos.",
+  "contribution.conflict":
+    "Esta aportación se cambió en otro lugar (en otra pestaña, por un administrador o por un cambio programado) y ahora es <b>{election}</b>. Revisa tu elección y vuelve a guardar para reemplazarla, o",
+  "contribution.useLatest": "Usar la más reciente",
+  "contribution.useMaximum": "Usar el máximo permitido ({amount})",
+
+  // ---- Projection ----
+  "projection.title": "Cómo afecta a tu jubilación",
+  "projection.assumptions":
+    "Las proyecciones suponen aumentos anuales del {raises}, un rendimiento anual del {annualReturn} y aportaciones hasta los {retirementAge} años.",
+  "projection.assumptionsWithMatch":
+    "Las proyecciones suponen aumentos anuales del {raises}, un rendimiento anual del {annualReturn} y aportaciones hasta los {retirementAge} años, e incluyen la aportación equivalente de tu empleador.",
+  "projection.basisReal": "Las cantidades están en dólares de hoy, con una inflación del {inflation}.",
+  "projection.basisNominal": "Las cantidades están en dólares futuros (nominales).",
+  "projection.simulation": {
+    one: "El rango de resultados simula {trials} escenario de mercado con un promedio del {meanReturn} anual y una volatilidad del {volatility}; 8 de cada 10 terminan entre los valores pesimista y optimista.",
+    other:
+      "El rango de resultados simula {trials} escenarios de mercado con un promedio del {meanReturn} anual y una volatilidad del {volatility}; 8 de cada 10 terminan entre los valores pesimista y optimista."
+  },
+  "projection.mode": "Proyección",
+  "projection.expected": "Esperada",
+  "projection.range": "Rango de resultados",
+  "projection.basis": "Tipo de dólares",
+  "projection.nominal": "Dólares futuros",
+  "projection.real": "Dólares de hoy",
+  "projection.median": "Saldo mediano al jubilarte",
+  "projection.pessimistic": "Pesimista (percentil 10)",
+  "projection.optimistic": "Optimista (percentil 90)",
+  "projection.projected": "Saldo proyectado al jubilarte",
+  "projection.plusOne": "Si aumentaras tu aportación un +1%",
+  "projection.plusOneGain": "Ahorro adicional con +1%",
+  "projection.compareTitle": "Hoy frente a la nueva elección",
+  "projection.compareSaved": "Actualmente ahorras el <b>{percent}</b> de tu salario.",
+  "projection.compareLive": "Con esta nueva selección, ahorrarías el <b>{percent}</b>.",
+  "projection.tip":
+    "Mueve el control deslizante despacio para ver cómo los pequeños cambios repercuten en tu jubilación. Los números se actualizan al instante.",
+  "projection.announceRange":
+    "Saldo mediano al jubilarte de {median} {basis}, probablemente entre {low} y {high}.",
+  "projection.announceExpected":
+    "Ahorrando el {percent} de tu salario, tu saldo proyectado al jubilarte es de {balance} {basis}.",
+
+  "chart.band": "80% central de los resultados",
+  "chart.median": "Mediana con {percent}",
+  "chart.live": "Nueva elección ({percent})",
+  "chart.saved": "Tasa actual ({percent})",
+  "chart.age": "Edad {age}",
+  "chart.tooltipMedian": "Mediana: <b>{amount}</b>",
+  "chart.tooltipRange": "{low} (p10) – {high} (p90)",
+  "chart.tooltipLive": "Nueva elección: <b>{amount}</b>",
+  "chart.tooltipSaved": "Tasa actual: <b>{amount}</b>",
+  "chart.breakdown": "{contributions} en aportaciones · {growth} de crecimiento",
+  "chart.summary":
+    "Saldo proyectado de los {from} a los {to} años: {live} con la nueva elección ({livePercent}), {saved} con la tasa actual ({savedPercent}).",
+  "chart.summaryBand":
+    "Rango de resultados de los {from} a los {to} años: una mediana de {median} al jubilarse, entre {low} (percentil 10) y {high} (percentil 90).",
+
+  // ---- Retirement goal ----
+  "goal.title": "Meta de jubilación",
+  "goal.type": "Tipo de meta",
+  "goal.typeIncome": "Ingreso mensual en la jubilación",
+  "goal.typeBalance": "Saldo al jubilarte",
+  "goal.monthlyIncome": "Ingreso mensual",
+  "goal.aMonthDrawing": "al mes, retirando",
+  "goal.withdrawalRate": "Tasa de retiro",
+  "goal.percentAYear": "% al año",
+  "goal.targetBalance": "Saldo objetivo",
+  "goal.failed": "No se pudo calcular tu meta.",
+  "goal.takes": "Eso requiere unos <b>{amount}</b> al jubilarte.",
+  "goal.alreadyThere": "Tu saldo actual te lleva a la meta incluso sin nuevas aportaciones.",
+  "goal.required":
+    "Necesitarías aportar al menos el <b>{percent}</b> de tu salario (unos <b>{perPaycheck}</b> por cheque de pago).",
+  "goal.overLimit": "Eso supera lo que permite el límite anual de aportación de este año.",
+  "goal.outOfReach":
+    "Incluso con el máximo del {percent} solo llegarías a unos <b>{amount}</b>, así que esta meta no es alcanzable con estos supuestos.",
+  "goal.readiness": "Preparación con esta selección",
+  "goal.readinessLabel": "Preparación para la jubilación",
+  "goal.apply": "Usar esta tasa ({value})",
+
+  // ---- Scheduled changes ----
+  "scheduled.title": "Cambios programados",
+  "scheduled.none": "No hay cambios pendientes de entrar en vigor.",
+  "scheduled.item": "<b>{election}</b> a partir del <b>{date}</b>",
+  "scheduled.cancel": "Cancelar",
+  "scheduled.cancelled": "Se canceló el cambio programado.",
+  "scheduled.cancelFailed": "No se pudo cancelar el cambio programado.",
+  "scheduled.conflict":
+    "Tu aportación se cambió en otro lugar. Revisa los cambios programados y vuelve a intentarlo.",
+  "escalation.title": "Aumento anual automático",
+  "escalation.increaseBy": "Aumentar mi aportación un",
+  "escalation.everyYearOn": "% cada año el",
+  "escalation.untilReach": "hasta llegar al",
+  "escalation.end": "%.",
+  "escalation.incrementLabel": "Aumento anual, en porcentaje",
+  "escalation.monthLabel": "Mes del aumento",
+  "escalation.dayLabel": "Día del aumento",
+  "escalation.capLabel": "Aportación en la que detenerse, en porcentaje",
+  "escalation.on":
+    "Activado: +{increment} cada año hasta el {cap}. Solo se aplica a aportaciones en porcentaje.",
+  "escalation.off":
+    "Desactivado. Los pequeños aumentos automáticos son una forma sencilla de ahorrar más a medida que crece tu sueldo.",
+  "escalation.turnOff": "Desactivar",
+  "escalation.turnOn": "Activar aumentos automáticos",
+  "escalation.update": "Actualizar aumentos automáticos",
+  "escalation.saved": "Se guardaron los aumentos automáticos.",
+  "escalation.turnedOff": "Se desactivaron los aumentos automáticos.",
+  "escalation.saveFailed": "No se pudieron guardar los aumentos automáticos.",
+  "escalation.conflict":
+    "Tu aportación se cambió en otro lugar. Revisa la regla y vuelve a guardar.",
+
+  // ---- Scenarios ----
+  "scenarios.title": "Escenarios hipotéticos",
+  "scenarios.caption":
+    "Guarda los valores de esta página como un escenario con nombre y compara hasta {max} lado a lado. Los escenarios se guardan por separado y nunca cambian tu aportación real ni los datos de tu cuenta.",
+  "scenarios.name": "Nombre del escenario",
+  "scenarios.namePlaceholder": "p. ej. Máximo en Roth",
+  "scenarios.save": "Guardar como escenario",
+  "scenarios.saved": "Se guardó «{name}». Tu cuenta no cambió.",
+  "scenarios.currentName": "Elección actual",
+  "scenarios.current": "<b>Elección actual</b> (lo que está guardado en tu cuenta)",
+  "scenarios.item":
+    "<b>{name}</b>: {election} con {salary} al año, unos {balance} al jubilarte",
+  "scenarios.load": "Cargar",
+  "scenarios.delete": "Eliminar",
+  "scenarios.compare": "Comparar seleccionados",
+  "scenarios.loadFailed": "No se pudieron cargar los escenarios guardados.",
+  "scenarios.saveFailed": "No se pudo guardar el escenario.",
+  "scenarios.deleteFailed": "No se pudo eliminar el escenario.",
+  "scenarios.compareFailed": "No se pudieron comparar los escenarios.",
+  "scenarios.row.contribution": "Aportación",
+  "scenarios.row.percent": "% del salario",
+  "scenarios.row.salary": "Salario",
+  "scenarios.row.perPaycheck": "Por cheque de pago",
+  "scenarios.row.match": "Aportación del empleador al año",
+  "scenarios.row.takeHome": "Pago neto por cheque",
+  "scenarios.row.annualLimit": "Límite anual",
+  "scenarios.row.balance": "Saldo al jubilarte",
+  "scenarios.row.real": "En dólares de hoy",
+  "scenarios.limitReachedOn": "Se alcanza en el cheque de pago {paycheck}",
+  "scenarios.limitNotReached": "No se alcanza",
+
+  // ---- Paychecks ----
+  "paychecks.title": "Cheques de pago del resto de {year}",
+  "paychecks.theYear": "el año",
+  "paychecks.schedule": "Calendario de pago",
+  "paychecks.yourSchedule": "Tu calendario",
+  "paychecks.loadFailed": "No se pudo cargar el calendario de pagos.",
+  "paychecks.limitOn":
+    "Llegarías al límite de {limit} el <b>{date}</b>; las aportaciones se detienen después y se reanudan en enero.",
+  "paychecks.underLimit":
+    "Terminarías el año con <b>{amount}</b> aportados, por debajo del límite de {limit}.",
+  "paychecks.none": "No quedan cheques de pago en este año del plan.",
+  "paychecks.number": "N.º",
+  "paychecks.payDate": "Fecha de pago",
+  "paychecks.grossPay": "Pago bruto",
+  "paychecks.election": "Elección",
+  "paychecks.contribution": "Aportación",
+  "paychecks.ytd": "Acumulado del año",
+  "paychecks.limited": "(límite; elegido {amount})",
+  "frequency.weekly": "Semanal",
+  "frequency.biweekly": "Cada dos semanas",
+  "frequency.semi-monthly": "Dos veces al mes",
+  "frequency.monthly": "Mensual",
+
+  // ---- Statement ----
+  "statement.title": "Estado de cuenta",
+  "statement.caption":
+    "Tu elección guardada, las cantidades por cheque de pago y anuales, los supuestos utilizados y la proyección año por año, para tus registros. No incluye los cambios sin guardar de esta página.",
+  "statement.csv": "Descargar CSV",
+  "statement.pdf": "Descargar PDF",
+  "statement.preparing": "Preparando…",
+  "statement.failed": "No se pudo descargar el estado de cuenta.",
+
+  // ---- Recent changes ----
+  "recent.title": "Cambios recientes",
+  "recent.none": "Todavía no se ha guardado ningún cambio.",
+  "recent.electionChanged": "Aportación cambiada de <b>{from}</b> a <b>{to}</b>",
+  "recent.electionScheduled": "Cambio de aportación de <b>{from}</b> a <b>{to}</b> programado para el {date}",
+  "recent.scheduleCancelled": "Se canceló el cambio a <b>{election}</b> programado para el {date}",
+  "recent.escalationOn": "Aumentos automáticos activados: +{increment} al año, hasta {cap}",
+  "recent.escalationOff": "Aumentos automáticos desactivados",
+  "recent.snapshotUpdated": "Situación actualizada ({fields})",
+  "recent.by": "por {who} vía {source}",
+  "recent.showMore": "Mostrar cambios anteriores",
+  "recent.loadFailed": "No se pudieron cargar los cambios recientes.",
+  "recent.loadMoreFailed": "No se pudieron cargar más cambios.",
+
+  // ---- Errors (worded from the server's codes, see api.js) ----
+  "error.INVALID_CREDENTIALS": "Usuario o contraseña incorrectos.",
+  "error.UNAUTHENTICATED": "Tu sesión ha terminado. Vuelve a iniciar sesión.",
+  "error.CSRF_TOKEN_INVALID": "No se pudo verificar tu sesión. Vuelve a iniciar sesión.",
+  "error.FORBIDDEN": "No tienes acceso a esto.",
+  "error.NOT_FOUND": "Ese elemento ya no existe. Vuelve a cargar la página para ver lo más reciente.",
+  "error.USER_EXISTS": "Ese usuario ya existe.",
+  "error.INVALID_JSON": "No se pudo leer la solicitud. Inténtalo de nuevo.",
+  "error.PRECONDITION_REQUIRED": "Vuelve a cargar la página e inténtalo de nuevo.",
+  "error.VERSION_CONFLICT": "Esta aportación se cambió en otro lugar. Revisa la más reciente e inténtalo de nuevo.",
+  "error.ANNUAL_LIMIT_EXCEEDED": "Esta aportación superaría el límite anual de aportaciones.",
+  "error.SCENARIO_LIMIT_REACHED": "Puedes guardar hasta {max} escenarios. Elimina uno para guardar otro.",
+  "error.VALIDATION_FAILED": "Corrige los campos resaltados.",
+  "fieldError.labelled": "{label}: {message}",
+  "fieldError.required": "Obligatorio.",
+  "fieldError.invalid_type": "Introduce un valor válido.",
+  "fieldError.invalid_format": "Revisa el formato de este valor.",
+  "fieldError.invalid_option": "Elige una de las opciones.",
+  "fieldError.invalid_order": "Estos valores están fuera de orden.",
+  "fieldError.invalid_length": "Número de elementos incorrecto.",
+  "fieldError.invalid_json": "No se pudo leer la solicitud.",
+  "fieldError.too_small": "Debe ser al menos {limit}.",
+  "fieldError.too_small.exclusive": "Debe ser mayor que {limit}.",
+  "fieldError.too_small.percent": "Las aportaciones deben ser al menos el {limit} del salario.",
+  "fieldError.too_small.dollar": "Las aportaciones deben ser al menos {limit} por pago.",
+  "fieldError.too_large": "Debe ser como máximo {limit}.",
+  "fieldError.too_large.exclusive": "Debe ser menor que {limit}.",
+  "fieldError.too_large.percent": "Las aportaciones pueden ser como máximo el {limit} del salario.",
+  "fieldError.too_large.dollar": "Las aportaciones pueden ser como máximo {limit} por pago.",
+  "fieldError.too_short": "Demasiado corto (al menos {limit}).",
+  "fieldError.too_long": "Demasiado largo (como máximo {limit}).",
+  "field.name": "Nombre",
+  "field.age": "Edad",
+  "field.salary": "Salario",
+  "field.payPeriodsPerYear": "Períodos de pago",
+  "field.ytdContribution": "Aportado este año",
+  "field.currentBalance": "Saldo",
+  "field.filingStatus": "Estado civil tributario",
+  "field.sources": "Aportación",
+  "field.sources.traditional": "Tradicional",
+  "field.sources.roth": "Roth",
+  "field.contributionValue": "Aportación",
+  "field.incrementPercent": "Aumento anual",
+  "field.capPercent": "Tope",
+  "field.monthDay": "Fecha",
+  "field.targetBalance": "Saldo objetivo",
+  "field.monthlyIncome": "Ingreso mensual",
+  "field.withdrawalRatePercent": "Tasa de retiro"
+};
@@ -0,0 +1,7 @@
+import { configureAxe } from "vitest-axe";
+
+// axe for the component tests. jsdom doesn't lay out or paint, so colour
+// contrast can't be checked here.
+export const axe = configureAxe({
+  rules: { "color-contrast": { enabled: false } }
+});
@@ -0,0 +1,113 @@
+// Response bodies as the backend sends them for the demo participant
+// (mock-user-123), trimmed to what the page reads
+
+export const session = {
+  user: { username: "mock-user-123", userId: "mock-user-123", role: "participant" },
+  preferences: { language: null },
+  csrfToken: "test-csrf-token"
+};
+
+export const users = {
+  users: [{ userId: "mock-user-123", name: "Demo participant" }]
+};
+
+export const plan = {
+  assumptions: {
+    annualReturnPercent: 5,
+    volatilityPercent: 12,
+    salaryGrowthPercent: 3,
+    inflationPercent: 2.5,
+    retirementAge: 65,
+    withdrawalRatePercent: 4
+  },
+  deferral: { minPercent: 0, maxPercent: 50, minDollar: 0, maxDollar: 5000 },
+  recommendedPercent: 10,
+  contributionTypes: ["percent", "dollar"],
+  employerMatch: {
+    tiers: [
+      { upToPercent: 3, rate: 1 },
+      { upToPercent: 5, rate: 0.5 }
+    ],
+    annualCap: null
+  }
+};
+
+export const limits = {
+  planYear: 2026,
+  electiveDeferral: 24500,
+  catchUp: 8000,
+  superCatchUp: 11250,
+  catchUpAge: 50,
+  superCatchUpAges: { min: 60, max: 63 }
+};
+
+// GET /contribution, with any fields overridden
+export function contribution(overrides = {}) {
+  return {
+    userId: "mock-user-123",
+    version: 1,
+    age: 30,
+    salary: 120000,
+    payPeriodsPerYear: 24,
+    ytdContribution: 8500,
+    currentBalance: 15000,
+    filingStatus: "single",
+    contributionType: "percent",
+    contributionValue: 10,
+    sources: { traditional: 10, roth: 0 },
+    currentPercent: 10,
+    pending: [],
+    autoEscalation: null,
+    limits,
+    annualLimit: {
+      planYear: 2026,
+      limit: 24500,
+      ytdContribution: 8500,
+      remainingPayPeriods: 5,
+      maxContributionValue: 50
+    },
+    ...overrides
+  };
+}
+
+export const paychecks = {
+  planYear: 2026,
+  frequency: "semi-monthly",
+  payPeriodsPerYear: 24,
+  annualLimit: 24500,
+  ytdContribution: 8500,
+  projectedYearEnd: 11000,
+  limitReachedOn: null,
+  paychecks: [
+    {
+      number: 1,
+      payDate: "2026-10-30",
+      grossPay: 5000,
+      contributionType: "percent",
+      contributionValue: 10,
+      sources: { traditional: 10, roth: 0 },
+      electedDeferral: 500,
+      deferral: 500,
+      ytdAfter: 9000,
+      limited: false
+    }
+  ]
+};
+
+export const goal = {
+  goal: { goalType: "income", monthlyIncome: 5000, withdrawalRatePercent: 4, dollarBasis: "nominal" },
+  targetBalance: 1500000,
+  dollarBasis: "nominal",
+  achievable: true,
+  requiredPercent: 4.9,
+  requiredDollarPerPaycheck: 245,
+  projectedAtRequired: 1517583.43,
+  projectedAtMaximum: 8837715.67,
+  maximumPercent: 50,
+  withinAnnualLimit: true,
+  currentPercent: 10,
+  projectedAtCurrent: 2352548.68,
+  readinessPercent: 156.84
+};
+
+export const history = { entries: [], total: 0, limit: 5, offset: 0 };
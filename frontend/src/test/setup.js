@@ -0,0 +1,19 @@
+import { cleanup } from "@testing-library/react";
+import { afterEach, expect, vi } from "vitest";
+import * as axeMatchers from "vitest-axe/matchers";
+import { setCsrfToken } from "../api.js";
+import { setLanguage } from "../i18n.js";
+
+// expect(await axe(container)).toHaveNoViolations()
+expect.extend(axeMatchers);
+
+// Each test starts from an empty page in English, with no session and the
+// real fetch / api methods back in place
+afterEach(() => {
+  vi.useRealTimers();
+  cleanup();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  setCsrfToken(null);
+  setLanguage("en");
+});
@@ -0,0 +1,247 @@
+import { useMemo, useReducer } from "react";
+
+// ---- Election state ----
+//
+// The election as saved on the server next to the one being edited, plus
+// what goes with saving it: the record version edits are based on (sent as
+// If-Match), a conflicting server state after a 409, pending changes, the
+// auto-escalation rule and the outcome of the last save.
+
+const NO_SOURCES = { traditional: 0, roth: 0 };
+
+// Fields whose errors no longer apply once the election total changes
+const ELECTION_FIELDS = ["sources.traditional", "sources.roth", "sources", "contributionValue"];
+
+export const initialElection = {
+  // Saved on the server
+  version: null,
+  savedType: "percent",
+  savedSources: NO_SOURCES,
+  savedPercent: 0,
+  pending: [],
+  autoEscalation: null,
+  // Server state returned with a 409 when the record changed elsewhere
+  conflict: null,
+
+  // Being edited. `sources` are in the units of contributionType and may be
+  // strings straight from the inputs; their sum is the election.
+  contributionType: "percent",
+  sources: NO_SOURCES,
+  // "" applies the change now; a date schedules it
+  effectiveDate: "",
+
+  // Last save
+  saving: false,
+  error: "",
+  message: "",
+  // Per-field messages from a rejected save, e.g. { "sources.roth": "..." }
+  fieldErrors: {},
+  // Largest election the server will accept when a save hits the annual limit
+  maxAllowedValue: null
+};
+
+// Lowers each source by the same proportion so they add up to at most maxTotal
+function scaleSources(sources, maxTotal, isPercent) {
+  const total = sources.traditional + sources.roth;
+  if (total <= maxTotal) return sources;
+  const step = isPercent ? 0.1 : 1;
+  const ratio = total > 0 ? maxTotal / total : 0;
+  const scale = (v) => Math.round(Math.floor((v * ratio) / step) * step * 100) / 100;
+  return { traditional: scale(sources.traditional), roth: scale(sources.roth) };
+}
+
+// Splits `total` between the sources in the same proportion as `sources`
+// (all traditional when nothing is elected yet)
+function splitSources(sources, total) {
+  const current = sources.traditional + sources.roth;
+  if (current <= 0) return { traditional: total, roth: 0 };
+  const roth = Math.round(((total * sources.roth) / current) * 100) / 100;
+  return { traditional: Math.round((total - roth) * 100) / 100, roth };
+}
+
+export function numericSourcesOf(sources) {
+  return {
+    traditional: Number(sources.traditional) || 0,
+    roth: Number(sources.roth) || 0
+  };
+}
+
+function withoutFields(fieldErrors, fields) {
+  if (!fields.some((field) => fieldErrors[field])) return fieldErrors;
+  const next = { ...fieldErrors };
+  for (const field of fields) delete next[field];
+  return next;
+}
+
+// The server's record (GET /contribution, or the `current` of a 409)
+function savedFrom(data) {
+  return {
+    version: data.version,
+    savedType: data.contributionType,
+    savedSources: data.sources,
+    savedPercent: data.currentPercent,
+    pending: data.pending ?? [],
+    autoEscalation: data.autoEscalation ?? null
+  };
+}
+
+export function electionReducer(state, action) {
+  switch (action.type) {
+    // Fresh server state; edits start over from it
+    case "loaded":
+      return {
+        ...initialElection,
+        ...savedFrom(action.data),
+        contributionType: action.data.contributionType,
+        sources: action.data.sources
+      };
+    case "saved":
+      return {
+        ...state,
+        ...savedFrom(action.data),
+        conflict: null,
+        contributionType: action.data.contributionType,
+        sources: action.data.sources,
+        effectiveDate: action.scheduled ? "" : state.effectiveDate,
+        saving: false,
+        message: action.message
+      };
+    // Someone else saved first: show what's on the server now as the saved
+    // election, but keep the edits so they can be reviewed and saved again
+    // (which then replaces the newer version) or dropped with "takeLatest"
+    case "conflict":
+      return { ...state, ...savedFrom(action.current), conflict: action.current, saving: false };
+    case "takeLatest":
+      return {
+        ...state,
+        contributionType: state.conflict.contributionType,
+        sources: state.conflict.sources,
+        conflict: null
+      };
+
+    case "setContributionType":
+      return { ...state, contributionType: action.contributionType };
+    case "setSource":
+      return {
+        ...state,
+        sources: { ...state.sources, [action.source]: action.value },
+        fieldErrors: withoutFields(state.fieldErrors, [
+          `sources.${action.source}`,
+          "sources",
+          "contributionValue"
+        ])
+      };
+    // A total in the election's own units, keeping the traditional/Roth mix
+    case "setTotal":
+      return {
+        ...state,
+        sources: splitSources(numericSourcesOf(state.sources), action.total),
+        fieldErrors: withoutFields(state.fieldErrors, ELECTION_FIELDS),
+        maxAllowedValue: null
+      };
+    case "takeMaximumAllowed":
+      return {
+        ...state,
+        sources: scaleSources(
+          numericSourcesOf(state.sources),
+          state.maxAllowedValue,
+          state.contributionType === "percent"
+        ),
+        maxAllowedValue: null,
+        error: ""
+      };
+    case "setElection":
+      return {
+        ...state,
+        contributionType: action.contributionType,
+        sources: action.sources,
+        fieldErrors: {},
+        message: ""
+      };
+    case "setEffectiveDate":
+      return {
+        ...state,
+        effectiveDate: action.effectiveDate,
+        fieldErrors: withoutFields(state.fieldErrors, ["effectiveDate"])
+      };
+    case "setSavedPercent":
+      return { ...state, savedPercent: action.savedPercent };
+    case "setPending":
+      return { ...state, pending: action.pending };
+    case "setAutoEscalation":
+      return { ...state, autoEscalation: action.autoEscalation };
+    case "setVersion":
+      return { ...state, version: action.version };
+
+    case "saveStarted":
+      return {
+        ...state,
+        saving: true,
+        error: "",
+        message: "",
+        fieldErrors: {},
+        maxAllowedValue: null
+      };
+    case "saveSkipped":
+      return { ...state, error: "", fieldErrors: {}, maxAllowedValue: null, message: action.message };
+    case "saveFailed":
+      return {
+        ...state,
+        saving: false,
+        error: action.error,
+        fieldErrors: action.fieldErrors ?? {},
+        maxAllowedValue: action.maxAllowedValue ?? null
+      };
+    default:
+      throw new Error(`Unknown election action: ${action.type}`);
+  }
+}
+
+// [election, actions]. `election` also carries values derived from the
+// edits: numericSources, numericContribution, isPercent and hasChanges.
+export function useElection() {
+  const [state, dispatch] = useReducer(electionReducer, initialElection);
+
+  const actions = useMemo(
+    () => ({
+      loaded: (data) => dispatch({ type: "loaded", data }),
+      saved: (data, { scheduled, message }) => dispatch({ type: "saved", data, scheduled, message }),
+      conflict: (current) => dispatch({ type: "conflict", current }),
+      takeLatest: () => dispatch({ type: "takeLatest" }),
+      setContributionType: (contributionType) =>
+        dispatch({ type: "setContributionType", contributionType }),
+      setSource: (source, value) => dispatch({ type: "setSource", source, value }),
+      setTotal: (total) => dispatch({ type: "setTotal", total }),
+      takeMaximumAllowed: () => dispatch({ type: "takeMaximumAllowed" }),
+      setElection: ({ contributionType, sources }) =>
+        dispatch({ type: "setElection", contributionType, sources }),
+      setEffectiveDate: (effectiveDate) => dispatch({ type: "setEffectiveDate", effectiveDate }),
+      setSavedPercent: (savedPercent) => dispatch({ type: "setSavedPercent", savedPercent }),
+      setPending: (pending) => dispatch({ type: "setPending", pending }),
+      setAutoEscalation: (autoEscalation) => dispatch({ type: "setAutoEscalation", autoEscalation }),
+      setVersion: (version) => dispatch({ type: "setVersion", version }),
+      saveStarted: () => dispatch({ type: "saveStarted" }),
+      saveSkipped: (message) => dispatch({ type: "saveSkipped", message }),
+      saveFailed: ({ error, fieldErrors, maxAllowedValue }) =>
+        dispatch({ type: "saveFailed", error, fieldErrors, maxAllowedValue })
+    }),
+    []
+  );
+
+  const numericSources = numericSourcesOf(state.sources);
+  const election = {
+    ...state,
+    numericSources,
+    numericContribution: numericSources.traditional + numericSources.roth,
+    isPercent: state.contributionType === "percent",
+    hasChanges:
+      state.contributionType !== state.savedType ||
+      ["traditional", "roth"].some(
+        (source) =>
+          Number(numericSources[source].toFixed(2)) !==
+          Number(state.savedSources[source].toFixed(2))
+      )
+  };
+
+  return [election, actions];
+}
@@ -0,0 +1,143 @@
+import { describe, expect, it } from "vitest";
+import { electionReducer, initialElection } from "./useElection.js";
+import { contribution } from "./test/fixtures.js";
+
+function loaded(overrides) {
+  return electionReducer(initialElection, { type: "loaded", data: contribution(overrides) });
+}
+
+describe("electionReducer", () => {
+  it("starts the edits from the loaded record", () => {
+    const state = loaded({ sources: { traditional: 6, roth: 2 }, currentPercent: 8, version: 3 });
+
+    expect(state).toMatchObject({
+      version: 3,
+      savedType: "percent",
+      savedSources: { traditional: 6, roth: 2 },
+      savedPercent: 8,
+      contributionType: "percent",
+      sources: { traditional: 6, roth: 2 },
+      conflict: null,
+      error: "",
+      fieldErrors: {}
+    });
+  });
+
+  it("drops a source's field errors when it is edited, keeping the others", () => {
+    const state = electionReducer(
+      {
+        ...loaded(),
+        fieldErrors: { "sources.roth": "Too large", sources: "Too large", effectiveDate: "Past" }
+      },
+      { type: "setSource", source: "roth", value: "3" }
+    );
+
+    expect(state.sources).toEqual({ traditional: 10, roth: "3" });
+    expect(state.fieldErrors).toEqual({ effectiveDate: "Past" });
+  });
+
+  it("splits a new total in the current traditional/Roth mix", () => {
+    const state = electionReducer(loaded({ sources: { traditional: 6, roth: 2 } }), {
+      type: "setTotal",
+      total: 12
+    });
+
+    expect(state.sources).toEqual({ traditional: 9, roth: 3 });
+  });
+
+  it("puts a new total all in traditional when nothing is elected", () => {
+    const state = electionReducer(loaded({ sources: { traditional: 0, roth: 0 } }), {
+      type: "setTotal",
+      total: 7
+    });
+
+    expect(state.sources).toEqual({ traditional: 7, roth: 0 });
+  });
+
+  it("scales the sources down to the maximum allowed", () => {
+    const failed = electionReducer(loaded({ sources: { traditional: 30, roth: 10 } }), {
+      type: "saveFailed",
+      error: "Over the limit",
+      maxAllowedValue: 22
+    });
+    const state = electionReducer(failed, { type: "takeMaximumAllowed" });
+
+    expect(state.sources).toEqual({ traditional: 16.5, roth: 5.5 });
+    expect(state.maxAllowedValue).toBeNull();
+    expect(state.error).toBe("");
+  });
+
+  it("rounds scaled dollar sources down to whole dollars", () => {
+    const failed = electionReducer(
+      loaded({ contributionType: "dollar", sources: { traditional: 700, roth: 300 } }),
+      { type: "saveFailed", error: "Over the limit", maxAllowedValue: 333 }
+    );
+    const state = electionReducer(failed, { type: "takeMaximumAllowed" });
+
+    expect(state.sources).toEqual({ traditional: 233, roth: 99 });
+  });
+
+  it("keeps the edits on a conflict and replaces them with takeLatest", () => {
+    const edited = electionReducer(loaded(), { type: "setSource", source: "roth", value: "4" });
+    const current = contribution({ version: 2, sources: { traditional: 12, roth: 0 }, currentPercent: 12 });
+
+    const conflicted = electionReducer(edited, { type: "conflict", current });
+    expect(conflicted).toMatchObject({
+      version: 2,
+      savedSources: { traditional: 12, roth: 0 },
+      sources: { traditional: 10, roth: "4" },
+      conflict: current
+    });
+
+    const latest = electionReducer(conflicted, { type: "takeLatest" });
+    expect(latest.sources).toEqual({ traditional: 12, roth: 0 });
+    expect(latest.conflict).toBeNull();
+  });
+
+  it("clears the conflict and a scheduled date once saved", () => {
+    const before = {
+      ...loaded(),
+      conflict: contribution({ version: 2 }),
+      effectiveDate: "2099-01-01",
+      saving: true
+    };
+    const state = electionReducer(before, {
+      type: "saved",
+      data: contribution({ version: 3 }),
+      scheduled: true,
+      message: "Scheduled"
+    });
+
+    expect(state).toMatchObject({
+      version: 3,
+      conflict: null,
+      effectiveDate: "",
+      saving: false,
+      message: "Scheduled"
+    });
+  });
+
+  it("resets the outcome of the last save when a new one starts", () => {
+    const failed = electionReducer(loaded(), {
+      type: "saveFailed",
+      error: "Failed",
+      fieldErrors: { sources: "Too large" },
+      maxAllowedValue: 20
+    });
+    const state = electionReducer(failed, { type: "saveStarted" });
+
+    expect(state).toMatchObject({
+      saving: true,
+      error: "",
+      message: "",
+      fieldErrors: {},
+      maxAllowedValue: null
+    });
+  });
+
+  it("rejects unknown actions", () => {
+    expect(() => electionReducer(initialElection, { type: "nope" })).toThrow(
+      "Unknown election action: nope"
+    );
+  });
+});
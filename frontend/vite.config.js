@@ -1,7 +1,23 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// Plan math shared with the backend lives in ../shared
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
+const rootDir = fileURLToPath(new URL('.', import.meta.url))
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': sharedDir },
+  },
+  server: {
+    fs: { allow: [searchForWorkspaceRoot(rootDir), sharedDir] },
+  },
+  // Component tests render into jsdom; see src/test/setup.js
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
 })
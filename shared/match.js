@@ -0,0 +1,34 @@
+// ---- Employer match ----
+//
+// A match formula is a list of tiers over the employee's contribution
+// percent, each matched at its own rate, e.g. 100% of the first 3% and 50%
+// of the next 2%:
+//
+//   { tiers: [{ upToPercent: 3, rate: 1 }, { upToPercent: 5, rate: 0.5 }], annualCap: null }
+//
+// `annualCap` (dollars, optional) limits the employer's total for the year.
+
+// Employer contribution as a % of salary for a given employee %
+export function employerMatchPercent(formula, contributionPercent) {
+  let matched = 0;
+  let floor = 0;
+
+  for (const tier of formula.tiers) {
+    const inTier = Math.min(contributionPercent, tier.upToPercent) - floor;
+    if (inTier <= 0) break;
+    matched += inTier * tier.rate;
+    floor = tier.upToPercent;
+  }
+
+  return matched;
+}
+
+export function annualEmployerMatch(formula, salary, contributionPercent) {
+  const dollars = salary * (employerMatchPercent(formula, contributionPercent) / 100);
+  return formula.annualCap != null ? Math.min(dollars, formula.annualCap) : dollars;
+}
+
+// Lowest employee % that earns every available match dollar
+export function fullMatchPercent(formula) {
+  return formula.tiers.length ? formula.tiers[formula.tiers.length - 1].upToPercent : 0;
+}
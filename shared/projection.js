@@ -0,0 +1,102 @@
+import { annualEmployerMatch } from "./match.js";
+
+// ---- Retirement projection engine ----
+//
+// Used by both the backend (POST /api/projection) and the React app, so the
+// numbers a participant sees while dragging the slider are the same numbers
+// the API returns.
+//
+// Contributions are made at the end of each year and only start growing the
+// following year; with no salary growth this matches the closed-form future
+// value
+//   B(1+r)^n + C * ((1+r)^n - 1) / r
+//
+// Salary (and with it every percent-of-salary contribution and the employer
+// match) grows by `salaryGrowth` each year. `inflation` only affects the
+// "real" figures, which are deflated back to today's dollars.
+//
+// `escalation` ({ incrementPercent, capPercent }) models an auto-escalation
+// rule: the contribution % rises by the increment every year after the
+// first, up to the cap. A rate already above the cap is left as is.
+
+// The rule to project an election with. Payroll only raises percent-of-pay
+// elections (backend/scheduler.js), so a dollar election stays flat even
+// with the rule on.
+export function escalationFor(contributionType, autoEscalation) {
+  return contributionType === "percent" && autoEscalation?.enabled ? autoEscalation : null;
+}
+
+export function projectBalance({
+  age,
+  retirementAge,
+  annualReturn,
+  currentBalance,
+  salary,
+  contributionPercent,
+  employerMatch = null,
+  salaryGrowth = 0,
+  inflation = 0,
+  escalation = null
+}) {
+  if (
+    age == null ||
+    retirementAge == null ||
+    salary == null ||
+    currentBalance == null
+  ) {
+    return null;
+  }
+
+  const percentForYear = (yearIndex) => {
+    if (!escalation || contributionPercent >= escalation.capPercent) {
+      return contributionPercent;
+    }
+    return Math.min(
+      escalation.capPercent,
+      contributionPercent + escalation.incrementPercent * (yearIndex - 1)
+    );
+  };
+
+  const schedule = [];
+  let balance = currentBalance;
+
+  // `yearIndex` is 1 for the first projected year
+  const row = (rowAge, yearIndex, growth) => {
+    const yearSalary = salary * Math.pow(1 + salaryGrowth, yearIndex - 1);
+    const yearPercent = percentForYear(yearIndex);
+    const employeeContribution = yearSalary * (yearPercent / 100);
+    const employerContribution = employerMatch
+      ? annualEmployerMatch(employerMatch, yearSalary, yearPercent)
+      : 0;
+
+    const startingBalance = balance;
+    balance = startingBalance + growth + employeeContribution + employerContribution;
+    schedule.push({
+      age: rowAge,
+      salary: yearSalary,
+      contributionPercent: yearPercent,
+      startingBalance,
+      employeeContributions: employeeContribution,
+      employerContributions: employerContribution,
+      growth,
+      endingBalance: balance,
+      realEndingBalance: balance / Math.pow(1 + inflation, yearIndex)
+    });
+  };
+
+  const years = retirementAge - age;
+  if (years <= 0) {
+    // already at or past retirement age: one final year of contributions
+    row(age, 1, 0);
+  } else {
+    for (let i = 1; i <= years; i++) {
+      row(age + i, i, balance * annualReturn);
+    }
+  }
+
+  return {
+    finalBalance: balance,
+    finalBalanceReal: schedule[schedule.length - 1].realEndingBalance,
+    schedule
+  };
+}
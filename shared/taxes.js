@@ -0,0 +1,134 @@
+// ---- Paycheck tax estimate ----
+//
+// Federal income tax and FICA withholding for a paycheck, used to show how an
+// election changes take-home pay. Traditional (pre-tax) deferrals reduce
+// federal taxable wages; Roth deferrals do not. Both are still subject to
+// Social Security and Medicare.
+//
+// The estimate annualizes the paycheck, applies the standard deduction and
+// the brackets for the filing status, and divides back down. It ignores
+// state and local taxes, credits and other pre-tax deductions, so it is a
+// guide rather than a pay stub.
+//
+// Per-year tables: add a row each fall when the IRS publishes the inflation
+// adjustments (and the SSA publishes the wage base). `brackets` lists the
+// taxable-income thresholds where each rate in BRACKET_RATES ends; the top
+// rate has no upper bound.
+
+export const FILING_STATUSES = ["single", "married", "headOfHousehold"];
+
+export const TAX_TABLES = {
+  2024: {
+    standardDeduction: { single: 14600, married: 29200, headOfHousehold: 21900 },
+    brackets: {
+      single: [11600, 47150, 100525, 191950, 243725, 609350],
+      married: [23200, 94300, 201050, 383900, 487450, 731200],
+      headOfHousehold: [16550, 63100, 100500, 191950, 243700, 609350]
+    },
+    socialSecurityWageBase: 168600
+  },
+  2025: {
+    standardDeduction: { single: 15750, married: 31500, headOfHousehold: 23625 },
+    brackets: {
+      single: [11925, 48475, 103350, 197300, 250525, 626350],
+      married: [23850, 96950, 206700, 394600, 501050, 751600],
+      headOfHousehold: [17000, 64850, 103350, 197300, 250500, 626350]
+    },
+    socialSecurityWageBase: 176100
+  },
+  2026: {
+    standardDeduction: { single: 16100, married: 32200, headOfHousehold: 24150 },
+    brackets: {
+      single: [12400, 50400, 105700, 201775, 256225, 640600],
+      married: [24800, 100800, 211400, 403550, 512450, 768700],
+      headOfHousehold: [17700, 67450, 105700, 201750, 256200, 640600]
+    },
+    socialSecurityWageBase: 184500
+  }
+};
+
+// Bracket rates, lowest first; TAX_TABLES list the thresholds between them
+export const BRACKET_RATES = [0.1, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37];
+
+export const SOCIAL_SECURITY_RATE = 0.062;
+export const MEDICARE_RATE = 0.0145;
+// Additional Medicare tax on wages over the threshold for the filing status
+export const ADDITIONAL_MEDICARE = {
+  rate: 0.009,
+  threshold: { single: 200000, married: 250000, headOfHousehold: 200000 }
+};
+
+// Falls back to the most recent known year, like the deferral limits
+export function taxTableForYear(planYear) {
+  const years = Object.keys(TAX_TABLES).map(Number).sort((a, b) => a - b);
+  const year = years.filter((y) => y <= planYear).pop() ?? years[0];
+  return { taxYear: year, ...TAX_TABLES[year] };
+}
+
+export function federalIncomeTax(taxableIncome, thresholds) {
+  let tax = 0;
+  let floor = 0;
+  for (let i = 0; i < BRACKET_RATES.length; i++) {
+    const ceiling = thresholds[i] ?? Infinity;
+    if (taxableIncome <= floor) break;
+    tax += (Math.min(taxableIncome, ceiling) - floor) * BRACKET_RATES[i];
+    floor = ceiling;
+  }
+  return tax;
+}
+
+// Per-paycheck dollars going to each source for an election
+export function perPaycheckSources({ contributionType, sources, salary, payPeriodsPerYear }) {
+  if (contributionType === "dollar") {
+    return { traditional: sources.traditional, roth: sources.roth };
+  }
+  if (!salary || !payPeriodsPerYear) return { traditional: 0, roth: 0 };
+  const perPaycheck = (percent) => (salary * (percent / 100)) / payPeriodsPerYear;
+  return { traditional: perPaycheck(sources.traditional), roth: perPaycheck(sources.roth) };
+}
+
+// `traditional` / `roth` are per-paycheck dollars. Returns the paycheck
+// broken down into gross, deferrals, taxes and net pay.
+export function estimatePaycheck({
+  salary,
+  payPeriodsPerYear,
+  filingStatus = "single",
+  planYear,
+  traditional = 0,
+  roth = 0
+}) {
+  const table = taxTableForYear(planYear);
+  const status = FILING_STATUSES.includes(filingStatus) ? filingStatus : "single";
+
+  const annualTraditional = Math.min(salary, traditional * payPeriodsPerYear);
+  const taxableIncome = Math.max(
+    0,
+    salary - annualTraditional - table.standardDeduction[status]
+  );
+  const federalTax = federalIncomeTax(taxableIncome, table.brackets[status]);
+
+  const socialSecurity = Math.min(salary, table.socialSecurityWageBase) * SOCIAL_SECURITY_RATE;
+  const medicare =
+    salary * MEDICARE_RATE +
+    Math.max(0, salary - ADDITIONAL_MEDICARE.threshold[status]) * ADDITIONAL_MEDICARE.rate;
+
+  // Each line is rounded to cents, as on a pay stub, and net pay is what's left
+  const perPaycheck = (annual) => Math.round((annual / payPeriodsPerYear) * 100) / 100;
+  const lines = {
+    grossPay: perPaycheck(salary),
+    traditional: Math.round(traditional * 100) / 100,
+    roth: Math.round(roth * 100) / 100,
+    federalIncomeTax: perPaycheck(federalTax),
+    socialSecurity: perPaycheck(socialSecurity),
+    medicare: perPaycheck(medicare)
+  };
+  const deductions =
+    lines.traditional + lines.roth + lines.federalIncomeTax + lines.socialSecurity + lines.medicare;
+
+  return {
+    taxYear: table.taxYear,
+    filingStatus: status,
+    ...lines,
+    netPay: Math.round((lines.grossPay - deductions) * 100) / 100
+  };
+}